@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+// Command-line client for the Private Energy Market
+//
+// Usage: node bin/market-cli.js <command> [arguments] [options]
+//
+// Commands:
+//   session status
+//   session start
+//   session set-duration <duration>          e.g. 3600, 90m, 2h, 1d
+//   offer create --amount <kWh> --price <wei> --type <solar|wind|hydro|nuclear> [--private]
+//   offer cancel <offerId>
+//   offer list [--mine] [--status active|matched|cancelled]
+//   demand create --amount <kWh> --max-price <wei> [--private]
+//   demand cancel <demandId>
+//   demand list [--mine] [--status active|matched|cancelled]
+//   match <offerId> <demandId>
+//   trade show <tradeId>
+//   trade list [--mine]
+//   credits show [address]
+//   credits add <amount>
+//
+// Options:
+//   --network <id>         deployment profile: sepolia (default), local, custom or one from --deployments
+//   --deployments <file>   deployments.json with extra or changed profiles
+//   --chain-id <id>        chain ID for --network custom
+//   --rpc <url>            JSON-RPC endpoint (default: $RPC_URL or the profile's)
+//   --contract <address>   market address (default: $MARKET_ADDRESS or the profile's)
+//   --keystore <file>      encrypted JSON keystore; its password is read from $KEYSTORE_PASSWORD
+//   --json                 machine-readable output
+//   --simulated            use a fresh in-memory simulated market (state is not kept between runs)
+//
+// Without --keystore the signing key is read from $PRIVATE_KEY. Read-only
+// commands work without a key.
+const fs = require('fs');
+const { ethers } = require('ethers');
+const MarketClient = require('../js/market-client.js');
+const MarketValidation = require('../js/market-validation.js');
+const FheClient = require('../js/fhe-client.js');
+const SimulatedMarket = require('../js/simulated-market.js');
+const MarketDeployments = require('../js/deployments.js');
+
+const { ENERGY_TYPES, STATUS_TYPES, MarketError } = MarketClient;
+const SIMULATED_ACCOUNT = '0xc11000000000000000000000000000000000c11a';
+const FLAGS = new Set(['json', 'simulated', 'private', 'mine', 'help']);
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)$/);
+        if (!match) {
+            positional.push(argv[i]);
+        } else if (FLAGS.has(match[1])) {
+            options[match[1]] = true;
+        } else {
+            if (i + 1 >= argv.length) throw usageError(`Missing value for --${match[1]}`);
+            options[match[1]] = argv[++i];
+        }
+    }
+    return { positional, options };
+}
+
+function usageError(message) {
+    return new MarketError('invalid-argument', message,
+        { suggestion: 'Run with --help to see the available commands.' });
+}
+
+// "90m", "2h", "1d" or plain seconds
+function parseDuration(value) {
+    const match = String(value || '').match(/^(\d+)([smhd]?)$/);
+    if (!match) throw usageError(`Invalid duration: ${value}`);
+    const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+    return MarketValidation.validateSessionDuration(Number(match[1]) * units[match[2]]);
+}
+
+function parseStatus(value) {
+    if (value === undefined) return null;
+    const index = STATUS_TYPES.findIndex(status => status.toLowerCase() === String(value).toLowerCase());
+    if (index === -1) throw usageError(`Unknown status: ${value}`);
+    return index;
+}
+
+async function loadSigner(options, provider) {
+    if (options.keystore) {
+        if (process.env.KEYSTORE_PASSWORD === undefined) {
+            throw usageError('Set KEYSTORE_PASSWORD to unlock the keystore');
+        }
+        const json = fs.readFileSync(options.keystore, 'utf8');
+        const wallet = await ethers.Wallet.fromEncryptedJson(json, process.env.KEYSTORE_PASSWORD);
+        return wallet.connect(provider);
+    }
+    if (process.env.PRIVATE_KEY) {
+        return new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    }
+    return null;
+}
+
+async function connect(options) {
+    if (options.simulated) {
+        const fhe = new FheClient.MockFheClient();
+        const market = await SimulatedMarket.createDemoMarket({ account: SIMULATED_ACCOUNT, fhe, settlementDelay: 0 });
+        return new MarketClient.MarketClient({ contract: market.connect(SIMULATED_ACCOUNT), account: SIMULATED_ACCOUNT, fhe });
+    }
+
+    const deployment = resolveNetwork(options);
+    if (!deployment.rpcUrl) throw usageError(`No RPC endpoint is set for ${deployment.name}; set RPC_URL or pass --rpc`);
+
+    const provider = new ethers.providers.JsonRpcProvider(deployment.rpcUrl);
+    const signer = await loadSigner(options, provider);
+    const contract = MarketClient.connectContract(ethers, signer || provider, deployment.address);
+    const problem = await MarketDeployments.verifyDeployment({ provider, contract, deployment });
+    if (problem) throw problem;
+
+    return new MarketClient.MarketClient({
+        contract,
+        account: signer ? signer.address : null,
+        signer,
+        // The relayer SDK is only loaded for private orders, and never for dev chains
+        fhe: () => FheClient.createFheClient({
+            mode: deployment.fhe,
+            sdk: deployment.fhe === 'mock' ? null : require('@zama-fhe/relayer-sdk/node'),
+            network: deployment.rpcUrl
+        }),
+        address: deployment.address,
+        multicall: MarketClient.connectMulticall(ethers, provider),
+        startBlock: deployment.startBlock
+    });
+}
+
+function resolveNetwork(options) {
+    const config = options.deployments ? JSON.parse(fs.readFileSync(options.deployments, 'utf8')) : null;
+    const params = {
+        network: options.network,
+        rpc: options.rpc || process.env.RPC_URL,
+        contract: options.contract || process.env.MARKET_ADDRESS
+    };
+    if (options['chain-id']) params.chainId = options['chain-id'];
+    return MarketDeployments.resolveDeployment({ params, config });
+}
+
+function requireAccount(market) {
+    if (!market.account) {
+        throw usageError('This command sends a transaction; set PRIVATE_KEY or pass --keystore');
+    }
+}
+
+// Waits for the receipt; `created` names the event and field reporting a new ID
+async function send(action, txPromise, created = null) {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+    const result = {
+        action,
+        hash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        status: receipt.status === 0 ? 'failed' : 'confirmed'
+    };
+    const id = created && MarketClient.createdId(receipt, created[0]);
+    if (id !== null && id !== undefined) result[created[1]] = id;
+    return result;
+}
+
+function formatTime(timestamp) {
+    return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+function formatOrder(order) {
+    return {
+        id: order.id,
+        [order.side === 'offer' ? 'seller' : 'buyer']: order.account,
+        ...(order.side === 'offer' ? { energyType: ENERGY_TYPES[order.energyType] } : {}),
+        status: STATUS_TYPES[order.status],
+        isPrivate: order.isPrivate,
+        timestamp: formatTime(order.timestamp)
+    };
+}
+
+function formatTrade(trade) {
+    return {
+        id: trade.id,
+        offerId: trade.offerId,
+        demandId: trade.demandId,
+        seller: trade.seller,
+        buyer: trade.buyer,
+        energyKWh: trade.energyAmount,
+        priceWeiPerKWh: trade.tradePrice,
+        energyType: ENERGY_TYPES[trade.energyType],
+        timestamp: formatTime(trade.timestamp),
+        completed: trade.completed
+    };
+}
+
+function listFilter(market, options) {
+    const filter = { status: parseStatus(options.status) };
+    if (options.mine) {
+        requireAccount(market);
+        filter.owner = market.account;
+    }
+    return filter;
+}
+
+const COMMANDS = {
+    async 'session status'(market) {
+        const [session, owner] = await Promise.all([market.getSession(), market.getOwner()]);
+        return {
+            sessionId: session.sessionId,
+            active: session.isActive,
+            startTime: formatTime(session.startTime),
+            durationSeconds: session.duration,
+            closesAt: formatTime(session.closesAt),
+            secondsLeft: Math.max(0, session.closesAt - Math.floor(Date.now() / 1000)),
+            totalOffers: session.totalOffers,
+            totalDemands: session.totalDemands,
+            owner
+        };
+    },
+
+    async 'session start'(market) {
+        requireAccount(market);
+        return send('session start', market.startSession(), ['MarketSessionStarted', 'sessionId']);
+    },
+
+    async 'session set-duration'(market, [value]) {
+        requireAccount(market);
+        const duration = parseDuration(value);
+        const result = await send('session set-duration', market.setSessionDuration(duration));
+        return { ...result, durationSeconds: duration };
+    },
+
+    async 'offer create'(market, args, options) {
+        requireAccount(market);
+        return send('offer create', market.createOffer({
+            amount: options.amount,
+            price: options.price,
+            energyType: options.type,
+            isPrivate: options.private
+        }), ['EnergyOfferCreated', 'offerId']);
+    },
+
+    async 'offer cancel'(market, [id]) {
+        requireAccount(market);
+        return send('offer cancel', market.cancelOffer(id));
+    },
+
+    async 'offer list'(market, args, options) {
+        return (await market.listOffers(listFilter(market, options))).map(formatOrder);
+    },
+
+    async 'demand create'(market, args, options) {
+        requireAccount(market);
+        return send('demand create', market.createDemand({
+            amount: options.amount,
+            maxPrice: options['max-price'],
+            isPrivate: options.private
+        }), ['EnergyDemandCreated', 'demandId']);
+    },
+
+    async 'demand cancel'(market, [id]) {
+        requireAccount(market);
+        return send('demand cancel', market.cancelDemand(id));
+    },
+
+    async 'demand list'(market, args, options) {
+        return (await market.listDemands(listFilter(market, options))).map(formatOrder);
+    },
+
+    async 'match'(market, [offerId, demandId]) {
+        requireAccount(market);
+        const pair = MarketValidation.validateMatch({ offerId, demandId });
+        const result = await send('match', market.match(pair.offerId, pair.demandId), ['TradeMatched', 'tradeId']);
+        return { ...result, offerId: pair.offerId, demandId: pair.demandId };
+    },
+
+    async 'trade show'(market, [id]) {
+        return formatTrade(await market.getTrade(MarketValidation.validateId(id, 'Trade ID')));
+    },
+
+    async 'trade list'(market, args, options) {
+        if (options.mine) requireAccount(market);
+        const trades = await market.listTrades();
+        return trades
+            .filter(trade => !options.mine || market.isAccount(trade.seller) || market.isAccount(trade.buyer))
+            .map(formatTrade);
+    },
+
+    async 'credits show'(market, [address]) {
+        const target = address || market.account;
+        if (!target) throw usageError('Pass an address or set PRIVATE_KEY');
+        return { address: target, credits: await market.getCredits(target) };
+    },
+
+    async 'credits add'(market, [amount]) {
+        requireAccount(market);
+        const credits = MarketValidation.validateCredits(amount);
+        const result = await send('credits add', market.addCredits(credits));
+        return { ...result, credits };
+    }
+};
+
+function printHuman(result) {
+    const rows = Array.isArray(result) ? result : [result];
+    if (rows.length === 0) {
+        console.log('(none)');
+        return;
+    }
+    rows.forEach((row, index) => {
+        if (index > 0) console.log('');
+        Object.entries(row).forEach(([key, value]) => console.log(`${key}: ${value}`));
+    });
+}
+
+function printError(error, json) {
+    const decoded = MarketClient.decodeError(error);
+    if (json) {
+        console.error(JSON.stringify({
+            error: { kind: decoded.kind, reason: decoded.reason, message: decoded.message, suggestion: decoded.suggestion }
+        }, null, 2));
+    } else {
+        console.error(`Error: ${MarketClient.describeError(decoded)}`);
+    }
+}
+
+async function main() {
+    const { positional, options } = parseArgs(process.argv.slice(2));
+    if (positional.length === 0 || options.help || positional[0] === 'help') {
+        // The usage text is the comment block under the shebang; comments further down are not part of it
+        const lines = fs.readFileSync(__filename, 'utf8').split('\n').slice(1);
+        const end = lines.findIndex(line => !line.startsWith('//'));
+        const header = lines.slice(0, end === -1 ? lines.length : end).map(line => line.replace(/^\/\/ ?/, ''));
+        console.log(header.join('\n'));
+        return;
+    }
+
+    const name = COMMANDS[positional.slice(0, 2).join(' ')] ? positional.slice(0, 2).join(' ') : positional[0];
+    const command = COMMANDS[name];
+    if (!command) throw usageError(`Unknown command: ${positional.join(' ')}`);
+
+    const market = await connect(options);
+    const args = positional.slice(name.split(' ').length);
+    const result = await command(market, args, options);
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printHuman(result);
+    }
+}
+
+main().catch(error => {
+    printError(error, process.argv.includes('--json'));
+    process.exit(1);
+});
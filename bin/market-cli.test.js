@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+function cli(...args) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, 'market-cli.js'), ...args], {
+        encoding: 'utf8',
+        timeout: 30000,
+        env: { ...process.env, PRIVATE_KEY: '', KEYSTORE_PASSWORD: '' }
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function jsonError(result) {
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stdout, '');
+    return JSON.parse(result.stderr).error;
+}
+
+test('--help prints the usage header and nothing below it', () => {
+    const { status, stdout } = cli('--help');
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /^Command-line client for the Private Energy Market/);
+    assert.match(stdout, /Read-only\ncommands work without a key\.\n$/);
+    assert.doesNotMatch(stdout, /const |require\(/);
+});
+
+test('commands run against the simulated market', () => {
+    const offers = cli('--simulated', '--json', 'offer', 'list', '--status', 'active');
+    assert.strictEqual(offers.status, 0);
+    assert.deepStrictEqual(JSON.parse(offers.stdout).map(offer => offer.energyType), ['Solar', 'Wind', 'Solar']);
+
+    const created = cli('--simulated', '--json', 'offer', 'create', '--amount', '5', '--price', '3', '--type', 'hydro');
+    assert.strictEqual(created.status, 0);
+    assert.strictEqual(JSON.parse(created.stdout).status, 'confirmed');
+
+    const human = cli('--simulated', 'session', 'status');
+    assert.strictEqual(human.status, 0);
+    assert.match(human.stdout, /sessionId: 1/);
+});
+
+test('bad arguments are usage errors', () => {
+    assert.deepStrictEqual(jsonError(cli('--simulated', '--json', 'offer', 'fly')), {
+        kind: 'invalid-argument',
+        reason: null,
+        message: 'Unknown command: offer fly',
+        suggestion: 'Run with --help to see the available commands.'
+    });
+    assert.strictEqual(jsonError(cli('--simulated', '--json', 'session', 'set-duration', '5x')).message, 'Invalid duration: 5x');
+    assert.strictEqual(jsonError(cli('--simulated', '--json', 'offer', 'list', '--status', 'open')).message, 'Unknown status: open');
+    assert.strictEqual(jsonError(cli('--simulated', '--json', 'offer', 'list', '--status')).message, 'Missing value for --status');
+    assert.strictEqual(jsonError(cli('--simulated', '--json', 'offer', 'create', '--amount', '5', '--price', '3', '--type', 'coal')).kind, 'invalid-argument');
+});
+
+test('reverts are decoded and human output says what to do', () => {
+    const error = jsonError(cli('--simulated', '--json', 'trade', 'show', '9'));
+    assert.strictEqual(error.kind, 'revert');
+    assert.strictEqual(error.reason, 'Invalid trade ID');
+
+    const human = cli('--simulated', 'trade', 'show', '9');
+    assert.strictEqual(human.status, 1);
+    assert.match(human.stderr, /^Error: No trade exists with that ID/);
+});
@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+// Market indexer service - follows the market's events into SQLite and serves them as JSON
+//
+// Usage:
+//   node bin/market-indexer.js [--network sepolia] [options]
+//   node bin/market-indexer.js --simulated
+//
+// Options:
+//   --network <id>         deployment profile: sepolia (default), local, custom or one from --deployments
+//   --deployments <file>   deployments.json with extra or changed profiles
+//   --chain-id <id>        chain ID for --network custom
+//   --rpc <url>            JSON-RPC endpoint (default: $RPC_URL or the profile's)
+//   --contract <address>   market address (default: $MARKET_ADDRESS or the profile's)
+//   --start-block <n>      first block to scan (default: the profile's startBlock)
+//   --db <file>            SQLite file (default: market-index.<chain ID>.sqlite)
+//   --port <port>          HTTP port (default: $PORT or 8787)
+//   --host <host>          interface to listen on (default: 127.0.0.1)
+//   --interval <seconds>   seconds between syncs (default: 15)
+//   --simulated            index the in-memory simulated market into an in-memory database
+//
+// Endpoints (GET, JSON):
+//   /sessions
+//   /offers?status=active|matched|cancelled&type=solar|wind|hydro|nuclear&seller=0x...
+//   /demands?status=...&buyer=0x...
+//   /trades?account=0x...&session=<id>
+//   /stats
+const fs = require('fs');
+const http = require('http');
+const { ethers } = require('ethers');
+const MarketClient = require('../js/market-client.js');
+const MarketValidation = require('../js/market-validation.js');
+const SimulatedMarket = require('../js/simulated-market.js');
+const MarketDeployments = require('../js/deployments.js');
+const { EventIndexer } = require('../js/event-indexer.js');
+const { openSqliteStore } = require('../js/sqlite-store.js');
+const { jsonLogger } = require('../js/match-bot.js');
+
+const { ENERGY_TYPES, STATUS_TYPES, MarketError } = MarketClient;
+const SIMULATED_ACCOUNT = '0x1dec000000000000000000000000000000000001';
+
+function usageError(message) {
+    return new MarketError('invalid-argument', message,
+        { suggestion: 'See the usage at the top of bin/market-indexer.js.' });
+}
+
+function parseArgs(argv) {
+    const flags = new Set(['simulated']);
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)$/);
+        if (!match) throw usageError(`Unexpected argument: ${argv[i]}`);
+        if (flags.has(match[1])) {
+            args[match[1]] = true;
+        } else {
+            if (i + 1 >= argv.length) throw usageError(`Missing value for --${match[1]}`);
+            args[match[1]] = argv[++i];
+        }
+    }
+    return args;
+}
+
+// As in bin/match-bot.js, with bounds for block numbers (from 0) and ports
+function positiveInteger(args, name, fallback, { min = 1, max = Infinity } = {}) {
+    if (args[name] === undefined) return fallback;
+    if (!/^\d+$/.test(args[name]) || Number(args[name]) < min || Number(args[name]) > max) {
+        const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+        throw usageError(`--${name} must be a whole number ${range}, got "${args[name]}"`);
+    }
+    return Number(args[name]);
+}
+
+async function connect(args) {
+    if (args.simulated) {
+        const market = await SimulatedMarket.createDemoMarket({ account: SIMULATED_ACCOUNT, settlementDelay: 0 });
+        const deployment = { id: 'simulated', name: 'Simulated market', chainId: 0, address: ethers.constants.AddressZero, startBlock: 0 };
+        return { contract: market, deployment, db: ':memory:' };
+    }
+
+    const config = args.deployments ? JSON.parse(fs.readFileSync(args.deployments, 'utf8')) : null;
+    const deployment = MarketDeployments.resolveDeployment({
+        params: {
+            network: args.network,
+            chainId: args['chain-id'],
+            rpc: args.rpc || process.env.RPC_URL,
+            contract: args.contract || process.env.MARKET_ADDRESS
+        },
+        config
+    });
+    if (!deployment.rpcUrl) throw new Error(`No RPC endpoint is set for ${deployment.name}; set RPC_URL or pass --rpc`);
+
+    const provider = new ethers.providers.JsonRpcProvider(deployment.rpcUrl);
+    const contract = MarketClient.connectContract(ethers, provider, deployment.address);
+    const problem = await MarketDeployments.verifyDeployment({ provider, contract, deployment });
+    if (problem) throw problem;
+    return { contract, deployment, db: args.db || `market-index.${deployment.chainId}.sqlite` };
+}
+
+// ---- Query parameters ----
+
+function invalid(message, suggestion) {
+    return new MarketError('invalid-argument', message, { suggestion });
+}
+
+function parseStatus(value) {
+    if (value === null) return null;
+    const index = STATUS_TYPES.findIndex(status => status.toLowerCase() === value.toLowerCase());
+    if (index === -1) throw invalid(`Unknown status: ${value}`, `Use one of: ${STATUS_TYPES.join(', ').toLowerCase()}.`);
+    return index;
+}
+
+function parseAddress(value, label) {
+    if (value === null) return null;
+    if (!ethers.utils.isAddress(value)) throw invalid(`${label} is not an address: ${value}`, 'Pass a 0x-prefixed 20-byte address.');
+    return ethers.utils.getAddress(value);
+}
+
+// ---- Responses, shaped like the CLI's --json output ----
+
+function formatSession(session) {
+    return {
+        sessionId: session.sessionId,
+        // Session 1 starts at deployment, without an event
+        startTime: session.startTime ? new Date(session.startTime * 1000).toISOString() : null,
+        blockNumber: session.blockNumber,
+        trades: session.tradeCount,
+        completedTrades: session.completedTrades,
+        energyKWh: session.energyAmount,
+        valueWei: String(session.tradeValue)
+    };
+}
+
+function formatOrder(order) {
+    return {
+        id: order.id,
+        ...(order.seller !== undefined ? { seller: order.seller, energyType: ENERGY_TYPES[order.energyType] } : { buyer: order.buyer }),
+        status: STATUS_TYPES[order.status],
+        sessionId: order.sessionId,
+        blockNumber: order.blockNumber,
+        transactionHash: order.transactionHash
+    };
+}
+
+function formatTrade(trade) {
+    return {
+        id: trade.id,
+        offerId: trade.offerId,
+        demandId: trade.demandId,
+        seller: trade.seller,
+        buyer: trade.buyer,
+        energyKWh: trade.energyAmount,
+        priceWeiPerKWh: trade.tradePrice,
+        energyType: trade.energyType === null ? null : ENERGY_TYPES[trade.energyType],
+        completed: trade.completed,
+        sessionId: trade.sessionId,
+        blockNumber: trade.blockNumber,
+        matchedTx: trade.matchedTx,
+        completedTx: trade.completedTx
+    };
+}
+
+function formatStats(stats, status) {
+    return {
+        network: status.network,
+        chainId: status.chainId,
+        contract: status.contract,
+        indexedBlock: stats.indexedBlock,
+        headBlock: status.headBlock,
+        lastSync: status.lastSync,
+        sessions: stats.sessions,
+        currentSessionId: stats.currentSessionId,
+        offers: stats.offers,
+        demands: stats.demands,
+        trades: {
+            total: stats.trades.total,
+            completed: stats.trades.completed,
+            energyKWh: stats.trades.energyAmount,
+            valueWei: String(stats.trades.tradeValue)
+        },
+        energyKWhByType: Object.fromEntries(ENERGY_TYPES.map((name, type) => {
+            const row = stats.completedByEnergyType.find(entry => entry.energyType === type);
+            return [name, row ? row.energyAmount : 0];
+        }))
+    };
+}
+
+const ROUTES = {
+    '/sessions': (store) => store.sessions().map(formatSession),
+    '/offers': (store, query) => store.offers({
+        status: parseStatus(query.get('status')),
+        energyType: query.get('type') === null ? null : MarketValidation.energyType(query.get('type')),
+        seller: parseAddress(query.get('seller'), 'Seller')
+    }).map(formatOrder),
+    '/demands': (store, query) => store.demands({
+        status: parseStatus(query.get('status')),
+        buyer: parseAddress(query.get('buyer'), 'Buyer')
+    }).map(formatOrder),
+    '/trades': (store, query) => store.trades({
+        account: parseAddress(query.get('account'), 'Account'),
+        sessionId: query.get('session') === null ? null : MarketValidation.validateId(query.get('session'), 'Session ID')
+    }).map(formatTrade),
+    '/stats': (store, query, status) => formatStats(store.stats(), status)
+};
+
+function createServer(store, status, log) {
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const send = (code, body) => {
+            response.writeHead(code, {
+                'Content-Type': 'application/json; charset=utf-8',
+                // Dashboards on other origins read it straight from the browser
+                'Access-Control-Allow-Origin': '*'
+            });
+            response.end(JSON.stringify(body, null, 2));
+        };
+
+        const route = ROUTES[url.pathname.replace(/\/+$/, '') || '/'];
+        if (request.method !== 'GET') {
+            send(405, { error: { kind: 'invalid-argument', message: `${request.method} is not supported`, suggestion: 'Use GET.' } });
+        } else if (!route) {
+            send(404, { error: { kind: 'invalid-argument', message: `No endpoint at ${url.pathname}`, suggestion: `Use one of: ${Object.keys(ROUTES).join(', ')}.` } });
+        } else {
+            try {
+                send(200, route(store, url.searchParams, status));
+            } catch (error) {
+                const decoded = MarketClient.decodeError(error);
+                if (decoded.kind !== 'invalid-argument') log('request-failed', { path: url.pathname, error: MarketClient.describeError(decoded) });
+                send(decoded.kind === 'invalid-argument' ? 400 : 500,
+                    { error: { kind: decoded.kind, message: decoded.message, suggestion: decoded.suggestion } });
+            }
+        }
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const startBlock = positiveInteger(args, 'start-block', null, { min: 0 });
+    const port = positiveInteger({ port: args.port || process.env.PORT || undefined }, 'port', 8787, { max: 65535 });
+    const interval = positiveInteger(args, 'interval', 15);
+    const log = jsonLogger();
+    const { contract, deployment, db } = await connect(args);
+
+    const store = openSqliteStore(db, deployment);
+    const indexer = new EventIndexer({
+        contract,
+        store,
+        startBlock: startBlock === null ? deployment.startBlock : startBlock,
+        logger: { error: (message, block) => log('reorg', { message, block }) }
+    });
+    const status = {
+        network: deployment.id,
+        chainId: deployment.chainId,
+        contract: deployment.address,
+        headBlock: null,
+        lastSync: null
+    };
+
+    const sync = async () => {
+        try {
+            const result = await indexer.sync({
+                onProgress: ({ from, to, head }) => {
+                    if (head - to > 0) log('backfill', { from, to, head });
+                }
+            });
+            status.headBlock = result.to;
+            status.lastSync = new Date().toISOString();
+            if (result.added > 0) log('synced', result);
+        } catch (error) {
+            // Kept where it was; the next run continues from the last committed chunk
+            log('sync-failed', { error: MarketClient.describeError(error) });
+        }
+    };
+
+    log('starting', { network: deployment.id, chainId: deployment.chainId, contract: deployment.address, db, indexedBlock: store.indexedBlock() });
+    const server = createServer(store, status, log);
+    const host = args.host || '127.0.0.1';
+    server.listen(port, host, () => log('listening', { url: `http://${host}:${port}` }));
+
+    // Runs one sync after another, never two at once
+    let timer = null;
+    let stopped = false;
+    const loop = async () => {
+        await sync();
+        if (!stopped) timer = setTimeout(loop, interval * 1000);
+    };
+    loop();
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        stopped = true;
+        clearTimeout(timer);
+        server.close();
+        store.db.close();
+        log('stopped', { signal });
+        process.exit(0);
+    }));
+}
+
+// Run as a script; required (by the tests) it only exposes the HTTP server
+if (require.main === module) {
+    main().catch(error => {
+        console.error(MarketClient.describeError(error));
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const SimulatedMarket = require('../js/simulated-market.js');
+const { EventIndexer } = require('../js/event-indexer.js');
+const { SqliteStore } = require('../js/sqlite-store.js');
+
+// better-sqlite3 is an optional dependency
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch (error) {
+    Database = null;
+}
+
+const ACCOUNT = '0x1dec000000000000000000000000000000000001';
+const SELLER = '0x5014000000000000000000000000000000000001';
+
+async function serve() {
+    const { createServer } = require('./market-indexer.js');
+    const market = await SimulatedMarket.createDemoMarket({ account: ACCOUNT, settlementDelay: 0 });
+    await market.connect(ACCOUNT).matchTrade(1, 1);
+
+    const store = new SqliteStore({ db: new Database(':memory:'), deployment: { chainId: 0, address: ACCOUNT } });
+    await new EventIndexer({ contract: market, store }).sync();
+    const status = { network: 'simulated', chainId: 0, contract: ACCOUNT, headBlock: null, lastSync: null };
+    const server = createServer(store, status, () => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const get = async path => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+        return { status: response.status, body: await response.json() };
+    };
+    return { get, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('HTTP routes serve the indexed tables', { skip: !Database && 'better-sqlite3 is not installed' }, async () => {
+    const { get, close } = await serve();
+    try {
+        const offers = await get('/offers?status=active&type=solar');
+        assert.strictEqual(offers.status, 200);
+        assert.deepStrictEqual(offers.body.map(offer => offer.id), [3]);
+
+        const trades = await get(`/trades?account=${SELLER}`);
+        assert.strictEqual(trades.body.length, 1);
+        assert.strictEqual(trades.body[0].completed, true);
+        assert.strictEqual(trades.body[0].energyKWh, 500);
+        assert.strictEqual(trades.body[0].priceWeiPerKWh, 40);
+
+        const stats = await get('/stats');
+        assert.strictEqual(stats.body.trades.completed, 1);
+        assert.strictEqual(stats.body.energyKWhByType.Solar, 500);
+        assert.deepStrictEqual(stats.body.offers, { total: 3, active: 2, matched: 1, cancelled: 0 });
+
+        const sessions = await get('/sessions');
+        assert.deepStrictEqual(sessions.body.map(session => session.trades), [1]);
+    } finally {
+        await close();
+    }
+});
+
+test('HTTP routes reject bad parameters and unknown paths', { skip: !Database && 'better-sqlite3 is not installed' }, async () => {
+    const { get, close } = await serve();
+    try {
+        const badStatus = await get('/offers?status=open');
+        assert.strictEqual(badStatus.status, 400);
+        assert.strictEqual(badStatus.body.error.kind, 'invalid-argument');
+
+        const badAccount = await get('/trades?account=0x1234');
+        assert.strictEqual(badAccount.status, 400);
+
+        assert.strictEqual((await get('/orders')).status, 404);
+    } finally {
+        await close();
+    }
+});
+
+
+test('invalid arguments exit with a usage error before connecting', () => {
+    const cases = [
+        [['--interval', 'abc'], /--interval must be a whole number of at least 1, got "abc"/],
+        [['--interval', '0'], /--interval must be a whole number of at least 1/],
+        [['--start-block', 'foo'], /--start-block must be a whole number of at least 0, got "foo"/],
+        [['--start-block', '-5'], /--start-block must be a whole number of at least 0, got "-5"/],
+        [['--port', '70000'], /--port must be a whole number from 1 to 65535, got "70000"/],
+        [['--port', '80a'], /--port must be a whole number from 1 to 65535/],
+        [['--simulated', 'extra'], /Unexpected argument: extra/],
+        [['--db'], /Missing value for --db/]
+    ];
+    cases.forEach(([args, message]) => {
+        const result = spawnSync(process.execPath, [path.join(__dirname, 'market-indexer.js'), '--simulated', ...args], {
+            encoding: 'utf8',
+            timeout: 30000,
+            env: { ...process.env, PORT: '' }
+        });
+        assert.strictEqual(result.status, 1, args.join(' '));
+        assert.match(result.stderr, message);
+        assert.match(result.stderr, /See the usage at the top of bin\/market-indexer\.js/);
+        assert.strictEqual(result.stdout, '');
+    });
+});
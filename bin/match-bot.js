@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// Auto-matching bot for the Private Energy Market
+//
+// Usage:
+//   PRIVATE_KEY=0x... node bin/match-bot.js [--network sepolia] [options]
+//   node bin/match-bot.js --simulated --once
+//
+// Options:
+//   --network <id>           deployment profile: sepolia (default), local, custom or one from --deployments
+//   --deployments <file>     deployments.json with extra or changed profiles
+//   --chain-id <id>          chain ID for --network custom
+//   --rpc <url>              JSON-RPC endpoint (default: $RPC_URL or the profile's)
+//   --contract <address>     market address (default: $MARKET_ADDRESS or the profile's)
+//   --interval <seconds>     seconds between scans (default: 30)
+//   --max-per-session <n>    stop matching after n matches in a session
+//   --strategy <name|path>   built-in strategy name or a module exporting (orders, context) => pairs
+//   --dry-run                log the pairs that would be matched without sending transactions
+//   --once                   run a single scan and exit
+//   --simulated              run against the in-memory simulated market instead of a chain
+//
+// The signing key is only read from $PRIVATE_KEY so it never shows up in the process list.
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const MarketClient = require('../js/market-client.js');
+const FheClient = require('../js/fhe-client.js');
+const SimulatedMarket = require('../js/simulated-market.js');
+const MarketDeployments = require('../js/deployments.js');
+const { MatchBot, STRATEGIES, jsonLogger } = require('../js/match-bot.js');
+
+const { MarketError } = MarketClient;
+const SIMULATED_BOT_ACCOUNT = '0xb070000000000000000000000000000000000001';
+
+function usageError(message) {
+    return new MarketError('invalid-argument', message,
+        { suggestion: 'See the usage at the top of bin/match-bot.js.' });
+}
+
+function parseArgs(argv) {
+    const flags = new Set(['dry-run', 'once', 'simulated']);
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)$/);
+        if (!match) throw usageError(`Unexpected argument: ${argv[i]}`);
+        if (flags.has(match[1])) {
+            args[match[1]] = true;
+        } else {
+            if (i + 1 >= argv.length) throw usageError(`Missing value for --${match[1]}`);
+            args[match[1]] = argv[++i];
+        }
+    }
+    return args;
+}
+
+function positiveInteger(args, name, fallback) {
+    if (args[name] === undefined) return fallback;
+    if (!/^\d+$/.test(args[name]) || Number(args[name]) < 1) {
+        throw usageError(`--${name} must be a whole number of at least 1, got "${args[name]}"`);
+    }
+    return Number(args[name]);
+}
+
+function loadStrategy(name) {
+    if (!name) return STRATEGIES['price-time'];
+    if (STRATEGIES[name]) return STRATEGIES[name];
+    const strategy = require(path.resolve(name));
+    if (typeof strategy !== 'function') {
+        throw new Error(`Strategy module ${name} must export a function`);
+    }
+    return strategy;
+}
+
+async function connect(args, log) {
+    // Failures the client works around end up in the structured log too
+    const logger = { error: (message, error) => log('client-error', { message, error: MarketClient.describeError(error) }) };
+
+    if (args.simulated) {
+        const fhe = new FheClient.MockFheClient();
+        const market = await SimulatedMarket.createDemoMarket({ account: SIMULATED_BOT_ACCOUNT, fhe, settlementDelay: 1000 });
+        return new MarketClient.MarketClient({
+            contract: market.connect(SIMULATED_BOT_ACCOUNT),
+            account: SIMULATED_BOT_ACCOUNT,
+            fhe,
+            logger
+        });
+    }
+
+    const config = args.deployments ? JSON.parse(fs.readFileSync(args.deployments, 'utf8')) : null;
+    const deployment = MarketDeployments.resolveDeployment({
+        params: {
+            network: args.network,
+            chainId: args['chain-id'],
+            rpc: args.rpc || process.env.RPC_URL,
+            contract: args.contract || process.env.MARKET_ADDRESS
+        },
+        config
+    });
+    if (!deployment.rpcUrl) throw new Error(`No RPC endpoint is set for ${deployment.name}; set RPC_URL or pass --rpc`);
+    if (!process.env.PRIVATE_KEY) throw new Error('Set PRIVATE_KEY to the bot account key');
+
+    const provider = new ethers.providers.JsonRpcProvider(deployment.rpcUrl);
+    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    const address = deployment.address;
+    const contract = MarketClient.connectContract(ethers, wallet, address);
+    const problem = await MarketDeployments.verifyDeployment({ provider, contract, deployment });
+    if (problem) throw problem;
+
+    let fhe = null;
+    try {
+        fhe = FheClient.createFheClient({
+            mode: deployment.fhe,
+            sdk: deployment.fhe === 'mock' ? null : require('@zama-fhe/relayer-sdk/node'),
+            network: deployment.rpcUrl
+        });
+    } catch (error) {
+        // Without the relayer SDK no values can be read and the default strategy matches nothing
+        console.error(`Relayer SDK unavailable: ${error.message}`);
+    }
+    return new MarketClient.MarketClient({
+        contract,
+        account: wallet.address,
+        signer: wallet,
+        fhe,
+        address,
+        multicall: MarketClient.connectMulticall(ethers, provider),
+        startBlock: deployment.startBlock,
+        logger
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    // Checked before connecting, so a typo fails fast
+    const maxMatchesPerSession = positiveInteger(args, 'max-per-session', Infinity);
+    const interval = positiveInteger(args, 'interval', 30);
+    const log = jsonLogger();
+    const market = await connect(args, log);
+
+    const bot = new MatchBot({
+        market,
+        strategy: loadStrategy(args.strategy),
+        dryRun: args['dry-run'],
+        maxMatchesPerSession,
+        interval: interval * 1000,
+        settlePollInterval: args.simulated ? 250 : 3000,
+        log
+    });
+
+    if (args.once) {
+        await bot.runOnce();
+        return;
+    }
+
+    bot.start();
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        bot.stop();
+        process.exit(0);
+    }));
+}
+
+main().catch(error => {
+    console.error(MarketClient.describeError(error));
+    process.exit(1);
+});
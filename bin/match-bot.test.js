@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+function run(...args) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, 'match-bot.js'), ...args], {
+        encoding: 'utf8',
+        timeout: 30000,
+        env: { ...process.env, PRIVATE_KEY: '' }
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('--simulated --once --dry-run logs one scan and the planned match', () => {
+    const { status, stdout } = run('--simulated', '--once', '--dry-run');
+    assert.strictEqual(status, 0);
+
+    const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(events.map(entry => entry.event), ['scan', 'match-planned']);
+    assert.strictEqual(events[1].offerId, 2);
+    assert.strictEqual(events[1].demandId, 1);
+});
+
+test('invalid arguments exit with a usage error before connecting', () => {
+    const cases = [
+        [['--max-per-session', '0'], /--max-per-session must be a whole number of at least 1, got "0"/],
+        [['--max-per-session', 'ten'], /--max-per-session must be a whole number/],
+        [['--interval', '2.5'], /--interval must be a whole number/],
+        [['--once', 'extra'], /Unexpected argument: extra/],
+        [['--strategy'], /Missing value for --strategy/]
+    ];
+    cases.forEach(([args, message]) => {
+        const { status, stdout, stderr } = run(...args);
+        assert.strictEqual(status, 1, args.join(' '));
+        assert.match(stderr, message);
+        assert.match(stderr, /See the usage at the top of bin\/match-bot\.js/);
+        assert.strictEqual(stdout, '');
+    });
+});
+
+test('a chain connection without a signing key is refused', () => {
+    const { status, stderr } = run('--network', 'local', '--contract', '0x1000000000000000000000000000000000000001', '--once');
+    assert.strictEqual(status, 1);
+    assert.match(stderr, /PRIVATE_KEY/);
+});
@@ -0,0 +1,230 @@
+// Batch reader - coalesces contract reads into Multicall3 calls
+//
+// Reads requested in the same tick are sent together: as one Multicall3
+// aggregate3 call when Multicall3 is deployed on the chain, otherwise as
+// direct calls with a limit on how many are in flight. Results are cached
+// until the chain moves to a new block, so rendering the same data twice
+// (market status, order lists, trade history, order book) costs one round.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BatchReader = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Same address on every chain that has it (https://www.multicall3.com)
+    const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+    const MULTICALL3_ABI = [
+        'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+    ];
+
+    /**
+     * Multicall3 as an ethers Contract; `runner` is a provider or a signer.
+     */
+    function connectMulticall(ethers, runner, address = MULTICALL3_ADDRESS) {
+        return new ethers.Contract(address, MULTICALL3_ABI, runner);
+    }
+
+    // Same shape as the error ethers throws for a reverted call, so
+    // MarketErrors.decodeError finds the revert reason in `data`
+    function callException(method, data) {
+        const error = new Error(`call revert exception (method="${method}")`);
+        error.code = 'CALL_EXCEPTION';
+        error.method = method;
+        error.data = data;
+        return error;
+    }
+
+    class BatchReader {
+        /**
+         * @param {object} options
+         * @param {object} options.contract - ethers Contract, or any object with the same read methods
+         * @param {object} [options.multicall] - Multicall3 contract from connectMulticall; omit to never use it
+         * @param {number} [options.concurrency=8] - direct calls in flight when Multicall3 is not used
+         * @param {number} [options.maxBatchSize=100] - calls per aggregate3 request
+         * @param {number} [options.blockTtl=1000] - ms a block number is trusted before it is read again
+         */
+        constructor({ contract, multicall = null, concurrency = 8, maxBatchSize = 100, blockTtl = 1000 }) {
+            this.contract = contract;
+            this.multicall = multicall;
+            this.concurrency = concurrency;
+            this.maxBatchSize = maxBatchSize;
+            this.blockTtl = blockTtl;
+
+            // Without a provider (the simulated market) there are no blocks to key a cache on
+            this.provider = contract.provider || null;
+            this.multicallAvailable = null;
+            this.block = null;
+            this.cache = new Map();
+            this.cacheBlock = null;
+            this.queue = [];
+            this.flushScheduled = false;
+            this.inFlight = 0;
+            this.waiting = [];
+        }
+
+        /**
+         * Resolves to what `contract[method](...args)` would, served from the
+         * cache when the same read was made in the current block.
+         */
+        call(method, ...args) {
+            const key = `${method}(${args.map(String).join(',')})`;
+            return this.blockNumber().then(blockNumber => {
+                if (blockNumber !== this.cacheBlock) {
+                    this.cache.clear();
+                    this.cacheBlock = blockNumber;
+                }
+                if (blockNumber !== null && this.cache.has(key)) return this.cache.get(key);
+
+                const result = new Promise((resolve, reject) => {
+                    this.queue.push({ method, args, blockNumber, resolve, reject });
+                    this.scheduleFlush();
+                });
+                if (blockNumber !== null) {
+                    this.cache.set(key, result);
+                    // Failures are not cached; the next render retries them
+                    result.catch(() => {
+                        if (this.cache.get(key) === result) this.cache.delete(key);
+                    });
+                }
+                return result;
+            });
+        }
+
+        // Forgets every cached result, e.g. once the caller knows state changed
+        clear() {
+            this.cache.clear();
+            this.cacheBlock = null;
+            this.block = null;
+        }
+
+        blockNumber() {
+            if (!this.provider) return Promise.resolve(null);
+            const now = Date.now();
+            if (!this.block || now - this.block.readAt > this.blockTtl) {
+                const block = { readAt: now, number: this.provider.getBlockNumber() };
+                this.block = block;
+                block.number.catch(() => {
+                    if (this.block === block) this.block = null;
+                });
+            }
+            // A provider that cannot say which block it is on still serves uncached reads
+            return this.block.number.catch(() => null);
+        }
+
+        scheduleFlush() {
+            if (this.flushScheduled) return;
+            this.flushScheduled = true;
+            // Runs after the current tick, so a Promise.all over many reads becomes one batch
+            setTimeout(() => {
+                this.flushScheduled = false;
+                const calls = this.queue;
+                this.queue = [];
+                this.flush(calls);
+            }, 0);
+        }
+
+        async flush(calls) {
+            if (calls.length === 0) return;
+
+            if (await this.canMulticall()) {
+                // A flush can span a block change; each aggregate3 reads at one block
+                const byBlock = new Map();
+                calls.forEach(call => {
+                    if (!byBlock.has(call.blockNumber)) byBlock.set(call.blockNumber, []);
+                    byBlock.get(call.blockNumber).push(call);
+                });
+                byBlock.forEach((group, blockNumber) => {
+                    for (let i = 0; i < group.length; i += this.maxBatchSize) {
+                        this.aggregate(group.slice(i, i + this.maxBatchSize), blockNumber);
+                    }
+                });
+                return;
+            }
+            calls.forEach(call => this.direct(call));
+        }
+
+        canMulticall() {
+            if (!this.multicall || !this.provider || !this.contract.interface) return Promise.resolve(false);
+            if (this.multicallAvailable === null) {
+                this.multicallAvailable = this.provider.getCode(this.multicall.address)
+                    .then(code => Boolean(code) && code !== '0x')
+                    .catch(() => {
+                        // Asked again on the next flush
+                        this.multicallAvailable = null;
+                        return false;
+                    });
+            }
+            return this.multicallAvailable;
+        }
+
+        // `calls` all share `blockNumber`, which the batch is read at
+        async aggregate(calls, blockNumber) {
+            const iface = this.contract.interface;
+            let results;
+            try {
+                const overrides = blockNumber === null ? {} : { blockTag: blockNumber };
+                results = await this.multicall.callStatic.aggregate3(calls.map(call => ({
+                    target: this.contract.address,
+                    allowFailure: true,
+                    callData: iface.encodeFunctionData(call.method, call.args)
+                })), overrides);
+            } catch (error) {
+                // The batch as a whole failed (too large, RPC limits, ...): read one by one instead
+                calls.forEach(call => this.direct(call));
+                return;
+            }
+
+            calls.forEach((call, index) => {
+                const { success, returnData } = results[index];
+                if (!success) {
+                    call.reject(callException(call.method, returnData));
+                    return;
+                }
+                try {
+                    const decoded = iface.decodeFunctionResult(call.method, returnData);
+                    // Like an ethers Contract: a single output comes back unwrapped
+                    call.resolve(decoded.length === 1 ? decoded[0] : decoded);
+                } catch (error) {
+                    call.reject(error);
+                }
+            });
+        }
+
+        async direct(call) {
+            await this.acquire();
+            try {
+                const args = call.blockNumber === null ? call.args : [...call.args, { blockTag: call.blockNumber }];
+                call.resolve(await this.contract[call.method](...args));
+            } catch (error) {
+                call.reject(error);
+            } finally {
+                this.release();
+            }
+        }
+
+        acquire() {
+            if (this.inFlight < this.concurrency) {
+                this.inFlight++;
+                return Promise.resolve();
+            }
+            return new Promise(resolve => this.waiting.push(resolve));
+        }
+
+        release() {
+            const next = this.waiting.shift();
+            if (next) {
+                next();
+            } else {
+                this.inFlight--;
+            }
+        }
+    }
+
+    return {
+        MULTICALL3_ADDRESS,
+        MULTICALL3_ABI,
+        BatchReader,
+        connectMulticall
+    };
+});
\ No newline at end of file
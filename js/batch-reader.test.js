@@ -0,0 +1,160 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { BatchReader, MULTICALL3_ADDRESS } = require('./batch-reader.js');
+const { decodeError } = require('./market-errors.js');
+
+const MARKET = '0x3a1e000000000000000000000000000000000001';
+const iface = new ethers.utils.Interface([
+    'function offerValue(uint256 id) view returns (uint256)',
+    'function missingOffer() view returns (uint256)'
+]);
+const REVERT_DATA = '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], ['Invalid offer ID']).slice(2);
+
+/**
+ * A market with one read, offerValue(id) = block * 1000 + id, and one that
+ * reverts; `multicall` is a stub Multicall3 running the same reads. Every
+ * call lands in `direct` or `aggregates`.
+ */
+function fakeMarket({ deployed = true } = {}) {
+    const chain = { block: 10, inFlight: 0, maxInFlight: 0, failAggregate: false, direct: [], aggregates: [] };
+    const read = (method, [id], blockTag) => {
+        if (method === 'missingOffer') throw Object.assign(new Error('call revert exception'), { code: 'CALL_EXCEPTION', data: REVERT_DATA });
+        return blockTag * 1000 + Number(id);
+    };
+
+    chain.contract = {
+        address: MARKET,
+        interface: iface,
+        provider: {
+            getBlockNumber: async () => chain.block,
+            getCode: async () => (deployed ? '0x6080' : '0x')
+        },
+        offerValue: async (id, overrides) => {
+            chain.direct.push({ id, blockTag: overrides && overrides.blockTag });
+            chain.inFlight++;
+            chain.maxInFlight = Math.max(chain.maxInFlight, chain.inFlight);
+            await new Promise(resolve => setTimeout(resolve, 1));
+            chain.inFlight--;
+            return read('offerValue', [id], overrides ? overrides.blockTag : chain.block);
+        },
+        missingOffer: async () => read('missingOffer', [])
+    };
+    chain.multicall = {
+        address: MULTICALL3_ADDRESS,
+        callStatic: {
+            aggregate3: async (calls, overrides) => {
+                chain.aggregates.push({ size: calls.length, blockTag: overrides.blockTag });
+                if (chain.failAggregate) throw new Error('request entity too large');
+                return calls.map(({ target, callData }) => {
+                    assert.strictEqual(target, MARKET);
+                    const { name, args } = iface.parseTransaction({ data: callData });
+                    try {
+                        return { success: true, returnData: iface.encodeFunctionResult(name, [read(name, args, overrides.blockTag)]) };
+                    } catch (error) {
+                        return { success: false, returnData: error.data };
+                    }
+                });
+            }
+        }
+    };
+    return chain;
+}
+
+const numbers = values => values.map(value => Number(value.toString()));
+
+test('reads made together go out as one aggregate3 at the current block', async () => {
+    const chain = fakeMarket();
+    const reader = new BatchReader({ contract: chain.contract, multicall: chain.multicall });
+
+    const values = await Promise.all([1, 2, 3].map(id => reader.call('offerValue', id)));
+    assert.deepStrictEqual(numbers(values), [10001, 10002, 10003]);
+    assert.deepStrictEqual(chain.aggregates, [{ size: 3, blockTag: 10 }]);
+    assert.strictEqual(chain.direct.length, 0);
+});
+
+test('a failed call inside the batch rejects with its revert reason', async () => {
+    const chain = fakeMarket();
+    const reader = new BatchReader({ contract: chain.contract, multicall: chain.multicall });
+
+    const [value, missing] = await Promise.allSettled([reader.call('offerValue', 1), reader.call('missingOffer')]);
+    assert.strictEqual(Number(value.value.toString()), 10001);
+    assert.strictEqual(missing.reason.code, 'CALL_EXCEPTION');
+    assert.strictEqual(decodeError(missing.reason).reason, 'Invalid offer ID');
+    assert.strictEqual(chain.aggregates.length, 1);
+});
+
+test('large batches are split at maxBatchSize', async () => {
+    const chain = fakeMarket();
+    const reader = new BatchReader({ contract: chain.contract, multicall: chain.multicall, maxBatchSize: 2 });
+
+    await Promise.all([1, 2, 3, 4, 5].map(id => reader.call('offerValue', id)));
+    assert.deepStrictEqual(chain.aggregates.map(batch => batch.size), [2, 2, 1]);
+});
+
+test('results are cached per block until the block changes or clear() is called', async () => {
+    const chain = fakeMarket();
+    const reader = new BatchReader({ contract: chain.contract, multicall: chain.multicall, blockTtl: 0 });
+
+    await reader.call('offerValue', 1);
+    assert.strictEqual(Number((await reader.call('offerValue', 1)).toString()), 10001);
+    assert.strictEqual(chain.aggregates.length, 1);
+
+    chain.block = 11;
+    // A block number read in the same millisecond is still trusted
+    reader.block = null;
+    assert.strictEqual(Number((await reader.call('offerValue', 1)).toString()), 11001);
+    assert.strictEqual(chain.aggregates.length, 2);
+
+    reader.clear();
+    assert.strictEqual(reader.cacheBlock, null);
+    await reader.call('offerValue', 1);
+    assert.deepStrictEqual(chain.aggregates.map(batch => batch.blockTag), [10, 11, 11]);
+});
+
+test('a flush spanning a block change sends one aggregate3 per block', async () => {
+    const chain = fakeMarket();
+    const reader = new BatchReader({ contract: chain.contract, multicall: chain.multicall });
+
+    const first = reader.call('offerValue', 1);
+    chain.block = 11;
+    reader.block = null;
+    const second = reader.call('offerValue', 2);
+
+    assert.deepStrictEqual(numbers(await Promise.all([first, second])), [10001, 11002]);
+    assert.deepStrictEqual(chain.aggregates, [{ size: 1, blockTag: 10 }, { size: 1, blockTag: 11 }]);
+});
+
+test('without Multicall3 reads are direct, at the block and with limited concurrency', async () => {
+    const chain = fakeMarket({ deployed: false });
+    const reader = new BatchReader({ contract: chain.contract, multicall: chain.multicall, concurrency: 3 });
+
+    const values = await Promise.all([1, 2, 3, 4, 5, 6, 7].map(id => reader.call('offerValue', id)));
+    assert.deepStrictEqual(values, [10001, 10002, 10003, 10004, 10005, 10006, 10007]);
+    assert.strictEqual(chain.aggregates.length, 0);
+    assert.strictEqual(chain.maxInFlight, 3);
+    assert.ok(chain.direct.every(call => call.blockTag === 10));
+});
+
+test('a batch the RPC refuses is read one call at a time', async () => {
+    const chain = fakeMarket();
+    chain.failAggregate = true;
+    const reader = new BatchReader({ contract: chain.contract, multicall: chain.multicall, concurrency: 2 });
+
+    const values = await Promise.all([1, 2, 3].map(id => reader.call('offerValue', id)));
+    assert.deepStrictEqual(values, [10001, 10002, 10003]);
+    assert.strictEqual(chain.aggregates.length, 1);
+    assert.strictEqual(chain.direct.length, 3);
+    assert.strictEqual(chain.maxInFlight, 2);
+});
+
+test('without a provider nothing is cached or batched', async () => {
+    const chain = fakeMarket();
+    const contract = { ...chain.contract, provider: undefined };
+    const reader = new BatchReader({ contract, multicall: chain.multicall });
+
+    await reader.call('offerValue', 1);
+    await reader.call('offerValue', 1);
+    assert.strictEqual(chain.aggregates.length, 0);
+    assert.deepStrictEqual(chain.direct, [{ id: 1, blockTag: undefined }, { id: 1, blockTag: undefined }]);
+});
\ No newline at end of file
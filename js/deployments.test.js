@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveDeployment, describeOverrides, paramsFromSearch, PROFILES } = require('./deployments.js');
+
+const LOOK_ALIKE = '0x2F0f34ea9aaeF551ac550b42Da0617b929286fF2';
+
+test('Sepolia is the default and its deployment block is looked up', () => {
+    const deployment = resolveDeployment();
+    assert.strictEqual(deployment.id, 'sepolia');
+    assert.strictEqual(deployment.address, PROFILES.sepolia.address);
+    assert.strictEqual(deployment.startBlock, null);
+    assert.deepStrictEqual(deployment.overrides, []);
+    assert.strictEqual(describeOverrides(deployment), null);
+});
+
+test('a link cannot change the contract or RPC of Sepolia', () => {
+    [
+        `?contract=${LOOK_ALIKE}`,
+        '?network=sepolia&rpc=https://rpc.example',
+        `?chainId=1&contract=${LOOK_ALIKE}`
+    ].forEach(search => assert.throws(
+        () => resolveDeployment({ params: paramsFromSearch(search), fromLink: true }),
+        { kind: 'invalid-deployment', message: /^This link changes the .* of Sepolia$/ }
+    ));
+
+    // The command-line tools take the same values from their own arguments
+    assert.strictEqual(resolveDeployment({ params: { contract: LOOK_ALIKE } }).address, LOOK_ALIKE);
+});
+
+test('links may point the dev profiles elsewhere, and say so', () => {
+    const local = resolveDeployment({ params: paramsFromSearch(`?network=local&contract=${LOOK_ALIKE}`), fromLink: true });
+    assert.strictEqual(local.address, LOOK_ALIKE);
+    assert.strictEqual(describeOverrides(local), `contract ${LOOK_ALIKE}`);
+
+    const custom = resolveDeployment({
+        params: paramsFromSearch(`?network=custom&chainId=8009&rpc=https://rpc.example&contract=${LOOK_ALIKE}`),
+        fromLink: true
+    });
+    assert.deepStrictEqual([custom.chainId, custom.rpcUrl, custom.startBlock], [8009, 'https://rpc.example', null]);
+    assert.strictEqual(describeOverrides(custom), `chain 8009, RPC https://rpc.example, contract ${LOOK_ALIKE}`);
+});
+
+test('profiles from deployments.json are merged and need a chain and an address', () => {
+    const config = { default: 'staging', profiles: { staging: { chainId: 8009, address: LOOK_ALIKE, startBlock: 4200000 } } };
+    const staging = resolveDeployment({ config });
+    assert.deepStrictEqual([staging.id, staging.name, staging.startBlock, staging.fhe], ['staging', 'staging', 4200000, 'relayer']);
+
+    assert.throws(() => resolveDeployment({ params: { network: 'mainnet' } }), { kind: 'invalid-deployment', message: 'Unknown network "mainnet"' });
+    assert.throws(() => resolveDeployment({ params: { network: 'local' } }), { message: 'No valid contract address is set for Local dev chain' });
+    assert.throws(() => resolveDeployment({ params: { network: 'custom', contract: LOOK_ALIKE } }), { message: 'No valid chain ID is set for Custom network' });
+});
\ No newline at end of file
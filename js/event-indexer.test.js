@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventIndexer, MemoryStore, findDeploymentBlock } = require('./event-indexer.js');
+const { ORDER_STATUS } = require('./market-abi.js');
+const { createDemoMarket } = require('./simulated-market.js');
+
+const OWNER = '0x0a0e000000000000000000000000000000000001';
+const SELLER = '0x5014000000000000000000000000000000000001';
+const FACTORY = '0x5014000000000000000000000000000000000003';
+
+const quietLogger = () => {
+    const messages = [];
+    return { messages, error: (...args) => messages.push(args) };
+};
+
+/**
+ * A chain of `length` empty blocks whose history can be rewritten from
+ * any block on, standing in for a provider plus contract.
+ */
+function fakeChain(length) {
+    const blocks = Array.from({ length }, (value, number) => ({ hash: `0x${number}a`, logs: [] }));
+    const chain = {
+        blocks,
+        address: '0x3a1e000000000000000000000000000000000001',
+        deployedAt: 0,
+        provider: {
+            getBlockNumber: async () => blocks.length - 1,
+            getBlock: async number => blocks[number] || null,
+            getCode: async (address, blockTag) => (blockTag >= chain.deployedAt ? '0x6080' : '0x')
+        },
+        queryFilter: async (eventName, from, to) => blocks.slice(from, to + 1).flatMap(block => block.logs),
+        log(number, event, args) {
+            const block = blocks[number];
+            block.logs.push({ event, args, blockNumber: number, blockHash: block.hash, logIndex: block.logs.length, transactionHash: `0x${number}f${block.logs.length}` });
+        },
+        // Replaces every block from `number` on with empty blocks of a new branch
+        reorg(number, branch) {
+            for (let i = number; i < blocks.length; i++) blocks[i] = { hash: `0x${i}${branch}`, logs: [] };
+        }
+    };
+    return chain;
+}
+
+test('sync projects the market and resumes from the last indexed block', async () => {
+    const market = await createDemoMarket({ account: OWNER, settlementDelay: 0 });
+    const store = new MemoryStore();
+    const indexer = new EventIndexer({ contract: market, store });
+
+    const first = await indexer.sync();
+    assert.strictEqual(first.added, 5);
+    assert.deepStrictEqual((await indexer.offers({ seller: SELLER })).map(offer => offer.id), [1, 3]);
+
+    await market.matchTrade(1, 1);
+    await market.connect(FACTORY).cancelDemand(2);
+    const second = await indexer.sync();
+    assert.strictEqual(second.from, first.to + 1);
+    assert.strictEqual(second.added, 3);
+
+    const [trade] = await indexer.trades({ account: FACTORY });
+    assert.deepStrictEqual([trade.id, trade.completed, trade.energyAmount, trade.tradePrice], [1, true, 500, 40]);
+    assert.deepStrictEqual((await indexer.demands()).map(demand => demand.status), [ORDER_STATUS.MATCHED, ORDER_STATUS.CANCELLED]);
+    assert.strictEqual((await indexer.sessions())[0].trades.length, 1);
+
+    // A second indexer on the same store starts where the first stopped
+    const resumed = await new EventIndexer({ contract: market, store }).sync();
+    assert.strictEqual(resumed.added, 0);
+});
+
+test('ranges the RPC rejects are retried in smaller chunks', async () => {
+    const chain = fakeChain(40);
+    chain.log(3, 'EnergyOfferCreated', { offerId: 1, seller: SELLER, energyType: 0 });
+    chain.log(37, 'EnergyOfferCreated', { offerId: 2, seller: SELLER, energyType: 1 });
+    const queryFilter = chain.queryFilter;
+    chain.queryFilter = async (eventName, from, to) => {
+        if (to - from + 1 > 8) throw new Error('block range too large');
+        return queryFilter(eventName, from, to);
+    };
+
+    const indexer = new EventIndexer({ contract: chain, chunkSize: 32, logger: quietLogger() });
+    const result = await indexer.sync();
+    assert.strictEqual(result.added, 2);
+    assert.strictEqual(indexer.maxChunkSize, 8);
+});
+
+test('checkReorg rolls back to the newest block the chain still agrees with', async () => {
+    const chain = fakeChain(21);
+    chain.log(5, 'EnergyOfferCreated', { offerId: 1, seller: SELLER, energyType: 0 });
+    chain.log(15, 'EnergyOfferCreated', { offerId: 2, seller: SELLER, energyType: 1 });
+    chain.log(18, 'OfferCancelled', { offerId: 2, seller: SELLER });
+
+    const logger = quietLogger();
+    const store = new MemoryStore();
+    // One block per chunk, so every recent block gets a checkpoint
+    const indexer = new EventIndexer({ contract: chain, store, chunkSize: 1, maxChunkSize: 1, reorgDepth: 12, logger });
+    await indexer.sync();
+    assert.strictEqual((await indexer.offers({ status: ORDER_STATUS.CANCELLED })).length, 1);
+
+    // Blocks 16 on are replaced: the cancellation is gone and offer 3 appears instead
+    chain.reorg(16, 'b');
+    chain.log(17, 'EnergyOfferCreated', { offerId: 3, seller: SELLER, energyType: 2 });
+    await indexer.sync();
+
+    assert.deepStrictEqual(logger.messages, [['Chain reorganisation detected, re-indexing from block', 16]]);
+    assert.deepStrictEqual((await indexer.offers()).map(offer => [offer.id, offer.status]),
+        [[1, ORDER_STATUS.ACTIVE], [2, ORDER_STATUS.ACTIVE], [3, ORDER_STATUS.ACTIVE]]);
+    assert.deepStrictEqual((await store.events()).map(event => event.blockNumber), [5, 15, 17]);
+    assert.strictEqual((await store.load()).checkpoints.slice(-1)[0].hash, '0x20b');
+});
+
+test('without a surviving checkpoint the rollback goes back the full reorg depth', async () => {
+    const chain = fakeChain(21);
+    chain.log(5, 'EnergyOfferCreated', { offerId: 1, seller: SELLER, energyType: 0 });
+    chain.log(15, 'EnergyOfferCreated', { offerId: 2, seller: SELLER, energyType: 1 });
+
+    const logger = quietLogger();
+    const store = new MemoryStore();
+    // A single chunk: only the head block is checkpointed
+    const indexer = new EventIndexer({ contract: chain, store, reorgDepth: 12, logger });
+    await indexer.sync();
+    assert.deepStrictEqual((await store.load()).checkpoints.map(checkpoint => checkpoint.number), [20]);
+
+    chain.reorg(10, 'c');
+    await indexer.sync();
+
+    // Checkpoint 20 minus the depth of 12: blocks 8 on are indexed again
+    assert.deepStrictEqual(logger.messages, [['Chain reorganisation detected, re-indexing from block', 8]]);
+    assert.deepStrictEqual((await indexer.offers()).map(offer => offer.id), [1]);
+});
+
+test('an unrecorded start block is found from the contract code', async () => {
+    const chain = fakeChain(60);
+    chain.deployedAt = 37;
+    assert.strictEqual(await findDeploymentBlock(chain.provider, chain.address), 37);
+
+    chain.log(37, 'EnergyOfferCreated', { offerId: 1, seller: SELLER, energyType: 0 });
+    const ranges = [];
+    const queryFilter = chain.queryFilter;
+    chain.queryFilter = async (eventName, from, to) => {
+        ranges.push(from);
+        return queryFilter(eventName, from, to);
+    };
+    const indexer = new EventIndexer({ contract: chain, startBlock: null });
+    assert.deepStrictEqual(await indexer.sync(), { from: 37, to: 59, added: 1 });
+    assert.deepStrictEqual(ranges, [37]);
+
+    // An RPC without past state cannot tell
+    chain.provider.getCode = async () => { throw new Error('missing trie node'); };
+    assert.strictEqual(await findDeploymentBlock(chain.provider, chain.address), 0);
+});
\ No newline at end of file
@@ -0,0 +1,244 @@
+// FHE client - builds encrypted contract inputs and decrypts the user's own
+// handles and public values in the browser (or Node)
+//
+// RelayerFheClient talks to the Zama relayer SDK (window.relayerSDK in the
+// browser). MockFheClient produces fake handles and keeps the plaintexts in
+// memory so the app can be developed and tested without Sepolia or the gateway.
+// Both expose the same encryptUint32/userDecrypt/publicDecrypt interface.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FheClient = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const UINT32_MAX = 0xffffffff;
+    const DECRYPTION_DURATION_DAYS = 1;
+
+    function toHex(bytes) {
+        if (typeof bytes === 'string') {
+            return bytes.startsWith('0x') ? bytes : `0x${bytes}`;
+        }
+        return '0x' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function randomHex(byteLength) {
+        const bytes = new Uint8Array(byteLength);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < byteLength; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        return toHex(bytes);
+    }
+
+    function assertUint32(value) {
+        if (!Number.isInteger(value) || value < 0 || value > UINT32_MAX) {
+            throw new Error(`Value ${value} does not fit in a uint32`);
+        }
+    }
+
+    class RelayerFheClient {
+        constructor(sdk, options = {}) {
+            if (!sdk) {
+                throw new Error('Zama relayer SDK is not loaded');
+            }
+            this.sdk = sdk;
+            this.options = options;
+            this.instance = null;
+            // One signed decryption permit per user/contract, reused until it expires
+            this.decryptionPermits = new Map();
+        }
+
+        async init() {
+            if (this.instance) return;
+
+            // The browser bundle loads its WASM in initSDK; the Node build has no such step
+            if (this.sdk.initSDK) await this.sdk.initSDK();
+            this.instance = await this.sdk.createInstance({
+                ...this.sdk.SepoliaConfig,
+                ...this.options.config,
+                network: this.options.network
+            });
+        }
+
+        async encryptUint32(contractAddress, userAddress, values) {
+            values.forEach(assertUint32);
+            await this.init();
+
+            const input = this.instance.createEncryptedInput(contractAddress, userAddress);
+            values.forEach(value => input.add32(value));
+            const { handles, inputProof } = await input.encrypt();
+
+            return {
+                handles: handles.map(toHex),
+                inputProof: toHex(inputProof)
+            };
+        }
+
+        /**
+         * Decrypts handles the signer has been granted access to with FHE.allow.
+         * The wallet signs an EIP-712 permit once per contract; the result maps
+         * each lowercase handle to its plaintext value.
+         */
+        async userDecrypt(handles, contractAddress, signer) {
+            if (handles.length === 0) return {};
+            await this.init();
+
+            const userAddress = await signer.getAddress();
+            const permit = await this.getDecryptionPermit(contractAddress, userAddress, signer);
+
+            const results = await this.instance.userDecrypt(
+                handles.map(handle => ({ handle, contractAddress })),
+                permit.privateKey,
+                permit.publicKey,
+                permit.signature.replace('0x', ''),
+                [contractAddress],
+                userAddress,
+                permit.startTimeStamp,
+                permit.durationDays
+            );
+
+            const values = {};
+            Object.entries(results).forEach(([handle, value]) => {
+                values[toHex(handle).toLowerCase()] = Number(value);
+            });
+            return values;
+        }
+
+        // Values marked publicly decryptable need no signature; the relayer
+        // rejects the whole batch if any handle is not
+        async publicDecrypt(handles) {
+            if (handles.length === 0) return {};
+            await this.init();
+
+            const results = await this.instance.publicDecrypt(handles);
+            const values = {};
+            Object.entries(results).forEach(([handle, value]) => {
+                values[toHex(handle).toLowerCase()] = Number(value);
+            });
+            return values;
+        }
+
+        async getDecryptionPermit(contractAddress, userAddress, signer) {
+            const key = `${userAddress}:${contractAddress}`.toLowerCase();
+            const cached = this.decryptionPermits.get(key);
+            const now = Math.floor(Date.now() / 1000);
+            if (cached && now < Number(cached.startTimeStamp) + cached.durationDays * 86400) {
+                return cached;
+            }
+
+            const keypair = this.instance.generateKeypair();
+            const startTimeStamp = now.toString();
+            const durationDays = DECRYPTION_DURATION_DAYS.toString();
+            const eip712 = this.instance.createEIP712(keypair.publicKey, [contractAddress], startTimeStamp, durationDays);
+            const signature = await signer._signTypedData(
+                eip712.domain,
+                { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+                eip712.message
+            );
+
+            const permit = { ...keypair, signature, startTimeStamp, durationDays };
+            this.decryptionPermits.set(key, permit);
+            return permit;
+        }
+    }
+
+    class MockFheClient {
+        constructor() {
+            this.values = new Map();
+            // Who may decrypt what, as FHE.allow and FHE.makePubliclyDecryptable set it on chain
+            this.allowed = new Map();
+            this.publicHandles = new Set();
+        }
+
+        async init() {}
+
+        async encryptUint32(contractAddress, userAddress, values) {
+            values.forEach(assertUint32);
+
+            const handles = values.map(value => this.register(value));
+
+            return {
+                handles,
+                // "mock" marker followed by the handles, so a proof is never empty
+                inputProof: '0x6d6f636b' + handles.map(h => h.slice(2)).join('')
+            };
+        }
+
+        // Stores a plaintext under a fresh handle, like FHE.asEuint32 on chain
+        register(value) {
+            assertUint32(value);
+            const handle = randomHex(32);
+            this.values.set(handle, value);
+            return handle;
+        }
+
+        // FHE.allow: lets `account` user-decrypt the handle
+        allow(handle, account) {
+            const key = toHex(handle).toLowerCase();
+            if (!this.allowed.has(key)) this.allowed.set(key, new Set());
+            this.allowed.get(key).add(account.toLowerCase());
+        }
+
+        makePubliclyDecryptable(handle) {
+            this.publicHandles.add(toHex(handle).toLowerCase());
+        }
+
+        // No wallet signature, but the same ACL check as the relayer: the
+        // signer must have been allowed every handle
+        async userDecrypt(handles, contractAddress, signer) {
+            const userAddress = signer ? (await signer.getAddress()).toLowerCase() : null;
+            const values = {};
+            handles.forEach(handle => {
+                const key = toHex(handle).toLowerCase();
+                const allowed = this.allowed.get(key);
+                if (!userAddress || !allowed || !allowed.has(userAddress)) {
+                    throw new Error(`${userAddress || 'No signer'} is not allowed to decrypt ${key}`);
+                }
+                values[key] = this.reveal(key);
+            });
+            return values;
+        }
+
+        async publicDecrypt(handles) {
+            const values = {};
+            handles.forEach(handle => {
+                const key = toHex(handle).toLowerCase();
+                if (!this.publicHandles.has(key)) {
+                    throw new Error(`Handle ${key} is not publicly decryptable`);
+                }
+                values[key] = this.reveal(key);
+            });
+            return values;
+        }
+
+        // Plaintext behind a handle this client produced (used by the simulated market)
+        reveal(handle) {
+            const key = toHex(handle).toLowerCase();
+            if (!this.values.has(key)) {
+                throw new Error(`Unknown ciphertext handle ${key}`);
+            }
+            return this.values.get(key);
+        }
+    }
+
+    /**
+     * Picks the FHE backend. `mode: 'mock'` always uses the in-memory mock;
+     * anything else requires the relayer SDK.
+     */
+    function createFheClient({ mode, sdk, network, config } = {}) {
+        if (mode === 'mock') {
+            return new MockFheClient();
+        }
+        return new RelayerFheClient(sdk, { network, config });
+    }
+
+    return {
+        RelayerFheClient,
+        MockFheClient,
+        createFheClient
+    };
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MockFheClient, createFheClient } = require('./fhe-client.js');
+const { createDemoMarket } = require('./simulated-market.js');
+const { MarketClient } = require('./market-client.js');
+
+const ACCOUNT = '0x0a0e000000000000000000000000000000000001';
+const OTHER = '0x0e00000000000000000000000000000000000002';
+
+const signerFor = address => ({ getAddress: async () => address });
+
+test('encrypted values decrypt back to the plaintexts', async () => {
+    const fhe = new MockFheClient();
+    const { handles, inputProof } = await fhe.encryptUint32('simulated', ACCOUNT, [500, 0, 0xffffffff]);
+
+    assert.strictEqual(handles.length, 3);
+    assert.strictEqual(new Set(handles).size, 3);
+    assert.match(inputProof, /^0x6d6f636b/);
+
+    handles.forEach(handle => fhe.allow(handle, ACCOUNT));
+    fhe.makePubliclyDecryptable(handles[0]);
+
+    const decrypted = await fhe.userDecrypt(handles, 'simulated', signerFor(ACCOUNT));
+    assert.deepStrictEqual(handles.map(handle => decrypted[handle.toLowerCase()]), [500, 0, 0xffffffff]);
+    assert.deepStrictEqual(await fhe.publicDecrypt(handles.slice(0, 1)), { [handles[0].toLowerCase()]: 500 });
+});
+
+test('decryption follows the allow list', async () => {
+    const fhe = new MockFheClient();
+    const { handles: [handle] } = await fhe.encryptUint32('simulated', ACCOUNT, [7]);
+
+    await assert.rejects(fhe.userDecrypt([handle], 'simulated', signerFor(ACCOUNT)), /is not allowed to decrypt/);
+    await assert.rejects(fhe.userDecrypt([handle], 'simulated', null), /No signer is not allowed/);
+    await assert.rejects(fhe.publicDecrypt([handle]), /is not publicly decryptable/);
+
+    fhe.allow(handle, ACCOUNT);
+    assert.deepStrictEqual(await fhe.userDecrypt([handle], 'simulated', signerFor(ACCOUNT)), { [handle]: 7 });
+    await assert.rejects(fhe.userDecrypt([handle], 'simulated', signerFor(OTHER)), /is not allowed to decrypt/);
+});
+
+test('values outside uint32 and unknown handles are refused', async () => {
+    const fhe = new MockFheClient();
+    await assert.rejects(fhe.encryptUint32('simulated', ACCOUNT, [-1]), /does not fit in a uint32/);
+    await assert.rejects(fhe.encryptUint32('simulated', ACCOUNT, [2 ** 32]), /does not fit in a uint32/);
+    await assert.rejects(fhe.encryptUint32('simulated', ACCOUNT, [1.5]), /does not fit in a uint32/);
+    assert.throws(() => fhe.reveal(`0x${'00'.repeat(32)}`), /Unknown ciphertext handle/);
+});
+
+test('mock mode does not need the relayer SDK', () => {
+    assert.ok(createFheClient({ mode: 'mock' }) instanceof MockFheClient);
+});
+
+test('private orders are stored encrypted and only their owner decrypts them', async () => {
+    const fhe = new MockFheClient();
+    const market = await createDemoMarket({ account: ACCOUNT, fhe, settlementDelay: 0 });
+    const client = new MarketClient({ contract: market.connect(ACCOUNT), account: ACCOUNT, fhe });
+
+    await (await client.createOffer({ amount: 700, price: 42, energyType: 'wind', isPrivate: true })).wait();
+    await (await client.createDemand({ amount: 90, maxPrice: 60, isPrivate: true })).wait();
+
+    const [offer] = await client.listOffers({ owner: ACCOUNT });
+    const [demand] = await client.listDemands({ owner: ACCOUNT });
+    assert.strictEqual(offer.isPrivate, true);
+    assert.strictEqual(demand.isPrivate, true);
+    assert.strictEqual(offer.amount, undefined);
+
+    assert.strictEqual(await client.decryptOwnValues(), 4);
+    const resolved = (await client.resolveValues([offer, demand])).orders;
+    assert.deepStrictEqual(resolved.map(order => [order.amount, order.price]), [[700, 42], [90, 60]]);
+
+    // Only the creator is allowed: another account's decryption is refused
+    // and public decryption leaves the values hidden
+    const other = new MarketClient({ contract: market.connect(OTHER), account: OTHER, fhe });
+    await assert.rejects(fhe.userDecrypt([offer.amountHandle, demand.priceHandle], 'simulated', other.signer), /is not allowed to decrypt/);
+    await assert.rejects(fhe.publicDecrypt([offer.amountHandle]), /is not publicly decryptable/);
+    const seen = (await other.resolveValues(await other.listOrders({ owner: ACCOUNT }))).orders;
+    assert.strictEqual(seen.length, 2);
+    assert.ok(seen.every(order => order.amount === null && order.price === null));
+});
+
+test('plaintext entry points refuse private orders', async () => {
+    const market = await createDemoMarket({ account: ACCOUNT, fhe: new MockFheClient(), settlementDelay: 0 });
+    await assert.rejects(market.createEnergyOffer(10, 20, 0, true), { reason: 'Private orders must be encrypted' });
+    await assert.rejects(market.createEnergyDemand(10, 20, true), { reason: 'Private orders must be encrypted' });
+});
\ No newline at end of file
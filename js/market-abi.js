@@ -0,0 +1,68 @@
+// Market ABI - the PrivateEnergyMarket interface shared by the web app and Node tools
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MarketAbi = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MARKET_ADDRESS = '0x2F0f34ea9aaeF551ac550b42Da0617b929286fF1';
+
+    // Solidity enums, indexed by their uint8 value
+    const ENERGY_TYPES = ['Solar', 'Wind', 'Hydro', 'Nuclear'];
+    const STATUS_TYPES = ['Active', 'Matched', 'Cancelled'];
+    const ORDER_STATUS = { ACTIVE: 0, MATCHED: 1, CANCELLED: 2 };
+
+    const MARKET_ABI = [
+        // View functions
+        "function owner() view returns (address)",
+        "function marketSessionId() view returns (uint256)",
+        "function sessionStartTime() view returns (uint256)",
+        "function sessionDuration() view returns (uint256)",
+        "function isMarketActive() view returns (bool)",
+        "function userCredits(address) view returns (uint256)",
+        "function nextOfferId() view returns (uint256)",
+        "function nextDemandId() view returns (uint256)",
+        "function nextTradeId() view returns (uint256)",
+
+        // Mappings
+        // Encrypted struct fields come back as ciphertext handles
+        "function energyOffers(uint256) view returns (address seller, bytes32 energyAmount, bytes32 pricePerKWh, uint8 energyType, uint8 status, uint256 timestamp, bool isPrivate)",
+        "function energyDemands(uint256) view returns (address buyer, bytes32 energyNeeded, bytes32 maxPricePerKWh, uint8 status, uint256 timestamp, bool isPrivate)",
+        "function trades(uint256) view returns (uint256 offerId, uint256 demandId, address seller, address buyer, uint32 energyAmount, uint32 tradePrice, uint8 energyType, uint256 timestamp, bool completed)",
+
+        // User functions
+        "function getUserOffers(address _user) view returns (uint256[])",
+        "function getUserDemands(address _user) view returns (uint256[])",
+        "function getMarketSessionInfo() view returns (uint256 sessionId, uint256 startTime, bool isActive, uint256 totalOffers, uint256 totalDemands)",
+
+        // State changing functions
+        "function createEnergyOffer(uint32 _energyAmount, uint32 _pricePerKWh, uint8 _energyType, bool _isPrivate)",
+        "function createEnergyDemand(uint32 _energyNeeded, uint32 _maxPricePerKWh, bool _isPrivate)",
+        "function createEncryptedEnergyOffer(bytes32 _encryptedAmount, bytes32 _encryptedPrice, uint8 _energyType, bytes _inputProof)",
+        "function createEncryptedEnergyDemand(bytes32 _encryptedNeeded, bytes32 _encryptedMaxPrice, bytes _inputProof)",
+        "function matchTrade(uint256 _offerId, uint256 _demandId)",
+        "function cancelOffer(uint256 _offerId)",
+        "function cancelDemand(uint256 _demandId)",
+        "function addCredits(uint256 _amount) payable",
+        "function startNewMarketSession()",
+        "function setSessionDuration(uint256 _duration)",
+
+        // Events
+        "event MarketSessionStarted(uint256 indexed sessionId, uint256 startTime)",
+        "event EnergyOfferCreated(uint256 indexed offerId, address indexed seller, uint8 energyType)",
+        "event EnergyDemandCreated(uint256 indexed demandId, address indexed buyer)",
+        "event TradeMatched(uint256 indexed tradeId, uint256 indexed offerId, uint256 indexed demandId)",
+        "event TradeCompleted(uint256 indexed tradeId, address indexed seller, address indexed buyer, uint32 amount, uint32 price)",
+        "event OfferCancelled(uint256 indexed offerId, address indexed seller)",
+        "event DemandCancelled(uint256 indexed demandId, address indexed buyer)"
+    ];
+
+    return {
+        MARKET_ADDRESS,
+        MARKET_ABI,
+        ENERGY_TYPES,
+        STATUS_TYPES,
+        ORDER_STATUS
+    };
+});
\ No newline at end of file
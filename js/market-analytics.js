@@ -0,0 +1,116 @@
+// Market analytics - prices, volumes and order counts from public market data
+//
+// Works on the plain objects MarketClient returns. Only completed trades
+// count toward prices and volumes: `TradeCompleted` is where amount and
+// price become public, and until then a trade reads 0 for both.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'));
+    } else {
+        root.MarketAnalytics = factory(root.MarketAbi);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi) {
+    const { ENERGY_TYPES, ORDER_STATUS } = MarketAbi;
+
+    /**
+     * @typedef {object} PriceStats
+     * @property {number} trades - completed trades
+     * @property {number} energy - kWh traded
+     * @property {number|null} vwap - volume-weighted average price, wei/kWh
+     * @property {number|null} min
+     * @property {number|null} max
+     */
+
+    /** @returns {PriceStats} */
+    function priceStats(trades) {
+        const completed = trades.filter(trade => trade.completed);
+        const energy = completed.reduce((sum, trade) => sum + trade.energyAmount, 0);
+        const value = completed.reduce((sum, trade) => sum + trade.energyAmount * trade.tradePrice, 0);
+        const prices = completed.map(trade => trade.tradePrice);
+        return {
+            trades: completed.length,
+            energy,
+            vwap: energy > 0 ? value / energy : null,
+            min: prices.length > 0 ? Math.min(...prices) : null,
+            max: prices.length > 0 ? Math.max(...prices) : null
+        };
+    }
+
+    /**
+     * Clearing prices over time, one series per energy type. Points are
+     * { time, price, amount, tradeId } in match order.
+     */
+    function priceSeries(trades) {
+        const completed = trades
+            .filter(trade => trade.completed)
+            .sort((a, b) => a.timestamp - b.timestamp || a.id - b.id);
+        return ENERGY_TYPES.map((name, type) => ({
+            type,
+            name,
+            points: completed
+                .filter(trade => trade.energyType === type)
+                .map(trade => ({ time: trade.timestamp, price: trade.tradePrice, amount: trade.energyAmount, tradeId: trade.id }))
+        }));
+    }
+
+    /**
+     * Per session: price stats over all types (`total`) and per energy type
+     * (`byType`, indexed like ENERGY_TYPES), plus trades still awaiting
+     * settlement. Trades without a session (no event logs) are left out.
+     */
+    function sessionSummaries(trades) {
+        const bySession = new Map();
+        trades.forEach(trade => {
+            if (trade.sessionId === null || trade.sessionId === undefined) return;
+            if (!bySession.has(trade.sessionId)) bySession.set(trade.sessionId, []);
+            bySession.get(trade.sessionId).push(trade);
+        });
+
+        return [...bySession.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([sessionId, sessionTrades]) => ({
+                sessionId,
+                total: priceStats(sessionTrades),
+                byType: ENERGY_TYPES.map((name, type) => priceStats(sessionTrades.filter(trade => trade.energyType === type))),
+                pending: sessionTrades.filter(trade => !trade.completed).length
+            }));
+    }
+
+    /** Open, matched and cancelled counts for offers and demands */
+    function orderStatusCounts(orders) {
+        const count = side => {
+            const sideOrders = orders.filter(order => order.side === side);
+            return {
+                open: sideOrders.filter(order => order.status === ORDER_STATUS.ACTIVE).length,
+                matched: sideOrders.filter(order => order.status === ORDER_STATUS.MATCHED).length,
+                cancelled: sideOrders.filter(order => order.status === ORDER_STATUS.CANCELLED).length
+            };
+        };
+        return { offers: count('offer'), demands: count('demand') };
+    }
+
+    /**
+     * Everything the analytics view shows. `energyType` (an ENERGY_TYPES
+     * index) narrows trades and offers to one type; demands have no type
+     * and are always counted.
+     */
+    function summarize({ trades, orders, energyType = null }) {
+        const ofType = item => energyType === null || item.energyType === energyType;
+        const typedTrades = trades.filter(ofType);
+        const typedOrders = orders.filter(order => order.side === 'demand' || ofType(order));
+        return {
+            overall: priceStats(typedTrades),
+            prices: priceSeries(typedTrades).filter(series => energyType === null || series.type === energyType),
+            sessions: sessionSummaries(typedTrades),
+            orders: orderStatusCounts(typedOrders)
+        };
+    }
+
+    return {
+        priceStats,
+        priceSeries,
+        sessionSummaries,
+        orderStatusCounts,
+        summarize
+    };
+});
\ No newline at end of file
@@ -0,0 +1,278 @@
+// Market errors - turns wallet, RPC and contract failures into readable messages
+//
+// Handles ethers v5 errors (including reverts nested inside gas estimation
+// errors), EIP-1193 wallet errors and the simulated market. Every decoded
+// error is a MarketError with a kind, the raw revert reason if any, a message
+// and a suggested next step.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MarketErrors = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ERROR_STRING_SELECTOR = '0x08c379a0';
+    const PANIC_SELECTOR = '0x4e487b71';
+
+    // Revert reasons used by PrivateEnergyMarket.sol
+    const REVERT_REASONS = {
+        'Market is closed': {
+            message: 'The market session has ended',
+            suggestion: 'Wait for the owner to start a new market session.'
+        },
+        'Market session still active': {
+            message: 'The current market session is still running',
+            suggestion: 'A new session can only be started once the current one closes.'
+        },
+        'Not authorized': {
+            message: 'Only the contract owner can do this',
+            suggestion: 'Switch to the owner account in your wallet.'
+        },
+        'Cannot trade with yourself': {
+            message: 'The offer and the demand belong to the same account',
+            suggestion: 'Pick a counterparty order from the Order Book.'
+        },
+        'No access to private offer': {
+            message: 'This private offer can only be matched by its seller or the buyer',
+            suggestion: 'Match it from one of the two trading accounts, or choose a public offer.'
+        },
+        'No access to private demand': {
+            message: 'This private demand can only be matched by its buyer or the seller',
+            suggestion: 'Match it from one of the two trading accounts, or choose a public demand.'
+        },
+        'Offer not active': {
+            message: 'The offer has already been matched or cancelled',
+            suggestion: 'Refresh the Order Book and choose an active offer.'
+        },
+        'Demand not active': {
+            message: 'The demand has already been matched or cancelled',
+            suggestion: 'Refresh the Order Book and choose an active demand.'
+        },
+        'Insufficient credits': {
+            message: 'The buyer does not have enough credits to pay for the trade',
+            suggestion: 'Add credits before matching.'
+        },
+        'Price mismatch': {
+            message: 'The offer price is above the maximum price of the demand',
+            suggestion: 'Choose a cheaper offer or a demand with a higher maximum price.'
+        },
+        'Invalid IDs': {
+            message: 'The offer or demand ID does not exist',
+            suggestion: 'Check the IDs in the Order Book.'
+        },
+        'Invalid offer ID': {
+            message: 'No offer exists with that ID',
+            suggestion: 'Check the ID in My Offers.'
+        },
+        'Invalid demand ID': {
+            message: 'No demand exists with that ID',
+            suggestion: 'Check the ID in My Demands.'
+        },
+        'Invalid trade ID': {
+            message: 'No trade exists with that ID',
+            suggestion: 'Check the ID in Trade History.'
+        },
+        'Not your offer': {
+            message: 'Only the seller can cancel this offer',
+            suggestion: 'Switch to the account that created it.'
+        },
+        'Not your demand': {
+            message: 'Only the buyer can cancel this demand',
+            suggestion: 'Switch to the account that created it.'
+        },
+        'Energy amount must be positive': {
+            message: 'The energy amount must be greater than zero',
+            suggestion: 'Enter at least 1 kWh.'
+        },
+        'Energy needed must be positive': {
+            message: 'The energy needed must be greater than zero',
+            suggestion: 'Enter at least 1 kWh.'
+        },
+        'Price must be positive': {
+            message: 'The price must be greater than zero',
+            suggestion: 'Enter a price of at least 1 wei/kWh.'
+        },
+        'Max price must be positive': {
+            message: 'The maximum price must be greater than zero',
+            suggestion: 'Enter a price of at least 1 wei/kWh.'
+        },
+        'Private orders must be encrypted': {
+            message: 'Private orders cannot be created from plaintext values',
+            suggestion: 'Create the order with Private checked so the app encrypts it first.'
+        }
+    };
+
+    const KIND_DEFAULTS = {
+        'user-rejected': {
+            message: 'The request was rejected in your wallet',
+            suggestion: 'Approve the request in your wallet to continue.'
+        },
+        'insufficient-funds': {
+            message: 'Your account does not have enough ETH to pay for gas',
+            suggestion: 'Top up the account with ETH and try again.'
+        },
+        'gas-estimation': {
+            message: 'The transaction would fail, so gas could not be estimated',
+            suggestion: 'Check the inputs and the market status, then try again.'
+        },
+        'revert': {
+            message: 'The contract rejected the transaction',
+            suggestion: 'Check the inputs and the market status, then try again.'
+        },
+        'network': {
+            message: 'The network request failed',
+            suggestion: 'Check your connection and RPC endpoint, then retry.'
+        },
+        'invalid-argument': {
+            message: 'One of the values is out of range',
+            suggestion: 'Amounts and prices must be whole numbers up to 4,294,967,295.'
+        },
+        'nonce': {
+            message: 'The transaction nonce is out of date',
+            suggestion: 'Reset the account nonce in your wallet or wait for pending transactions.'
+        },
+        'unknown': {
+            message: 'Something went wrong',
+            suggestion: 'Try again; see the browser console for details.'
+        }
+    };
+
+    class MarketError extends Error {
+        constructor(kind, message, { reason = null, suggestion = null, cause = null } = {}) {
+            super(message);
+            this.name = 'MarketError';
+            this.kind = kind;
+            this.reason = reason;
+            this.suggestion = suggestion;
+            this.cause = cause;
+        }
+    }
+
+    function hexToUtf8(hex) {
+        const bytes = hex.match(/../g) || [];
+        const encoded = bytes.map(byte => `%${byte}`).join('');
+        try {
+            return decodeURIComponent(encoded);
+        } catch (e) {
+            return bytes.map(byte => String.fromCharCode(parseInt(byte, 16))).join('');
+        }
+    }
+
+    // Decodes Error(string) and Panic(uint256) revert data
+    function decodeRevertData(data) {
+        if (typeof data !== 'string' || !data.startsWith('0x')) return null;
+
+        const selector = data.slice(0, 10).toLowerCase();
+        const body = data.slice(10);
+        if (selector === ERROR_STRING_SELECTOR && body.length >= 128) {
+            const length = parseInt(body.slice(64, 128), 16);
+            return hexToUtf8(body.slice(128, 128 + length * 2));
+        }
+        if (selector === PANIC_SELECTOR && body.length >= 64) {
+            return `Panic(0x${parseInt(body.slice(0, 64), 16).toString(16)})`;
+        }
+        return null;
+    }
+
+    // Walks the nested error/data chain ethers v5 and wallets produce
+    function findRevertReason(error) {
+        const seen = new Set();
+        const queue = [error];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (!current || typeof current !== 'object' || seen.has(current)) continue;
+            seen.add(current);
+
+            if (typeof current.reason === 'string' && current.reason && !current.reason.startsWith('cannot estimate gas')) {
+                const reason = current.reason.replace(/^execution reverted: /, '');
+                if (reason !== 'execution reverted') return reason;
+            }
+
+            const decoded = decodeRevertData(current.data) ||
+                (current.data && decodeRevertData(current.data.data));
+            if (decoded) return decoded;
+
+            if (typeof current.message === 'string') {
+                const match = current.message.match(/reverted with reason string '([^']+)'/) ||
+                    current.message.match(/execution reverted: ([^"\\\n]+)/);
+                if (match) return match[1].trim();
+            }
+
+            queue.push(current.error, current.data, current.cause);
+            if (typeof current.body === 'string') {
+                try {
+                    queue.push(JSON.parse(current.body).error);
+                } catch (e) {
+                    // not JSON
+                }
+            }
+        }
+        return null;
+    }
+
+    function classify(error) {
+        const code = error && (error.code !== undefined ? error.code : error.error && error.error.code);
+        const message = String((error && error.message) || '').toLowerCase();
+
+        if (code === 4001 || code === 'ACTION_REJECTED' || message.includes('user rejected') || message.includes('user denied')) {
+            return 'user-rejected';
+        }
+        if (code === 'INSUFFICIENT_FUNDS' || message.includes('insufficient funds')) return 'insufficient-funds';
+        if (code === 'NONCE_EXPIRED' || code === 'REPLACEMENT_UNDERPRICED' || message.includes('nonce too low')) return 'nonce';
+        if (code === 'UNPREDICTABLE_GAS_LIMIT' || message.includes('cannot estimate gas')) return 'gas-estimation';
+        if (code === 'CALL_EXCEPTION') return 'revert';
+        if (code === 'INVALID_ARGUMENT' || code === 'NUMERIC_FAULT') return 'invalid-argument';
+        if (code === 'NETWORK_ERROR' || code === 'SERVER_ERROR' || code === 'TIMEOUT' ||
+            code === -32603 || code === -32005 || message.includes('failed to fetch')) {
+            return 'network';
+        }
+        return 'unknown';
+    }
+
+    /**
+     * Normalises any thrown value into a MarketError. Known revert reasons win
+     * over the generic kind so a failed gas estimate still says why.
+     */
+    function decodeError(error) {
+        if (error instanceof MarketError) return error;
+
+        const kind = classify(error);
+        const reason = kind === 'user-rejected' ? null : findRevertReason(error);
+
+        if (reason && REVERT_REASONS[reason]) {
+            const known = REVERT_REASONS[reason];
+            return new MarketError(kind === 'unknown' ? 'revert' : kind, known.message,
+                { reason, suggestion: known.suggestion, cause: error });
+        }
+
+        // Revert data without an error code is still a revert
+        const decodedKind = reason && kind === 'unknown' ? 'revert' : kind;
+        const defaults = KIND_DEFAULTS[decodedKind];
+        let message = defaults.message;
+        if (reason) {
+            message = `${defaults.message}: ${reason}`;
+        } else if (decodedKind === 'unknown' && error && error.message) {
+            message = String(error.message).split('\n')[0].slice(0, 160);
+        }
+        return new MarketError(decodedKind, message,
+            { reason, suggestion: defaults.suggestion, cause: error });
+    }
+
+    /**
+     * One-line text for notifications and logs: "<action>: <message>. <suggestion>"
+     */
+    function describeError(error, action) {
+        const decoded = decodeError(error);
+        const prefix = action ? `${action}: ` : '';
+        return `${prefix}${decoded.message}. ${decoded.suggestion || ''}`.trim();
+    }
+
+    return {
+        MarketError,
+        REVERT_REASONS,
+        decodeError,
+        decodeRevertData,
+        describeError
+    };
+});
\ No newline at end of file
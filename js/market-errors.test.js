@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MarketError, decodeError, decodeRevertData, describeError } = require('./market-errors.js');
+
+const word = value => value.toString(16).padStart(64, '0');
+
+// ABI-encoded Error(string) revert data
+function errorString(text) {
+    const hex = Buffer.from(text, 'utf8').toString('hex');
+    return `0x08c379a0${word(32)}${word(hex.length / 2)}${hex.padEnd(Math.ceil(hex.length / 64) * 64, '0')}`;
+}
+
+test('Error(string) and Panic(uint256) payloads are decoded', () => {
+    assert.strictEqual(decodeRevertData(errorString('Insufficient credits')), 'Insufficient credits');
+    assert.strictEqual(decodeRevertData(errorString('Prix trop élevé')), 'Prix trop élevé');
+    assert.strictEqual(decodeRevertData(`0x4e487b71${word(0x11)}`), 'Panic(0x11)');
+    assert.strictEqual(decodeRevertData('0x12345678'), null);
+    assert.strictEqual(decodeRevertData(undefined), null);
+});
+
+test('a revert nested in a gas estimation error gives the contract reason', () => {
+    // What ethers v5 throws when estimateGas hits a require()
+    const error = {
+        reason: 'cannot estimate gas; transaction may fail or may require manual gas limit',
+        code: 'UNPREDICTABLE_GAS_LIMIT',
+        error: {
+            code: -32603,
+            message: 'Internal JSON-RPC error.',
+            data: { code: 3, message: 'execution reverted', data: errorString('Insufficient credits') }
+        }
+    };
+
+    const decoded = decodeError(error);
+    assert.ok(decoded instanceof MarketError);
+    assert.deepStrictEqual([decoded.kind, decoded.reason, decoded.message], [
+        'gas-estimation', 'Insufficient credits', 'The buyer does not have enough credits to pay for the trade'
+    ]);
+    assert.strictEqual(decoded.cause, error);
+});
+
+test('revert reasons are found in JSON-RPC bodies and messages', () => {
+    const body = {
+        code: 'SERVER_ERROR',
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: 3, message: 'execution reverted', data: errorString('Price mismatch') } })
+    };
+    assert.strictEqual(decodeError(body).reason, 'Price mismatch');
+
+    const message = { code: 'CALL_EXCEPTION', message: "VM Exception while processing transaction: reverted with reason string 'Market is closed'" };
+    assert.deepStrictEqual([decodeError(message).kind, decodeError(message).reason], ['revert', 'Market is closed']);
+});
+
+test('a raw Error(string) payload with an unknown reason is kept in the message', () => {
+    const decoded = decodeError({ data: errorString('Paused for maintenance') });
+    assert.deepStrictEqual([decoded.kind, decoded.reason], ['revert', 'Paused for maintenance']);
+    assert.strictEqual(decoded.message, 'The contract rejected the transaction: Paused for maintenance');
+});
+
+test('a panic is reported as a revert', () => {
+    const decoded = decodeError({ code: 'CALL_EXCEPTION', data: `0x4e487b71${word(0x12)}` });
+    assert.deepStrictEqual([decoded.kind, decoded.reason], ['revert', 'Panic(0x12)']);
+});
+
+test('wallet rejections are recognised by code and message, without a reason', () => {
+    [
+        { code: 4001, message: 'MetaMask Tx Signature: User denied transaction signature.' },
+        { code: 'ACTION_REJECTED', message: 'user rejected transaction' },
+        { message: 'User rejected the request.', data: errorString('Insufficient credits') }
+    ].forEach(error => {
+        const decoded = decodeError(error);
+        assert.deepStrictEqual([decoded.kind, decoded.reason], ['user-rejected', null]);
+        assert.strictEqual(decoded.message, 'The request was rejected in your wallet');
+    });
+});
+
+test('other failures are classified by code', () => {
+    assert.strictEqual(decodeError({ code: 'INSUFFICIENT_FUNDS' }).kind, 'insufficient-funds');
+    assert.strictEqual(decodeError({ code: 'NONCE_EXPIRED' }).kind, 'nonce');
+    assert.strictEqual(decodeError({ code: 'NETWORK_ERROR' }).kind, 'network');
+    assert.strictEqual(decodeError(new TypeError('Failed to fetch')).kind, 'network');
+    assert.strictEqual(decodeError({ code: 'INVALID_ARGUMENT' }).kind, 'invalid-argument');
+});
+
+test('an unknown error keeps the first line of its message', () => {
+    const decoded = decodeError(new Error('Something odd happened\n    at stack frame'));
+    assert.deepStrictEqual([decoded.kind, decoded.reason, decoded.message], ['unknown', null, 'Something odd happened']);
+    assert.strictEqual(decodeError(null).message, 'Something went wrong');
+
+    const existing = new MarketError('no-account', 'No account is connected');
+    assert.strictEqual(decodeError(existing), existing);
+});
+
+test('describeError joins the action, message and suggestion', () => {
+    assert.strictEqual(
+        describeError({ code: 'CALL_EXCEPTION', reason: 'Offer not active' }, 'Match trade'),
+        'Match trade: The offer has already been matched or cancelled. Refresh the Order Book and choose an active offer.'
+    );
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+// Market export - turns trades and orders into CSV/JSON for accounting
+//
+// Pure functions so the web app and Node tools produce identical files.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'));
+    } else {
+        root.MarketExport = factory(root.MarketAbi);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi) {
+    const { ENERGY_TYPES, STATUS_TYPES } = MarketAbi;
+
+    const TRADE_COLUMNS = [
+        'tradeId', 'offerId', 'demandId', 'role', 'counterparty', 'energyKWh',
+        'priceWeiPerKWh', 'totalWei', 'energyType', 'sessionId', 'timestamp', 'completed'
+    ];
+    const OFFER_COLUMNS = ['offerId', 'energyType', 'status', 'isPrivate', 'sessionId', 'timestamp'];
+    const DEMAND_COLUMNS = ['demandId', 'status', 'isPrivate', 'sessionId', 'timestamp'];
+
+    function isoTime(timestamp) {
+        return new Date(Number(timestamp) * 1000).toISOString();
+    }
+
+    function sameAddress(a, b) {
+        return String(a).toLowerCase() === String(b).toLowerCase();
+    }
+
+    /**
+     * One row per trade the account took part in. Amount and price stay 0
+     * until the trade is completed, as in the contract.
+     */
+    function tradeRows(trades, account) {
+        return trades
+            .filter(trade => sameAddress(trade.seller, account) || sameAddress(trade.buyer, account))
+            .map(trade => {
+                const isSeller = sameAddress(trade.seller, account);
+                return {
+                    tradeId: trade.id,
+                    offerId: trade.offerId,
+                    demandId: trade.demandId,
+                    role: isSeller ? 'seller' : 'buyer',
+                    counterparty: isSeller ? trade.buyer : trade.seller,
+                    energyKWh: trade.energyAmount,
+                    priceWeiPerKWh: trade.tradePrice,
+                    // uint32 * uint32 can exceed Number.MAX_SAFE_INTEGER
+                    totalWei: (BigInt(trade.energyAmount) * BigInt(trade.tradePrice)).toString(),
+                    energyType: ENERGY_TYPES[trade.energyType],
+                    sessionId: trade.sessionId,
+                    timestamp: isoTime(trade.timestamp),
+                    completed: trade.completed
+                };
+            });
+    }
+
+    function offerRows(offers) {
+        return offers.map(offer => ({
+            offerId: offer.id,
+            energyType: ENERGY_TYPES[offer.energyType],
+            status: STATUS_TYPES[offer.status],
+            isPrivate: offer.isPrivate,
+            sessionId: offer.sessionId,
+            timestamp: isoTime(offer.timestamp)
+        }));
+    }
+
+    function demandRows(demands) {
+        return demands.map(demand => ({
+            demandId: demand.id,
+            status: STATUS_TYPES[demand.status],
+            isPrivate: demand.isPrivate,
+            sessionId: demand.sessionId,
+            timestamp: isoTime(demand.timestamp)
+        }));
+    }
+
+    /**
+     * Keeps rows whose ISO timestamp falls inside [from, to] (Date objects,
+     * either may be null) and whose session matches `sessionId`, or is one
+     * of `sessionIds`, when given.
+     */
+    function filterRows(rows, { from = null, to = null, sessionId = null, sessionIds = null } = {}) {
+        return rows.filter(row => {
+            const time = new Date(row.timestamp).getTime();
+            if (from && time < from.getTime()) return false;
+            if (to && time > to.getTime()) return false;
+            if (sessionId !== null && row.sessionId !== sessionId) return false;
+            if (sessionIds !== null && !sessionIds.includes(row.sessionId)) return false;
+            return true;
+        });
+    }
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(columns, rows) {
+        const lines = [columns.join(',')];
+        rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    function toJson(kind, rows, meta = {}) {
+        return JSON.stringify({ kind, ...meta, count: rows.length, rows }, null, 2);
+    }
+
+    return {
+        TRADE_COLUMNS,
+        OFFER_COLUMNS,
+        DEMAND_COLUMNS,
+        tradeRows,
+        offerRows,
+        demandRows,
+        filterRows,
+        toCsv,
+        toJson
+    };
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+// Market validation - input checks shared by the web app and the CLI
+//
+// Each validator returns the normalised values or throws a MarketError of
+// kind 'invalid-argument', so callers report it like any other market error.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'), require('./market-errors.js'));
+    } else {
+        root.MarketValidation = factory(root.MarketAbi, root.MarketErrors);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi, MarketErrors) {
+    const UINT32_MAX = 0xffffffff;
+    const MAX_ENERGY_KWH = 1000000;
+    const { ENERGY_TYPES } = MarketAbi;
+    // Bounds for setSessionDuration; the contract itself accepts any value
+    const MIN_SESSION_DURATION = 5 * 60;
+    const MAX_SESSION_DURATION = 30 * 24 * 3600;
+
+    function invalid(message, suggestion) {
+        return new MarketErrors.MarketError('invalid-argument', message, { suggestion });
+    }
+
+    function wholeNumber(value, label, min, max) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isInteger(number)) {
+            throw invalid(`${label} must be a whole number`, `Enter a whole number between ${min} and ${max}.`);
+        }
+        if (number < min || number > max) {
+            throw invalid(`${label} must be between ${min} and ${max}`, `Enter a whole number between ${min} and ${max}.`);
+        }
+        return number;
+    }
+
+    // Accepts an index (0-3) or a name such as "solar"
+    function energyType(value) {
+        const byName = ENERGY_TYPES.findIndex(name => name.toLowerCase() === String(value).trim().toLowerCase());
+        if (byName !== -1) return byName;
+        return wholeNumber(value, 'Energy type', 0, ENERGY_TYPES.length - 1);
+    }
+
+    function validateOffer({ amount, price, energyType: type, isPrivate = false }) {
+        return {
+            amount: wholeNumber(amount, 'Energy amount', 1, MAX_ENERGY_KWH),
+            price: wholeNumber(price, 'Price per kWh', 1, UINT32_MAX),
+            energyType: energyType(type),
+            isPrivate: Boolean(isPrivate)
+        };
+    }
+
+    function validateDemand({ amount, maxPrice, isPrivate = false }) {
+        return {
+            amount: wholeNumber(amount, 'Energy needed', 1, MAX_ENERGY_KWH),
+            maxPrice: wholeNumber(maxPrice, 'Max price per kWh', 1, UINT32_MAX),
+            isPrivate: Boolean(isPrivate)
+        };
+    }
+
+    function validateId(value, label) {
+        return wholeNumber(value, label, 1, Number.MAX_SAFE_INTEGER);
+    }
+
+    function validateMatch({ offerId, demandId }) {
+        if (!offerId || !demandId) {
+            throw invalid('Both an offer ID and a demand ID are needed', 'Pick the pair in the Order Book or the Matching Assistant.');
+        }
+        return {
+            offerId: validateId(offerId, 'Offer ID'),
+            demandId: validateId(demandId, 'Demand ID')
+        };
+    }
+
+    function validateCredits(amount) {
+        return wholeNumber(amount, 'Credits amount', 1, Number.MAX_SAFE_INTEGER);
+    }
+
+    function validateSessionDuration(seconds) {
+        const duration = wholeNumber(seconds, 'Session duration', 1, Number.MAX_SAFE_INTEGER);
+        if (duration < MIN_SESSION_DURATION || duration > MAX_SESSION_DURATION) {
+            throw invalid('Session duration must be between 5 minutes and 30 days', 'Pick a duration between 5 minutes and 30 days.');
+        }
+        return duration;
+    }
+
+    // "1, 3-5" -> [1, 3, 4, 5]; null when empty (all sessions)
+    function validateSessionSet(value) {
+        const text = String(value || '').trim();
+        if (text === '') return null;
+
+        const ids = new Set();
+        text.split(',').forEach(part => {
+            const range = part.trim().match(/^(\d+)\s*-\s*(\d+)$/);
+            if (!range) {
+                ids.add(validateId(part.trim(), 'Session ID'));
+                return;
+            }
+            const first = validateId(range[1], 'Session ID');
+            const last = validateId(range[2], 'Session ID');
+            if (last < first || last - first >= 10000) {
+                throw invalid(`Invalid session range: ${part.trim()}`, 'Write ranges low to high, e.g. 3-5.');
+            }
+            for (let id = first; id <= last; id++) ids.add(id);
+        });
+        return [...ids].sort((a, b) => a - b);
+    }
+
+    // Grams of CO2-equivalent per kWh
+    function validateEmissionFactor(value, label) {
+        return wholeNumber(value, label, 0, 10000);
+    }
+
+    /**
+     * { baseline, byType } with byType keyed by ENERGY_TYPES name. Every
+     * type needs a factor: a missing one would leave its CO2 figure blank.
+     */
+    function validateEmissionFactors(factors) {
+        const byType = factors && factors.byType;
+        if (!byType || typeof byType !== 'object' || Array.isArray(byType)) {
+            throw invalid('Emission factors must be keyed by energy type', `Give a factor for each of ${ENERGY_TYPES.join(', ')}.`);
+        }
+        const missing = ENERGY_TYPES.filter(name => byType[name] === undefined);
+        if (missing.length > 0) {
+            throw invalid(`Missing emission factor for ${missing.join(', ')}`, `Give a factor for each of ${ENERGY_TYPES.join(', ')}.`);
+        }
+        const unknown = Object.keys(byType).filter(name => !ENERGY_TYPES.includes(name));
+        if (unknown.length > 0) {
+            throw invalid(`Unknown energy type in emission factors: ${unknown.join(', ')}`, `Use the names ${ENERGY_TYPES.join(', ')}.`);
+        }
+        return {
+            baseline: validateEmissionFactor(factors.baseline, 'Grid baseline'),
+            byType: Object.fromEntries(ENERGY_TYPES.map(name =>
+                [name, validateEmissionFactor(byType[name], `${name} emission factor`)]))
+        };
+    }
+
+    return {
+        MAX_ENERGY_KWH,
+        MIN_SESSION_DURATION,
+        MAX_SESSION_DURATION,
+        energyType,
+        validateOffer,
+        validateDemand,
+        validateId,
+        validateMatch,
+        validateCredits,
+        validateSessionDuration,
+        validateSessionSet,
+        validateEmissionFactor,
+        validateEmissionFactors
+    };
+});
\ No newline at end of file
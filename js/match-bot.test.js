@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MatchBot } = require('./match-bot.js');
+const { MarketClient } = require('./market-client.js');
+const { MockFheClient } = require('./fhe-client.js');
+const { createDemoMarket } = require('./simulated-market.js');
+
+const BOT = '0xb070000000000000000000000000000000000001';
+
+async function botFor({ fhe = new MockFheClient(), marketFhe = fhe, now, ...options } = {}) {
+    const market = await createDemoMarket({ account: BOT, fhe: marketFhe, now, settlementDelay: 0 });
+    const logs = [];
+    const bot = new MatchBot({
+        market: new MarketClient({ contract: market.connect(BOT), account: BOT, fhe, logger: { error() {} } }),
+        settlePollInterval: 1,
+        log: (event, fields) => logs.push({ event, ...fields }),
+        ...options
+    });
+    return { bot, market, logs };
+}
+
+test('the highest bid is served first by the cheapest compatible offer', async () => {
+    const { bot, logs } = await botFor();
+    const matched = await bot.runOnce();
+
+    // Demand 1 (max 45) takes wind at 35; demand 2 (max 30) has no offer cheap enough
+    assert.deepStrictEqual(matched.map(pair => [pair.offerId, pair.demandId]), [[2, 1]]);
+    assert.deepStrictEqual(logs.map(entry => entry.event), ['scan', 'match-sent', 'matched', 'settled']);
+});
+
+test('dry runs and the session limit send nothing', async () => {
+    const dryRun = await botFor({ dryRun: true });
+    assert.strictEqual((await dryRun.bot.runOnce()).length, 1);
+    assert.strictEqual(await dryRun.market.nextTradeId(), 1);
+
+    const limited = await botFor({ maxMatchesPerSession: 0 });
+    assert.deepStrictEqual(await limited.bot.runOnce(), []);
+    assert.deepStrictEqual(limited.logs.map(entry => entry.event), ['session-limit-reached']);
+});
+
+test('a restarted bot counts its earlier matches in the session against the limit', async () => {
+    const { bot, market } = await botFor({ maxMatchesPerSession: 1 });
+    assert.strictEqual((await bot.runOnce()).length, 1);
+
+    const logs = [];
+    const restarted = new MatchBot({ market: bot.market, maxMatchesPerSession: 1, log: (event, fields) => logs.push({ event, ...fields }) });
+    assert.deepStrictEqual(await restarted.runOnce(), []);
+    assert.deepStrictEqual(logs, [
+        { event: 'session-matches-restored', sessionId: 1, matches: 1 },
+        { event: 'session-limit-reached', sessionId: 1, matches: 1 }
+    ]);
+
+    // Another account's match is not the bot's
+    await market.connect('0x5014000000000000000000000000000000000003').matchTrade(3, 2);
+    assert.strictEqual(await restarted.countSessionMatches({ sessionId: 1, startTime: 0 }), 1);
+});
+
+test('matches from an earlier session do not count', async () => {
+    let clock = 1700000000;
+    const { bot, market } = await botFor({ now: () => clock, maxMatchesPerSession: 1 });
+    await bot.runOnce();
+
+    clock += 4000;
+    await market.startNewMarketSession();
+    const session = await bot.market.getSession();
+    assert.strictEqual(await bot.countSessionMatches(session), 0);
+});
+
+test('a scan without any readable price reports it instead of matching nothing', async () => {
+    // The bot's client cannot decrypt the market's handles
+    const { bot, logs } = await botFor({ fhe: null, marketFhe: new MockFheClient() });
+    assert.deepStrictEqual(await bot.runOnce(), []);
+
+    assert.strictEqual(logs.length, 1);
+    assert.strictEqual(logs[0].event, 'no-decryptable-orders');
+    assert.strictEqual(logs[0].offers, 3);
+    assert.strictEqual(logs[0].demands, 2);
+    assert.match(logs[0].error, /No FHE client/);
+});
+
+test('a failed settlement is logged and does not count as settled', async () => {
+    const { bot, logs } = await botFor({ strategy: orders => [{
+        offer: orders.find(order => order.id === 3 && order.side === 'offer'),
+        demand: orders.find(order => order.id === 1 && order.side === 'demand')
+    }] });
+    await bot.runOnce();
+
+    assert.deepStrictEqual(logs.slice(-1), [{ event: 'settle-failed', tradeId: 1, reason: 'Price mismatch' }]);
+});
\ No newline at end of file
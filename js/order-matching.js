@@ -0,0 +1,129 @@
+// Order matching - ranks counterparties for an offer or demand
+//
+// Works on plain order objects so the web app and Node tools rank alike:
+// { side, id, account, energyType, status, isPrivate, amount, price }, where
+// price is the offer price or the demand's max price and amount/price are null
+// while the values are still encrypted. Pairs that would revert in matchTrade
+// or fail later in processTradeMatch are excluded with a reason.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'));
+    } else {
+        root.OrderMatching = factory(root.MarketAbi);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi) {
+    const { ACTIVE } = MarketAbi.ORDER_STATUS;
+    const PRICE_FIT_ORDER = { compatible: 0, unknown: 1 };
+
+    function sameAddress(a, b) {
+        return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+    }
+
+    function known(value) {
+        return value !== null && value !== undefined;
+    }
+
+    function pairOf(target, candidate) {
+        return target.side === 'offer'
+            ? { offer: target, demand: candidate }
+            : { offer: candidate, demand: target };
+    }
+
+    /**
+     * Why `candidate` cannot be matched against `target` by `viewer`, or null.
+     * Mirrors the require() checks of matchTrade plus the price check of
+     * processTradeMatch when both prices are known.
+     */
+    function exclusionReason(target, candidate, viewer) {
+        if (candidate.side === target.side) return 'Same side';
+        if (candidate.status !== ACTIVE) return 'Not active';
+        if (sameAddress(candidate.account, target.account)) return 'Same owner as the selected order';
+        if (sameAddress(candidate.account, viewer)) return 'Your own order';
+
+        // A private order can only be matched by one of the two trading accounts
+        const viewerIsParty = sameAddress(target.account, viewer);
+        if (candidate.isPrivate && !viewerIsParty) return 'Private order of another account';
+        if (target.isPrivate && !viewerIsParty) return 'The selected order is private to its owner';
+
+        const { offer, demand } = pairOf(target, candidate);
+        if (known(offer.price) && known(demand.price) && offer.price > demand.price) return 'Price mismatch';
+        return null;
+    }
+
+    /**
+     * Scores one eligible pair. `credits` maps lowercase buyer addresses to
+     * their credit balance; the trade settles min(amounts) at the offer price.
+     */
+    function scoreCandidate(target, candidate, { preferredType = null, credits = {} } = {}) {
+        const { offer, demand } = pairOf(target, candidate);
+        const notes = [];
+
+        const priceFit = known(offer.price) && known(demand.price) ? 'compatible' : 'unknown';
+        if (priceFit === 'unknown') notes.push('Price is encrypted; the match may fail with "Price mismatch"');
+
+        // Share of the selected order that the trade would fill
+        let sizeFit = null;
+        let tradeAmount = null;
+        if (known(offer.amount) && known(demand.amount) && offer.amount > 0 && demand.amount > 0) {
+            tradeAmount = Math.min(offer.amount, demand.amount);
+            sizeFit = tradeAmount / target.amount;
+            if (sizeFit < 1) notes.push(`Fills ${tradeAmount} of ${target.amount} kWh`);
+        }
+
+        // Cheaper offers leave the buyer more headroom under the max price
+        const priceAdvantage = target.side === 'demand' && priceFit === 'compatible' && demand.price > 0
+            ? (demand.price - offer.price) / demand.price
+            : null;
+
+        const typeMatch = known(preferredType) && known(offer.energyType)
+            ? offer.energyType === Number(preferredType)
+            : null;
+
+        let creditsOk = null;
+        const balance = credits[demand.account.toLowerCase()];
+        if (known(balance) && known(tradeAmount) && known(offer.price)) {
+            creditsOk = Number(balance) >= tradeAmount * offer.price;
+            if (!creditsOk) notes.push('Buyer has too few credits; settlement would fail');
+        }
+
+        return { order: candidate, priceFit, sizeFit, priceAdvantage, typeMatch, creditsOk, tradeAmount, notes };
+    }
+
+    function compareScores(a, b) {
+        return PRICE_FIT_ORDER[a.priceFit] - PRICE_FIT_ORDER[b.priceFit] ||
+            (a.creditsOk === false) - (b.creditsOk === false) ||
+            (b.typeMatch === true) - (a.typeMatch === true) ||
+            (known(b.sizeFit) ? b.sizeFit : -1) - (known(a.sizeFit) ? a.sizeFit : -1) ||
+            (known(b.priceAdvantage) ? b.priceAdvantage : -1) - (known(a.priceAdvantage) ? a.priceAdvantage : -1) ||
+            a.order.id - b.order.id;
+    }
+
+    /**
+     * Ranks every order on the other side of `target` for `viewer`. Returns
+     * the eligible suggestions best first and the excluded orders with the
+     * reason each was left out.
+     */
+    function rankCandidates(target, orders, { viewer = null, preferredType = null, credits = {} } = {}) {
+        const suggestions = [];
+        const excluded = [];
+
+        orders.forEach(order => {
+            if (order.side === target.side) return;
+            const reason = exclusionReason(target, order, viewer);
+            if (reason) {
+                excluded.push({ order, reason });
+            } else {
+                suggestions.push(scoreCandidate(target, order, { preferredType, credits }));
+            }
+        });
+
+        suggestions.sort(compareScores);
+        return { suggestions, excluded };
+    }
+
+    return {
+        exclusionReason,
+        scoreCandidate,
+        rankCandidates
+    };
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rankCandidates } = require('./order-matching.js');
+const { ORDER_STATUS } = require('./market-abi.js');
+
+const ME = '0x0a0e000000000000000000000000000000000001';
+const SELLER = '0x5014000000000000000000000000000000000001';
+const OTHER_SELLER = '0x5014000000000000000000000000000000000002';
+const BUYER = '0x5014000000000000000000000000000000000003';
+
+function offer(id, fields = {}) {
+    return { side: 'offer', id, account: SELLER, energyType: 0, status: ORDER_STATUS.ACTIVE, isPrivate: false, amount: 100, price: 40, ...fields };
+}
+
+function demand(id, fields = {}) {
+    return { side: 'demand', id, account: BUYER, energyType: null, status: ORDER_STATUS.ACTIVE, isPrivate: false, amount: 100, price: 45, ...fields };
+}
+
+function reasons(ranking) {
+    return Object.fromEntries(ranking.excluded.map(({ order, reason }) => [order.id, reason]));
+}
+
+test('orders that would revert or fail settlement are excluded with a reason', () => {
+    const target = demand(1);
+    const ranking = rankCandidates(target, [
+        offer(1),
+        offer(2, { status: ORDER_STATUS.MATCHED }),
+        offer(3, { account: BUYER }),
+        offer(4, { account: ME }),
+        offer(5, { isPrivate: true }),
+        offer(6, { price: 50 }),
+        demand(2)
+    ], { viewer: ME });
+
+    assert.deepStrictEqual(ranking.suggestions.map(suggestion => suggestion.order.id), [1]);
+    assert.deepStrictEqual(reasons(ranking), {
+        2: 'Not active',
+        3: 'Same owner as the selected order',
+        4: 'Your own order',
+        5: 'Private order of another account',
+        6: 'Price mismatch'
+    });
+});
+
+test('a private target can only be matched by its owner', () => {
+    const target = demand(1, { isPrivate: true, amount: null, price: null });
+
+    const outsider = rankCandidates(target, [offer(1)], { viewer: ME });
+    assert.deepStrictEqual(reasons(outsider), { 1: 'The selected order is private to its owner' });
+
+    const owner = rankCandidates(target, [offer(1), offer(2, { isPrivate: true })], { viewer: BUYER });
+    assert.deepStrictEqual(owner.suggestions.map(suggestion => suggestion.order.id), [1, 2]);
+    assert.ok(owner.suggestions.every(suggestion => suggestion.priceFit === 'unknown'));
+});
+
+test('suggestions rank known prices, payable buyers and full fills first', () => {
+    const target = demand(1, { amount: 200, price: 50 });
+    const ranking = rankCandidates(target, [
+        offer(1, { price: null }),
+        offer(2, { amount: 50, price: 30 }),
+        offer(3, { amount: 200, price: 45, account: OTHER_SELLER }),
+        offer(4, { amount: 200, price: 35, energyType: 1 })
+    ], { viewer: ME, preferredType: 1, credits: { [BUYER.toLowerCase()]: 8000 } });
+
+    // 4 fills the demand in the preferred type for 7000 credits; 3 costs 9000, more than the buyer has
+    assert.deepStrictEqual(ranking.suggestions.map(suggestion => suggestion.order.id), [4, 2, 3, 1]);
+    assert.strictEqual(ranking.suggestions[2].creditsOk, false);
+    assert.strictEqual(ranking.suggestions[1].sizeFit, 0.25);
+});
\ No newline at end of file
@@ -0,0 +1,181 @@
+// Portfolio - an account's credit ledger and trading position
+//
+// Rebuilds the ledger from completed trades (the TradeCompleted events):
+// purchases debit the buyer, sales credit the seller. addCredits emits no
+// event, so top-ups are inferred from the balance. With past balances at
+// each settlement block they are placed where they happened; without them
+// one entry covers everything the trades do not explain. Either way the
+// running balance ends at the account's current userCredits.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'));
+    } else {
+        root.Portfolio = factory(root.MarketAbi);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi) {
+    const { ENERGY_TYPES } = MarketAbi;
+
+    /**
+     * @typedef {object} LedgerEntry
+     * @property {'top-up'|'purchase'|'sale'|'unexplained'} kind - 'unexplained' is a drop in credits no trade accounts for
+     * @property {number|null} tradeId
+     * @property {number|null} sessionId
+     * @property {number|null} energyType
+     * @property {number} energyAmount - kWh, 0 for top-ups
+     * @property {number} tradePrice - wei/kWh, 0 for top-ups
+     * @property {number} change - credits added (positive) or removed (negative)
+     * @property {number} balance - credits after this entry
+     * @property {number|null} blockNumber - block of the settlement; for top-ups the block they were seen by
+     * @property {string|null} transactionHash
+     * @property {boolean} inferred - top-ups, whose amount comes from balances rather than an event
+     */
+
+    function sameAddress(a, b) {
+        return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+    }
+
+    function balanceEntry(amount, blockNumber) {
+        return {
+            kind: amount >= 0 ? 'top-up' : 'unexplained',
+            tradeId: null,
+            sessionId: null,
+            energyType: null,
+            energyAmount: 0,
+            tradePrice: 0,
+            change: amount,
+            balance: 0,
+            blockNumber,
+            transactionHash: null,
+            inferred: true
+        };
+    }
+
+    // A self-trade is a purchase and a sale at once
+    function tradeEntries(trade, account) {
+        const entry = kind => ({
+            kind,
+            tradeId: trade.id,
+            sessionId: trade.sessionId === undefined ? null : trade.sessionId,
+            energyType: trade.energyType,
+            energyAmount: trade.energyAmount,
+            tradePrice: trade.tradePrice,
+            change: (kind === 'sale' ? 1 : -1) * trade.energyAmount * trade.tradePrice,
+            balance: 0,
+            blockNumber: trade.completedBlock || null,
+            transactionHash: trade.completedTx || null,
+            inferred: false
+        });
+        const entries = [];
+        if (sameAddress(trade.buyer, account)) entries.push(entry('purchase'));
+        if (sameAddress(trade.seller, account)) entries.push(entry('sale'));
+        return entries;
+    }
+
+    /**
+     * Settlement blocks whose end-of-block credits make the top-ups exact;
+     * null when some settlement has no known block (no event logs).
+     */
+    function balanceBlocks(trades, account) {
+        const mine = trades.filter(trade => trade.completed && (sameAddress(trade.seller, account) || sameAddress(trade.buyer, account)));
+        if (mine.some(trade => !trade.completedBlock)) return null;
+        return [...new Set(mine.map(trade => trade.completedBlock))].sort((a, b) => a - b);
+    }
+
+    function hasBalances(blocks, balances) {
+        return blocks !== null && (blocks.length === 0 || (Boolean(balances) && blocks.every(block => balances.has(block))));
+    }
+
+    /**
+     * Chronological ledger. `balances` maps settlement blocks (balanceBlocks)
+     * to the account's credits at the end of that block.
+     * @returns {LedgerEntry[]}
+     */
+    function buildLedger({ account, trades, credits, balances = null }) {
+        const mine = trades
+            .filter(trade => trade.completed)
+            .flatMap(trade => tradeEntries(trade, account));
+        const blocks = balanceBlocks(trades, account);
+
+        const ledger = [];
+        let running = 0;
+        const push = entry => {
+            running += entry.change;
+            ledger.push({ ...entry, balance: running });
+        };
+
+        if (hasBalances(blocks, balances)) {
+            // Whatever the block's trades do not explain was added before them
+            blocks.forEach(block => {
+                const entries = mine.filter(entry => entry.blockNumber === block).sort((a, b) => a.tradeId - b.tradeId);
+                const change = entries.reduce((sum, entry) => sum + entry.change, 0);
+                const missing = balances.get(block) - running - change;
+                if (missing !== 0) push(balanceEntry(missing, block));
+                entries.forEach(push);
+            });
+        } else {
+            const change = mine.reduce((sum, entry) => sum + entry.change, 0);
+            const missing = credits - change;
+            if (missing !== 0) push(balanceEntry(missing, null));
+            mine.sort((a, b) => a.tradeId - b.tradeId).forEach(push);
+        }
+
+        // Top-ups since the last settlement
+        if (credits !== running) push(balanceEntry(credits - running, null));
+        return ledger;
+    }
+
+    function average(value, energy) {
+        return energy > 0 ? value / energy : null;
+    }
+
+    function position(entries) {
+        const bought = entries.filter(entry => entry.kind === 'purchase');
+        const sold = entries.filter(entry => entry.kind === 'sale');
+        const paid = -bought.reduce((sum, entry) => sum + entry.change, 0);
+        const received = sold.reduce((sum, entry) => sum + entry.change, 0);
+        const boughtKWh = bought.reduce((sum, entry) => sum + entry.energyAmount, 0);
+        const soldKWh = sold.reduce((sum, entry) => sum + entry.energyAmount, 0);
+        return {
+            trades: new Set(entries.filter(entry => entry.tradeId !== null).map(entry => entry.tradeId)).size,
+            boughtKWh,
+            soldKWh,
+            paid,
+            received,
+            averagePaid: average(paid, boughtKWh),
+            averageReceived: average(received, soldKWh),
+            net: received - paid
+        };
+    }
+
+    /**
+     * The ledger plus the position per energy type (indexed like
+     * ENERGY_TYPES), per session (oldest first) and overall.
+     */
+    function buildPortfolio({ account, trades, credits, balances = null }) {
+        const ledger = buildLedger({ account, trades, credits, balances });
+        const traded = ledger.filter(entry => entry.tradeId !== null);
+        const sessionIds = [...new Set(traded.map(entry => entry.sessionId))]
+            .filter(id => id !== null)
+            .sort((a, b) => a - b);
+
+        return {
+            ledger,
+            credits,
+            topUps: ledger.filter(entry => entry.inferred).reduce((sum, entry) => sum + entry.change, 0),
+            // Top-ups sit between the right trades only with past balances
+            exact: hasBalances(balanceBlocks(trades, account), balances),
+            total: position(traded),
+            byType: ENERGY_TYPES.map((name, type) => position(traded.filter(entry => entry.energyType === type))),
+            bySession: sessionIds.map(sessionId => ({
+                sessionId,
+                ...position(traded.filter(entry => entry.sessionId === sessionId))
+            }))
+        };
+    }
+
+    return {
+        balanceBlocks,
+        buildLedger,
+        buildPortfolio
+    };
+});
\ No newline at end of file
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildLedger, buildPortfolio, balanceBlocks } = require('./portfolio.js');
+
+const ME = '0x0a0e000000000000000000000000000000000001';
+const SELLER = '0x5014000000000000000000000000000000000001';
+const BUYER = '0x5014000000000000000000000000000000000003';
+
+function trade(id, fields) {
+    return {
+        id, seller: SELLER, buyer: ME, energyType: 0, energyAmount: 100, tradePrice: 10,
+        completed: true, sessionId: 1, completedBlock: null, completedTx: null, ...fields
+    };
+}
+
+const TRADES = [
+    trade(1, { completedBlock: 10 }),
+    trade(2, { seller: ME, buyer: BUYER, energyType: 1, energyAmount: 50, tradePrice: 30, sessionId: 2, completedBlock: 20 }),
+    trade(3, { energyAmount: 20, tradePrice: 5, sessionId: 2, completedBlock: 30 }),
+    // Pending and other people's trades never reach the ledger
+    trade(4, { completed: false, energyAmount: 0, tradePrice: 0 }),
+    trade(5, { seller: SELLER, buyer: BUYER, completedBlock: 40 })
+];
+
+test('without past balances one top-up opens the ledger and it ends at credits', () => {
+    const ledger = buildLedger({ account: ME, trades: TRADES, credits: 2400 });
+
+    // -1000 + 1500 - 100 leaves 400 that only top-ups explain
+    assert.deepStrictEqual(ledger.map(entry => [entry.kind, entry.tradeId, entry.change]), [
+        ['top-up', null, 2000],
+        ['purchase', 1, -1000],
+        ['sale', 2, 1500],
+        ['purchase', 3, -100]
+    ]);
+    assert.strictEqual(ledger[ledger.length - 1].balance, 2400);
+});
+
+test('past balances place each top-up before the trades it paid for', () => {
+    const balances = new Map([[10, 500], [20, 2000], [30, 1900]]);
+    assert.deepStrictEqual(balanceBlocks(TRADES, ME), [10, 20, 30]);
+
+    const ledger = buildLedger({ account: ME, trades: TRADES, credits: 2400, balances });
+    assert.deepStrictEqual(ledger.map(entry => [entry.kind, entry.change, entry.balance, entry.blockNumber]), [
+        ['top-up', 1500, 1500, 10],
+        ['purchase', -1000, 500, 10],
+        ['sale', 1500, 2000, 20],
+        ['purchase', -100, 1900, 30],
+        // Added after the last settlement
+        ['top-up', 500, 2400, null]
+    ]);
+});
+
+test('a drop in credits no trade explains is reported, not hidden', () => {
+    const sale = trade(1, { seller: ME, buyer: BUYER });
+    const ledger = buildLedger({ account: ME, trades: [sale], credits: 600 });
+    assert.deepStrictEqual(ledger.map(entry => [entry.kind, entry.change, entry.balance]), [
+        ['unexplained', -400, -400],
+        ['sale', 1000, 600]
+    ]);
+});
+
+test('a self-trade is both a purchase and a sale', () => {
+    const ledger = buildLedger({ account: ME, trades: [trade(1, { seller: ME })], credits: 300 });
+    assert.deepStrictEqual(ledger.map(entry => [entry.kind, entry.change]), [
+        ['top-up', 300], ['purchase', -1000], ['sale', 1000]
+    ]);
+});
+
+test('the portfolio sums positions per type and session', () => {
+    const portfolio = buildPortfolio({ account: ME, trades: TRADES, credits: 2400 });
+
+    assert.strictEqual(portfolio.exact, false);
+    assert.strictEqual(portfolio.topUps, 2000);
+    assert.deepStrictEqual(
+        [portfolio.total.trades, portfolio.total.boughtKWh, portfolio.total.soldKWh, portfolio.total.paid, portfolio.total.received, portfolio.total.net],
+        [3, 120, 50, 1100, 1500, 400]
+    );
+    assert.strictEqual(portfolio.byType[0].averagePaid, 1100 / 120);
+    assert.strictEqual(portfolio.byType[1].averageReceived, 30);
+    assert.deepStrictEqual(portfolio.bySession.map(session => [session.sessionId, session.trades, session.net]), [[1, 1, -1000], [2, 2, 1400]]);
+});
\ No newline at end of file
@@ -0,0 +1,603 @@
+// Simulated Private Energy Market - in-memory engine behind demo mode
+//
+// Mirrors the PrivateEnergyMarket contract interface (view functions, state
+// changing functions returning transactions, events) so the app, tests and
+// tools can run against it without a wallet or a chain. Reverts use the same
+// reason strings as the contract.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'));
+    } else {
+        root.SimulatedMarket = factory(root.MarketAbi);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi) {
+    const STATUS = MarketAbi.ORDER_STATUS;
+    const UINT32_MAX = 0xffffffff;
+    const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+    const ZERO_HANDLE = '0x' + '0'.repeat(64);
+
+    const EVENT_ARGS = {
+        MarketSessionStarted: ['sessionId', 'startTime'],
+        EnergyOfferCreated: ['offerId', 'seller', 'energyType'],
+        EnergyDemandCreated: ['demandId', 'buyer'],
+        TradeMatched: ['tradeId', 'offerId', 'demandId'],
+        TradeCompleted: ['tradeId', 'seller', 'buyer', 'amount', 'price'],
+        OfferCancelled: ['offerId', 'seller'],
+        DemandCancelled: ['demandId', 'buyer'],
+        // Simulator only: stands in for the reverted processTradeMatch transaction
+        TradeSettlementFailed: ['tradeId', 'reason']
+    };
+
+    function revert(reason) {
+        const error = new Error(`execution reverted: ${reason}`);
+        error.code = 'CALL_EXCEPTION';
+        error.reason = reason;
+        throw error;
+    }
+
+    function sameAddress(a, b) {
+        return String(a).toLowerCase() === String(b).toLowerCase();
+    }
+
+    function toId(value) {
+        const id = Number(value);
+        if (!Number.isInteger(id) || id < 0) {
+            const error = new Error(`invalid id ${value}`);
+            error.code = 'INVALID_ARGUMENT';
+            throw error;
+        }
+        return id;
+    }
+
+    function toUint32(value, name) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0 || number > UINT32_MAX) {
+            const error = new Error(`value out-of-bounds for ${name}`);
+            error.code = 'INVALID_ARGUMENT';
+            throw error;
+        }
+        return number;
+    }
+
+    // Arrays with named properties, like the ethers Result objects
+    function result(names, values) {
+        const out = values.slice();
+        names.forEach((name, i) => { out[name] = values[i]; });
+        return out;
+    }
+
+    function createState(options) {
+        const now = options.now();
+        return {
+            owner: options.owner.toLowerCase(),
+            marketSessionId: 1,
+            sessionStartTime: now,
+            sessionDuration: options.sessionDuration,
+            nextOfferId: 1,
+            nextDemandId: 1,
+            nextTradeId: 1,
+            offers: new Map(),
+            demands: new Map(),
+            trades: new Map(),
+            userOffers: new Map(),
+            userDemands: new Map(),
+            credits: new Map(),
+            blockNumber: 0,
+            txCount: 0,
+            logs: [],
+            transactions: new Map(),
+            listeners: new Map()
+        };
+    }
+
+    class SimulatedMarket {
+        /**
+         * @param {object} options
+         * @param {string} options.owner - market owner, also the default sender
+         * @param {number} [options.sessionDuration=3600] - seconds per session
+         * @param {Function} [options.now] - clock returning unix seconds
+         * @param {number} [options.settlementDelay=1500] - ms before a match settles; 0 settles in the same call
+         * @param {object} [options.fhe] - MockFheClient used to resolve encrypted inputs
+         */
+        constructor(options = {}, state = null, sender = null) {
+            this.options = {
+                owner: ZERO_ADDRESS,
+                sessionDuration: 3600,
+                now: () => Math.floor(Date.now() / 1000),
+                settlementDelay: 1500,
+                fhe: null,
+                ...options
+            };
+            this.state = state || createState(this.options);
+            this.sender = (sender || this.options.owner).toLowerCase();
+            this.address = 'simulated';
+            // Stands in for the wallet, like an ethers contract's signer
+            this.signer = { getAddress: async () => this.sender };
+        }
+
+        connect(account) {
+            return new SimulatedMarket(this.options, this.state, account);
+        }
+
+        // ---- View functions ----
+
+        async owner() { return this.state.owner; }
+        async marketSessionId() { return this.state.marketSessionId; }
+        async sessionStartTime() { return this.state.sessionStartTime; }
+        async sessionDuration() { return this.state.sessionDuration; }
+        async nextOfferId() { return this.state.nextOfferId; }
+        async nextDemandId() { return this.state.nextDemandId; }
+        async nextTradeId() { return this.state.nextTradeId; }
+        async getBlockNumber() { return this.state.blockNumber; }
+
+        async isMarketActive() {
+            return this._isMarketActive();
+        }
+
+        async userCredits(address) {
+            return this.state.credits.get(address.toLowerCase()) || 0;
+        }
+
+        // Encrypted fields are returned as handles, like the public getter on chain
+        async energyOffers(offerId) {
+            const names = ['seller', 'energyAmount', 'pricePerKWh', 'energyType', 'status', 'timestamp', 'isPrivate'];
+            const offer = this.state.offers.get(toId(offerId));
+            if (!offer) {
+                return result(names, [ZERO_ADDRESS, ZERO_HANDLE, ZERO_HANDLE, 0, 0, 0, false]);
+            }
+            return result(names, [offer.seller, offer.amountHandle, offer.priceHandle,
+                offer.energyType, offer.status, offer.timestamp, offer.isPrivate]);
+        }
+
+        async energyDemands(demandId) {
+            const names = ['buyer', 'energyNeeded', 'maxPricePerKWh', 'status', 'timestamp', 'isPrivate'];
+            const demand = this.state.demands.get(toId(demandId));
+            if (!demand) {
+                return result(names, [ZERO_ADDRESS, ZERO_HANDLE, ZERO_HANDLE, 0, 0, false]);
+            }
+            return result(names, [demand.buyer, demand.amountHandle, demand.priceHandle,
+                demand.status, demand.timestamp, demand.isPrivate]);
+        }
+
+        async trades(tradeId) {
+            const trade = this.state.trades.get(toId(tradeId)) || {
+                offerId: 0, demandId: 0, seller: ZERO_ADDRESS, buyer: ZERO_ADDRESS,
+                energyAmount: 0, tradePrice: 0, energyType: 0, timestamp: 0, completed: false
+            };
+            return result(
+                ['offerId', 'demandId', 'seller', 'buyer', 'energyAmount', 'tradePrice', 'energyType', 'timestamp', 'completed'],
+                [trade.offerId, trade.demandId, trade.seller, trade.buyer, trade.energyAmount,
+                    trade.tradePrice, trade.energyType, trade.timestamp, trade.completed]
+            );
+        }
+
+        async getUserOffers(user) {
+            return (this.state.userOffers.get(user.toLowerCase()) || []).slice();
+        }
+
+        async getUserDemands(user) {
+            return (this.state.userDemands.get(user.toLowerCase()) || []).slice();
+        }
+
+        async getMarketSessionInfo() {
+            return result(
+                ['sessionId', 'startTime', 'isActive', 'totalOffers', 'totalDemands'],
+                [this.state.marketSessionId, this.state.sessionStartTime, this._isMarketActive(),
+                    this.state.nextOfferId - 1, this.state.nextDemandId - 1]
+            );
+        }
+
+        async getTradeDetails(tradeId) {
+            const id = toId(tradeId);
+            if (id >= this.state.nextTradeId) revert('Invalid trade ID');
+            const trade = await this.trades(id);
+            return result(
+                ['seller', 'buyer', 'energyAmount', 'tradePrice', 'energyType', 'completed'],
+                [trade.seller, trade.buyer, trade.energyAmount, trade.tradePrice, trade.energyType, trade.completed]
+            );
+        }
+
+        // ---- State changing functions ----
+
+        async createEnergyOffer(energyAmount, pricePerKWh, energyType, isPrivate) {
+            this._requireMarketHours();
+            if (isPrivate) revert('Private orders must be encrypted');
+            const amount = toUint32(energyAmount, '_energyAmount');
+            const price = toUint32(pricePerKWh, '_pricePerKWh');
+            if (amount === 0) revert('Energy amount must be positive');
+            if (price === 0) revert('Price must be positive');
+
+            const handles = [this._asEuint32(amount), this._asEuint32(price)];
+            return this._transaction(() => this._storeOffer(amount, price, handles, energyType, false));
+        }
+
+        async createEncryptedEnergyOffer(encryptedAmount, encryptedPrice, energyType, inputProof) {
+            this._requireMarketHours();
+            const amount = this._fromExternal(encryptedAmount, inputProof);
+            const price = this._fromExternal(encryptedPrice, inputProof);
+
+            const handles = [encryptedAmount, encryptedPrice];
+            return this._transaction(() => this._storeOffer(amount, price, handles, energyType, true));
+        }
+
+        async createEnergyDemand(energyNeeded, maxPricePerKWh, isPrivate) {
+            this._requireMarketHours();
+            if (isPrivate) revert('Private orders must be encrypted');
+            const amount = toUint32(energyNeeded, '_energyNeeded');
+            const maxPrice = toUint32(maxPricePerKWh, '_maxPricePerKWh');
+            if (amount === 0) revert('Energy needed must be positive');
+            if (maxPrice === 0) revert('Max price must be positive');
+
+            const handles = [this._asEuint32(amount), this._asEuint32(maxPrice)];
+            return this._transaction(() => this._storeDemand(amount, maxPrice, handles, false));
+        }
+
+        async createEncryptedEnergyDemand(encryptedNeeded, encryptedMaxPrice, inputProof) {
+            this._requireMarketHours();
+            const amount = this._fromExternal(encryptedNeeded, inputProof);
+            const maxPrice = this._fromExternal(encryptedMaxPrice, inputProof);
+
+            const handles = [encryptedNeeded, encryptedMaxPrice];
+            return this._transaction(() => this._storeDemand(amount, maxPrice, handles, true));
+        }
+
+        async matchTrade(offerIdValue, demandIdValue) {
+            this._requireMarketHours();
+            const offerId = toId(offerIdValue);
+            const demandId = toId(demandIdValue);
+            const offer = this.state.offers.get(offerId);
+            const demand = this.state.demands.get(demandId);
+
+            if (!offer || !demand) revert('Invalid IDs');
+            if (offer.status !== STATUS.ACTIVE) revert('Offer not active');
+            if (demand.status !== STATUS.ACTIVE) revert('Demand not active');
+            if (sameAddress(offer.seller, demand.buyer)) revert('Cannot trade with yourself');
+
+            const isParty = sameAddress(this.sender, demand.buyer) || sameAddress(this.sender, offer.seller);
+            if (offer.isPrivate && !isParty) revert('No access to private offer');
+            if (demand.isPrivate && !isParty) revert('No access to private demand');
+
+            return this._transaction(() => {
+                const tradeId = this.state.nextTradeId++;
+                this.state.trades.set(tradeId, {
+                    offerId,
+                    demandId,
+                    seller: offer.seller,
+                    buyer: demand.buyer,
+                    energyAmount: 0,
+                    tradePrice: 0,
+                    energyType: offer.energyType,
+                    timestamp: this.options.now(),
+                    completed: false
+                });
+
+                offer.status = STATUS.MATCHED;
+                demand.status = STATUS.MATCHED;
+
+                this._emit('TradeMatched', [tradeId, offerId, demandId]);
+                this._scheduleSettlement(tradeId);
+            });
+        }
+
+        async cancelOffer(offerIdValue) {
+            const offerId = toId(offerIdValue);
+            const offer = this.state.offers.get(offerId);
+            if (!offer) revert('Invalid offer ID');
+            if (!sameAddress(offer.seller, this.sender)) revert('Not your offer');
+            if (offer.status !== STATUS.ACTIVE) revert('Offer not active');
+
+            return this._transaction(() => {
+                offer.status = STATUS.CANCELLED;
+                this._emit('OfferCancelled', [offerId, this.sender]);
+            });
+        }
+
+        async cancelDemand(demandIdValue) {
+            const demandId = toId(demandIdValue);
+            const demand = this.state.demands.get(demandId);
+            if (!demand) revert('Invalid demand ID');
+            if (!sameAddress(demand.buyer, this.sender)) revert('Not your demand');
+            if (demand.status !== STATUS.ACTIVE) revert('Demand not active');
+
+            return this._transaction(() => {
+                demand.status = STATUS.CANCELLED;
+                this._emit('DemandCancelled', [demandId, this.sender]);
+            });
+        }
+
+        async addCredits(amount) {
+            const value = Number(amount);
+            if (!Number.isSafeInteger(value) || value < 0) {
+                const error = new Error(`invalid credit amount ${amount}`);
+                error.code = 'INVALID_ARGUMENT';
+                throw error;
+            }
+
+            return this._transaction(() => {
+                this._adjustCredits(this.sender, value);
+            });
+        }
+
+        async startNewMarketSession() {
+            this._requireOwner();
+            if (this._isMarketActive()) revert('Market session still active');
+
+            return this._transaction(() => {
+                this.state.marketSessionId++;
+                this.state.sessionStartTime = this.options.now();
+                this._emit('MarketSessionStarted', [this.state.marketSessionId, this.state.sessionStartTime]);
+            });
+        }
+
+        async setSessionDuration(duration) {
+            this._requireOwner();
+            const value = toId(duration);
+
+            return this._transaction(() => {
+                this.state.sessionDuration = value;
+            });
+        }
+
+        // ---- Events ----
+
+        on(eventName, listener) {
+            if (!this.state.listeners.has(eventName)) {
+                this.state.listeners.set(eventName, new Set());
+            }
+            this.state.listeners.get(eventName).add(listener);
+            return this;
+        }
+
+        off(eventName, listener) {
+            const listeners = this.state.listeners.get(eventName);
+            if (listeners) listeners.delete(listener);
+            return this;
+        }
+
+        removeAllListeners(eventName) {
+            if (eventName) {
+                this.state.listeners.delete(eventName);
+            } else {
+                this.state.listeners.clear();
+            }
+            return this;
+        }
+
+        async queryFilter(eventName, fromBlock = 0, toBlock = 'latest') {
+            const last = toBlock === 'latest' ? this.state.blockNumber : toBlock;
+            return this.state.logs.filter(log =>
+                (eventName === '*' || log.event === eventName) &&
+                log.blockNumber >= fromBlock &&
+                log.blockNumber <= last
+            );
+        }
+
+        // Stands in for provider.getTransaction, so callers can tell who sent a logged transaction
+        async getTransaction(hash) {
+            return this.state.transactions.get(hash) || null;
+        }
+
+        // ---- Internals ----
+
+        _isMarketActive() {
+            return (this.options.now() - this.state.sessionStartTime) <= this.state.sessionDuration;
+        }
+
+        _requireMarketHours() {
+            if (!this._isMarketActive()) revert('Market is closed');
+        }
+
+        _requireOwner() {
+            if (!sameAddress(this.sender, this.state.owner)) revert('Not authorized');
+        }
+
+        _fromExternal(handle, inputProof) {
+            if (!this.options.fhe) {
+                revert('Encrypted inputs require a mock FHE client');
+            }
+            if (!inputProof || inputProof === '0x') revert('Invalid input proof');
+            return this.options.fhe.reveal(handle);
+        }
+
+        _asEuint32(value) {
+            return this.options.fhe ? this.options.fhe.register(value) : ZERO_HANDLE;
+        }
+
+        _adjustCredits(address, delta) {
+            const key = address.toLowerCase();
+            this.state.credits.set(key, (this.state.credits.get(key) || 0) + delta);
+        }
+
+        _storeOffer(amount, price, handles, energyType, isPrivate) {
+            this._grantAccess(handles, isPrivate);
+            const offerId = this.state.nextOfferId++;
+            this.state.offers.set(offerId, {
+                seller: this.sender,
+                energyAmount: amount,
+                pricePerKWh: price,
+                amountHandle: handles[0].toLowerCase(),
+                priceHandle: handles[1].toLowerCase(),
+                energyType: Number(energyType),
+                status: STATUS.ACTIVE,
+                timestamp: this.options.now(),
+                isPrivate: Boolean(isPrivate)
+            });
+            this._pushUserId(this.state.userOffers, offerId);
+            this._emit('EnergyOfferCreated', [offerId, this.sender, Number(energyType)]);
+        }
+
+        _storeDemand(amount, maxPrice, handles, isPrivate) {
+            this._grantAccess(handles, isPrivate);
+            const demandId = this.state.nextDemandId++;
+            this.state.demands.set(demandId, {
+                buyer: this.sender,
+                energyNeeded: amount,
+                maxPricePerKWh: maxPrice,
+                amountHandle: handles[0].toLowerCase(),
+                priceHandle: handles[1].toLowerCase(),
+                status: STATUS.ACTIVE,
+                timestamp: this.options.now(),
+                isPrivate: Boolean(isPrivate)
+            });
+            this._pushUserId(this.state.userDemands, demandId);
+            this._emit('EnergyDemandCreated', [demandId, this.sender]);
+        }
+
+        // The creator may always decrypt; public values anyone may
+        _grantAccess(handles, isPrivate) {
+            const { fhe } = this.options;
+            if (!fhe) return;
+            handles.forEach(handle => {
+                fhe.allow(handle, this.sender);
+                if (!isPrivate) fhe.makePubliclyDecryptable(handle);
+            });
+        }
+
+        _pushUserId(index, id) {
+            if (!index.has(this.sender)) index.set(this.sender, []);
+            index.get(this.sender).push(id);
+        }
+
+        _scheduleSettlement(tradeId) {
+            if (this.options.settlementDelay === 0) {
+                this._settleTrade(tradeId);
+                return;
+            }
+            setTimeout(() => this._settleTrade(tradeId), this.options.settlementDelay);
+        }
+
+        /**
+         * Revert reason of the trade's settlement, or null while it has not
+         * failed. On chain this is the reason the gateway's callback reverted with.
+         */
+        async settlementFailure(tradeId) {
+            const trade = this.state.trades.get(toId(tradeId));
+            return trade && trade.settlementError ? trade.settlementError : null;
+        }
+
+        // Equivalent of processTradeMatch once the gateway has decrypted the values.
+        // A failed check leaves the trade pending, as a reverted callback does on chain,
+        // records the revert reason and notifies TradeSettlementFailed listeners.
+        _settleTrade(tradeId) {
+            const trade = this.state.trades.get(tradeId);
+            const offer = this.state.offers.get(trade.offerId);
+            const demand = this.state.demands.get(trade.demandId);
+
+            if (offer.pricePerKWh > demand.maxPricePerKWh) {
+                this._failSettlement(tradeId, 'Price mismatch');
+                return;
+            }
+
+            const tradeAmount = Math.min(offer.energyAmount, demand.energyNeeded);
+            const totalPayment = tradeAmount * offer.pricePerKWh;
+            const buyerCredits = this.state.credits.get(trade.buyer) || 0;
+            if (buyerCredits < totalPayment) {
+                this._failSettlement(tradeId, 'Insufficient credits');
+                return;
+            }
+
+            this._nextBlock();
+            trade.energyAmount = tradeAmount;
+            trade.tradePrice = offer.pricePerKWh;
+            trade.completed = true;
+            this._adjustCredits(trade.buyer, -totalPayment);
+            this._adjustCredits(trade.seller, totalPayment);
+
+            this._emit('TradeCompleted', [tradeId, trade.seller, trade.buyer, tradeAmount, offer.pricePerKWh]);
+        }
+
+        // The contract emits no event for a reverted callback, so nothing is
+        // added to the logs that queryFilter serves; only listeners hear of it
+        _failSettlement(tradeId, reason) {
+            this.state.trades.get(tradeId).settlementError = reason;
+            this._notify('TradeSettlementFailed', [tradeId, reason], null);
+        }
+
+        _nextBlock() {
+            this.state.blockNumber++;
+            this.state.currentTx = `0x${(++this.state.txCount).toString(16).padStart(64, '0')}`;
+        }
+
+        _transaction(apply) {
+            this._nextBlock();
+            const hash = this.state.currentTx;
+            const blockNumber = this.state.blockNumber;
+            const firstLog = this.state.logs.length;
+
+            apply();
+            this.state.transactions.set(hash, { hash, from: this.sender, blockNumber });
+
+            const receipt = {
+                transactionHash: hash,
+                blockNumber,
+                status: 1,
+                from: this.sender,
+                events: this.state.logs.slice(firstLog).filter(log => log.transactionHash === hash)
+            };
+            return {
+                hash,
+                from: this.sender,
+                wait: async () => receipt
+            };
+        }
+
+        _emit(eventName, values) {
+            const log = {
+                event: eventName,
+                args: result(EVENT_ARGS[eventName], values),
+                blockNumber: this.state.blockNumber,
+                transactionHash: this.state.currentTx,
+                logIndex: this.state.logs.length
+            };
+            this.state.logs.push(log);
+            this._notify(eventName, values, log);
+        }
+
+        // '*' listeners follow the logs, so they skip events that have none
+        _notify(eventName, values, log) {
+            (log ? [eventName, '*'] : [eventName]).forEach(name => {
+                const listeners = this.state.listeners.get(name);
+                if (!listeners) return;
+                listeners.forEach(listener => {
+                    try {
+                        listener(...values, log);
+                    } catch (error) {
+                        console.error(`Simulated ${eventName} listener failed:`, error);
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Builds a simulated market with a few counterparties so every screen has
+     * something to work with. `account` becomes the owner and gets starting credits.
+     */
+    async function createDemoMarket({ account, fhe = null, now, settlementDelay } = {}) {
+        const options = { owner: account, fhe };
+        if (now) options.now = now;
+        if (settlementDelay !== undefined) options.settlementDelay = settlementDelay;
+        const market = new SimulatedMarket(options);
+
+        const solarFarm = market.connect('0x5014000000000000000000000000000000000001');
+        const windCoop = market.connect('0x5014000000000000000000000000000000000002');
+        const factory = market.connect('0x5014000000000000000000000000000000000003');
+
+        await market.addCredits(1000000);
+        await factory.addCredits(500000);
+
+        await solarFarm.createEnergyOffer(500, 40, 0, false);
+        await windCoop.createEnergyOffer(1200, 35, 1, false);
+        await solarFarm.createEnergyOffer(250, 55, 0, false);
+        await factory.createEnergyDemand(800, 45, false);
+        await factory.createEnergyDemand(300, 30, false);
+
+        return market;
+    }
+
+    return {
+        SimulatedMarket,
+        createDemoMarket,
+        STATUS
+    };
+});
\ No newline at end of file
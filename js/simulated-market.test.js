@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createDemoMarket, STATUS } = require('./simulated-market.js');
+
+const OWNER = '0x0a0e000000000000000000000000000000000001';
+const SOLAR_FARM = '0x5014000000000000000000000000000000000001';
+const FACTORY = '0x5014000000000000000000000000000000000003';
+const NEWCOMER = '0x0e00000000000000000000000000000000000004';
+
+function clock(start = 1700000000) {
+    const now = () => now.value;
+    now.value = start;
+    return now;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('a match settles the smaller amount at the offer price and moves credits', async () => {
+    const market = await createDemoMarket({ account: OWNER, settlementDelay: 0 });
+    const receipt = await (await market.matchTrade(1, 1)).wait();
+
+    // Settlement is the gateway's callback: a transaction of its own, after the match
+    assert.deepStrictEqual(receipt.events.map(event => event.event), ['TradeMatched']);
+    assert.strictEqual((await market.queryFilter('TradeCompleted')).length, 1);
+    const trade = await market.getTradeDetails(1);
+    assert.strictEqual(trade.completed, true);
+    assert.strictEqual(trade.energyAmount, 500);
+    assert.strictEqual(trade.tradePrice, 40);
+    assert.strictEqual(await market.userCredits(FACTORY), 500000 - 500 * 40);
+    assert.strictEqual(await market.userCredits(SOLAR_FARM), 500 * 40);
+    assert.strictEqual((await market.energyOffers(1)).status, STATUS.MATCHED);
+    assert.strictEqual((await market.energyDemands(1)).status, STATUS.MATCHED);
+});
+
+test('settlement waits for the configured delay', async () => {
+    const market = await createDemoMarket({ account: OWNER, settlementDelay: 20 });
+    await market.matchTrade(2, 1);
+    assert.strictEqual((await market.getTradeDetails(1)).completed, false);
+
+    await sleep(60);
+    assert.strictEqual((await market.getTradeDetails(1)).completed, true);
+});
+
+test('a price mismatch leaves the trade pending and notifies listeners', async () => {
+    const market = await createDemoMarket({ account: OWNER, settlementDelay: 0 });
+    const failures = [];
+    market.on('TradeSettlementFailed', (tradeId, reason) => failures.push([tradeId, reason]));
+
+    // Offer 3 asks 55, demand 1 pays at most 45
+    const receipt = await (await market.matchTrade(3, 1)).wait();
+
+    assert.deepStrictEqual(failures, [[1, 'Price mismatch']]);
+    assert.deepStrictEqual(receipt.events.map(event => event.event), ['TradeMatched']);
+    assert.strictEqual((await market.getTradeDetails(1)).completed, false);
+    assert.strictEqual(await market.settlementFailure(1), 'Price mismatch');
+    assert.strictEqual(await market.userCredits(FACTORY), 500000);
+    // The contract emits nothing for a reverted callback, so neither do the logs
+    assert.deepStrictEqual((await market.queryFilter('*')).filter(log => log.event === 'TradeSettlementFailed'), []);
+});
+
+test('a buyer without enough credits fails settlement', async () => {
+    const market = await createDemoMarket({ account: OWNER, settlementDelay: 0 });
+    await market.connect(NEWCOMER).createEnergyDemand(100, 50, false);
+    await market.matchTrade(1, 3);
+
+    assert.strictEqual(await market.settlementFailure(1), 'Insufficient credits');
+    assert.strictEqual(await market.settlementFailure(2), null);
+    assert.strictEqual(await market.userCredits(SOLAR_FARM), 0);
+});
+
+test('invalid calls revert with the contract reasons', async () => {
+    const now = clock();
+    const market = await createDemoMarket({ account: OWNER, settlementDelay: 0, now });
+    const reason = reasonText => ({ code: 'CALL_EXCEPTION', reason: reasonText });
+
+    await assert.rejects(market.createEnergyOffer(0, 10, 0, false), reason('Energy amount must be positive'));
+    await assert.rejects(market.createEnergyDemand(10, 0, false), reason('Max price must be positive'));
+    await assert.rejects(market.matchTrade(1, 9), reason('Invalid IDs'));
+    await assert.rejects(market.connect(FACTORY).cancelOffer(1), reason('Not your offer'));
+    await assert.rejects(market.connect(FACTORY).startNewMarketSession(), reason('Not authorized'));
+    await assert.rejects(market.startNewMarketSession(), reason('Market session still active'));
+    await assert.rejects(market.getTradeDetails(1), reason('Invalid trade ID'));
+
+    await market.connect(SOLAR_FARM).createEnergyDemand(100, 60, false);
+    await assert.rejects(market.matchTrade(1, 3), reason('Cannot trade with yourself'));
+
+    await market.matchTrade(1, 1);
+    await assert.rejects(market.matchTrade(1, 2), reason('Offer not active'));
+
+    now.value += 3601;
+    await assert.rejects(market.createEnergyOffer(10, 10, 0, false), reason('Market is closed'));
+});
+
+test('encrypted orders need the mock FHE client', async () => {
+    const market = await createDemoMarket({ account: OWNER, settlementDelay: 0 });
+    await assert.rejects(
+        market.createEncryptedEnergyOffer('0x01', '0x02', 0, '0x6d6f636b'),
+        { reason: 'Encrypted inputs require a mock FHE client' }
+    );
+});
\ No newline at end of file
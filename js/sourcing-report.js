@@ -0,0 +1,282 @@
+// Sourcing report - what share of an account's purchased energy was renewable
+//
+// Built from the account's completed purchases, the only trades whose
+// amount is public. CO2 avoided is estimated per kWh as the grid baseline
+// minus the energy type's own lifecycle emissions, so a low-carbon but
+// non-renewable type (nuclear) still avoids CO2 without counting as
+// renewable. Every figure lists the trade IDs behind it as evidence.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'), require('./market-export.js'), require('./svg-charts.js'),
+            require('./market-validation.js'));
+    } else {
+        root.SourcingReport = factory(root.MarketAbi, root.MarketExport, root.SvgCharts, root.MarketValidation);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi, MarketExport, SvgCharts, MarketValidation) {
+    const { ENERGY_TYPES } = MarketAbi;
+    // Keyed by ENERGY_TYPES name; a type that is not listed here is not renewable
+    const RENEWABLE = Object.fromEntries(ENERGY_TYPES.map(name => [name, ['Solar', 'Wind', 'Hydro'].includes(name)]));
+
+    /**
+     * gCO2e/kWh. Per type: IPCC AR5 lifecycle medians (utility solar PV,
+     * wind, hydro, nuclear); baseline: IEA world average grid intensity.
+     * Replace them with the figures your reporting framework prescribes.
+     */
+    const DEFAULT_EMISSION_FACTORS = {
+        baseline: 475,
+        byType: { Solar: 48, Wind: 12, Hydro: 24, Nuclear: 12 }
+    };
+
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function round(value, digits = 3) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * @typedef {object} SourcingReport
+     * @property {string} account
+     * @property {{ network: string, chainId: number|null, contract: string|null }|null} market - where the trades were read
+     * @property {string} generatedAt - ISO time
+     * @property {{ from: string|null, to: string|null, sessionIds: number[]|null }} period
+     * @property {{ baseline: number, byType: Object<string, number> }} emissionFactors - gCO2e/kWh, byType keyed by type name
+     * @property {number} totalKWh
+     * @property {number} renewableKWh
+     * @property {number|null} renewableShare - 0..1, null without purchases
+     * @property {number} co2AvoidedKg
+     * @property {{ type: number, name: string, renewable: boolean, trades: number, kWh: number, share: number|null, co2AvoidedKg: number, tradeIds: number[] }[]} byType
+     * @property {object[]} evidence - one row per purchase, oldest first
+     */
+
+    /**
+     * The account's completed purchases within [from, to] (Date objects)
+     * and, when given, the sessions in `sessionIds`. Throws when
+     * `emissionFactors.byType` lacks a type.
+     * @returns {SourcingReport}
+     */
+    function buildReport({ account, trades, from = null, to = null, sessionIds = null, emissionFactors = DEFAULT_EMISSION_FACTORS, market = null, now = new Date() }) {
+        const factors = MarketValidation.validateEmissionFactors(emissionFactors);
+        const byId = new Map(trades.map(trade => [trade.id, trade]));
+        const rows = MarketExport.filterRows(MarketExport.tradeRows(trades, account), { from, to, sessionIds })
+            .filter(row => row.completed && row.role === 'buyer')
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.tradeId - b.tradeId);
+
+        const evidence = rows.map(row => {
+            const trade = byId.get(row.tradeId);
+            return {
+                tradeId: row.tradeId,
+                sessionId: row.sessionId,
+                timestamp: row.timestamp,
+                energyType: row.energyType,
+                renewable: RENEWABLE[ENERGY_TYPES[trade.energyType]],
+                energyKWh: row.energyKWh,
+                priceWeiPerKWh: row.priceWeiPerKWh,
+                totalWei: row.totalWei,
+                seller: row.counterparty,
+                settlementTx: trade.completedTx || null,
+                settlementBlock: trade.completedBlock || null
+            };
+        });
+
+        const totalKWh = evidence.reduce((sum, row) => sum + row.energyKWh, 0);
+        const avoided = name => (factors.baseline - factors.byType[name]) / 1000;
+        const byType = ENERGY_TYPES.map((name, type) => {
+            const purchases = evidence.filter(row => byId.get(row.tradeId).energyType === type);
+            const kWh = purchases.reduce((sum, row) => sum + row.energyKWh, 0);
+            return {
+                type,
+                name,
+                renewable: RENEWABLE[name],
+                trades: purchases.length,
+                kWh,
+                share: totalKWh > 0 ? kWh / totalKWh : null,
+                co2AvoidedKg: round(kWh * avoided(name)),
+                tradeIds: purchases.map(row => row.tradeId)
+            };
+        });
+        const renewableKWh = byType.filter(entry => entry.renewable).reduce((sum, entry) => sum + entry.kWh, 0);
+
+        return {
+            account,
+            market,
+            generatedAt: now.toISOString(),
+            period: {
+                from: from ? from.toISOString() : null,
+                to: to ? to.toISOString() : null,
+                sessionIds
+            },
+            emissionFactors: factors,
+            totalKWh,
+            renewableKWh,
+            renewableShare: totalKWh > 0 ? renewableKWh / totalKWh : null,
+            co2AvoidedKg: round(byType.reduce((sum, entry) => sum + entry.co2AvoidedKg, 0)),
+            byType,
+            evidence
+        };
+    }
+
+    function toJson(report) {
+        return JSON.stringify({ kind: 'sourcing-report', ...report }, null, 2);
+    }
+
+    function percent(share) {
+        return share === null ? '-' : `${(share * 100).toFixed(1)}%`;
+    }
+
+    function periodText(period) {
+        const day = iso => iso.slice(0, 10);
+        const parts = [];
+        if (period.from || period.to) {
+            parts.push(`${period.from ? day(period.from) : 'start'} to ${period.to ? day(period.to) : 'today'}`);
+        }
+        if (period.sessionIds) parts.push(`sessions ${period.sessionIds.map(id => `#${id}`).join(', ')}`);
+        return parts.length > 0 ? parts.join(', ') : 'all trades';
+    }
+
+    /** A standalone HTML document that prints on its own (no scripts or external files) */
+    function toHtml(report) {
+        const chart = report.totalKWh === 0 ? null : SvgCharts.barChart({
+            label: 'Purchased kWh by energy type',
+            height: 240,
+            categories: report.byType.map(entry => entry.name),
+            series: [
+                { name: 'Renewable', color: '#48BB78', values: report.byType.map(entry => entry.renewable ? entry.kWh : 0) },
+                { name: 'Non-renewable', color: '#A0AEC0', values: report.byType.map(entry => entry.renewable ? 0 : entry.kWh) }
+            ],
+            formatY: value => `${value} kWh`
+        });
+
+        const typeRows = report.byType.map(entry => `
+                <tr>
+                    <td>${escapeHtml(entry.name)}</td>
+                    <td>${entry.renewable ? 'Yes' : 'No'}</td>
+                    <td>${entry.trades}</td>
+                    <td>${entry.kWh}</td>
+                    <td>${percent(entry.share)}</td>
+                    <td>${report.emissionFactors.byType[entry.name]}</td>
+                    <td>${entry.co2AvoidedKg}</td>
+                    <td>${entry.tradeIds.map(id => `#${id}`).join(', ')}</td>
+                </tr>`).join('');
+
+        const evidenceRows = report.evidence.map(row => `
+                <tr>
+                    <td>#${row.tradeId}</td>
+                    <td>${row.sessionId === null ? '-' : `#${row.sessionId}`}</td>
+                    <td>${escapeHtml(row.timestamp.replace('T', ' ').slice(0, 19))}</td>
+                    <td>${escapeHtml(row.energyType)}</td>
+                    <td>${row.energyKWh}</td>
+                    <td>${row.priceWeiPerKWh}</td>
+                    <td class="mono">${escapeHtml(row.seller)}</td>
+                    <td class="mono">${row.settlementTx ? escapeHtml(row.settlementTx) : '-'}</td>
+                </tr>`).join('');
+
+        const market = report.market;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Renewable Sourcing Report - ${escapeHtml(report.account)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2D3748; margin: 40px; }
+        h1 { font-size: 1.6rem; margin-bottom: 4px; }
+        h2 { font-size: 1.2rem; margin-top: 32px; border-bottom: 2px solid #E2E8F0; padding-bottom: 6px; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+        dt { color: #718096; }
+        dd { margin: 0; }
+        .figures { display: flex; gap: 16px; margin: 20px 0; }
+        .figure { flex: 1; border: 1px solid #E2E8F0; border-radius: 8px; padding: 12px; }
+        .figure strong { display: block; font-size: 1.4rem; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E2E8F0; vertical-align: top; }
+        th { background: #F7FAFC; }
+        .mono { font-family: monospace; font-size: 0.8rem; word-break: break-all; }
+        .note { color: #718096; font-size: 0.85rem; }
+        svg { max-width: 640px; }
+        @media print {
+            body { margin: 0; }
+            tr { page-break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <h1>Renewable Energy Sourcing Report</h1>
+    <dl>
+        <dt>Account</dt><dd class="mono">${escapeHtml(report.account)}</dd>
+        ${market ? `<dt>Market</dt><dd>${escapeHtml(market.network)}${market.contract ? ` (chain ${escapeHtml(market.chainId)}), contract <span class="mono">${escapeHtml(market.contract)}</span>` : ''}</dd>` : ''}
+        <dt>Period</dt><dd>${escapeHtml(periodText(report.period))}</dd>
+        <dt>Generated</dt><dd>${escapeHtml(report.generatedAt)}</dd>
+    </dl>
+
+    <div class="figures">
+        <div class="figure">Purchased<strong>${report.totalKWh} kWh</strong></div>
+        <div class="figure">Renewable<strong>${report.renewableKWh} kWh</strong></div>
+        <div class="figure">Renewable share<strong>${percent(report.renewableShare)}</strong></div>
+        <div class="figure">CO2 avoided (est.)<strong>${report.co2AvoidedKg} kg</strong></div>
+    </div>
+
+    <h2>By Energy Type</h2>
+    ${chart || '<p>No completed purchases in this period.</p>'}
+    <table>
+        <thead>
+            <tr>
+                <th>Energy Type</th>
+                <th>Renewable</th>
+                <th>Trades</th>
+                <th>kWh</th>
+                <th>Share</th>
+                <th>Factor (gCO2e/kWh)</th>
+                <th>CO2 Avoided (kg)</th>
+                <th>Trade IDs</th>
+            </tr>
+        </thead>
+        <tbody>${typeRows}
+        </tbody>
+    </table>
+    <p class="note">
+        CO2 avoided = kWh × (grid baseline ${report.emissionFactors.baseline} gCO2e/kWh − the type's factor).
+        Solar, Wind and Hydro count as renewable; Nuclear is low-carbon but not renewable.
+    </p>
+
+    <h2>Evidence</h2>
+    ${report.evidence.length === 0 ? '<p>No completed purchases in this period.</p>' : `
+    <table>
+        <thead>
+            <tr>
+                <th>Trade</th>
+                <th>Session</th>
+                <th>Matched (UTC)</th>
+                <th>Energy Type</th>
+                <th>kWh</th>
+                <th>Price (wei/kWh)</th>
+                <th>Seller</th>
+                <th>Settlement Transaction</th>
+            </tr>
+        </thead>
+        <tbody>${evidenceRows}
+        </tbody>
+    </table>`}
+    <p class="note">
+        Each trade can be checked on-chain: getTradeDetails(tradeId) on the market contract returns
+        its buyer, amount, price, energy type and completion, and its TradeCompleted event is in the
+        settlement transaction.
+    </p>
+</body>
+</html>
+`;
+    }
+
+    return {
+        RENEWABLE,
+        DEFAULT_EMISSION_FACTORS,
+        buildReport,
+        toJson,
+        toHtml
+    };
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildReport, toHtml, toJson, RENEWABLE, DEFAULT_EMISSION_FACTORS } = require('./sourcing-report.js');
+const { ENERGY_TYPES } = require('./market-abi.js');
+
+const ME = '0x0a0e000000000000000000000000000000000001';
+const SELLER = '0x5014000000000000000000000000000000000001';
+
+function purchase(id, energyType, energyAmount, fields = {}) {
+    return {
+        id, offerId: id, demandId: id, seller: SELLER, buyer: ME, energyType, energyAmount, tradePrice: 10,
+        completed: true, sessionId: 1, timestamp: 1700000000 + id * 60, completedTx: `0x${id}`, completedBlock: id, ...fields
+    };
+}
+
+const TRADES = [
+    purchase(1, 0, 100),
+    purchase(2, 1, 300, { sessionId: 2 }),
+    purchase(3, 3, 100, { sessionId: 2 }),
+    // Left out: still pending, a sale, and someone else's purchase
+    purchase(4, 2, 0, { completed: false }),
+    purchase(5, 2, 50, { seller: ME, buyer: SELLER }),
+    purchase(6, 2, 50, { buyer: SELLER })
+];
+
+test('totals count completed purchases and split renewable from low-carbon', () => {
+    const report = buildReport({ account: ME, trades: TRADES, now: new Date('2026-01-01T00:00:00Z') });
+
+    assert.strictEqual(report.totalKWh, 500);
+    assert.strictEqual(report.renewableKWh, 400);
+    assert.strictEqual(report.renewableShare, 0.8);
+    assert.deepStrictEqual(report.evidence.map(row => row.tradeId), [1, 2, 3]);
+    assert.deepStrictEqual(report.byType.map(entry => [entry.name, entry.kWh, entry.tradeIds]), [
+        ['Solar', 100, [1]], ['Wind', 300, [2]], ['Hydro', 0, []], ['Nuclear', 100, [3]]
+    ]);
+    // kWh × (475 - factor) grams, with the default factors Solar 48, Wind 12 and Nuclear 12
+    assert.deepStrictEqual(report.byType.map(entry => entry.co2AvoidedKg), [42.7, 138.9, 0, 46.3]);
+    assert.strictEqual(report.co2AvoidedKg, 227.9);
+});
+
+test('periods and sessions narrow the purchases', () => {
+    const bySession = buildReport({ account: ME, trades: TRADES, sessionIds: [2] });
+    assert.deepStrictEqual(bySession.evidence.map(row => row.tradeId), [2, 3]);
+
+    const empty = buildReport({ account: ME, trades: TRADES, from: new Date('2030-01-01T00:00:00Z') });
+    assert.strictEqual(empty.totalKWh, 0);
+    assert.strictEqual(empty.renewableShare, null);
+    assert.match(toHtml(empty), /No completed purchases in this period/);
+});
+
+test('renewable flags and emission factors are keyed by type name', () => {
+    assert.deepStrictEqual(Object.keys(RENEWABLE), ENERGY_TYPES);
+    assert.deepStrictEqual(Object.keys(DEFAULT_EMISSION_FACTORS.byType), ENERGY_TYPES);
+
+    const byType = { Solar: 40, Wind: 10, Hydro: 20, Nuclear: 5 };
+    const report = buildReport({ account: ME, trades: TRADES, emissionFactors: { baseline: 400, byType } });
+    assert.deepStrictEqual(report.emissionFactors, { baseline: 400, byType });
+    assert.strictEqual(JSON.parse(toJson(report)).emissionFactors.byType.Nuclear, 5);
+
+    const html = toHtml(report);
+    assert.doesNotMatch(html, /undefined/);
+    ENERGY_TYPES.forEach(name => assert.match(html, new RegExp(`<td>${name}</td>[\\s\\S]*?<td>${byType[name]}</td>`)));
+});
+
+test('partial or positional emission factors are rejected', () => {
+    assert.throws(
+        () => buildReport({ account: ME, trades: TRADES, emissionFactors: { baseline: 475, byType: { Solar: 48, Wind: 12 } } }),
+        { kind: 'invalid-argument', message: 'Missing emission factor for Hydro, Nuclear' }
+    );
+    assert.throws(
+        () => buildReport({ account: ME, trades: TRADES, emissionFactors: { baseline: 475, byType: [48, 12, 24, 12] } }),
+        { kind: 'invalid-argument', message: 'Emission factors must be keyed by energy type' }
+    );
+    assert.throws(
+        () => buildReport({ account: ME, trades: TRADES, emissionFactors: { baseline: 475, byType: { ...DEFAULT_EMISSION_FACTORS.byType, Coal: 820 } } }),
+        { kind: 'invalid-argument', message: 'Unknown energy type in emission factors: Coal' }
+    );
+});
\ No newline at end of file
@@ -0,0 +1,408 @@
+// SQLite store - event index and market tables in one SQLite file (Node only)
+//
+// Implements the store interface of js/event-indexer.js on better-sqlite3,
+// so the same indexer that backs the web app's history views fills it.
+// Every change to the event log also updates the offers, demands, trades
+// and sessions tables in the same transaction (appended events are applied
+// to them, a rollback rebuilds them); a process that stops at any point
+// resumes from the last committed chunk with consistent tables.
+const MarketAbi = require('./market-abi.js');
+const MarketErrors = require('./market-errors.js');
+const EventIndexer = require('./event-indexer.js');
+
+const { ORDER_STATUS } = MarketAbi;
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS events (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT,
+        log_index INTEGER NOT NULL,
+        transaction_hash TEXT,
+        args TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS events_position ON events (block_number, log_index);
+    CREATE TABLE IF NOT EXISTS sessions (
+        session_id INTEGER PRIMARY KEY,
+        start_time INTEGER,
+        block_number INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS offers (
+        id INTEGER PRIMARY KEY,
+        seller TEXT NOT NULL COLLATE NOCASE,
+        energy_type INTEGER NOT NULL,
+        status INTEGER NOT NULL,
+        session_id INTEGER NOT NULL,
+        block_number INTEGER NOT NULL,
+        transaction_hash TEXT
+    );
+    CREATE TABLE IF NOT EXISTS demands (
+        id INTEGER PRIMARY KEY,
+        buyer TEXT NOT NULL COLLATE NOCASE,
+        status INTEGER NOT NULL,
+        session_id INTEGER NOT NULL,
+        block_number INTEGER NOT NULL,
+        transaction_hash TEXT
+    );
+    CREATE TABLE IF NOT EXISTS trades (
+        id INTEGER PRIMARY KEY,
+        offer_id INTEGER NOT NULL,
+        demand_id INTEGER NOT NULL,
+        seller TEXT COLLATE NOCASE,
+        buyer TEXT COLLATE NOCASE,
+        energy_type INTEGER,
+        energy_amount INTEGER NOT NULL,
+        trade_price INTEGER NOT NULL,
+        completed INTEGER NOT NULL,
+        session_id INTEGER NOT NULL,
+        block_number INTEGER NOT NULL,
+        matched_tx TEXT,
+        completed_tx TEXT
+    );
+    CREATE INDEX IF NOT EXISTS trades_seller ON trades (seller);
+    CREATE INDEX IF NOT EXISTS trades_buyer ON trades (buyer);
+`;
+
+function sessionRow(row) {
+    return { sessionId: row.session_id, startTime: row.start_time, blockNumber: row.block_number };
+}
+
+function offerRow(row) {
+    return {
+        id: row.id,
+        seller: row.seller,
+        energyType: row.energy_type,
+        status: row.status,
+        sessionId: row.session_id,
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash
+    };
+}
+
+function demandRow(row) {
+    return {
+        id: row.id,
+        buyer: row.buyer,
+        status: row.status,
+        sessionId: row.session_id,
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash
+    };
+}
+
+function tradeRow(row) {
+    return {
+        id: row.id,
+        offerId: row.offer_id,
+        demandId: row.demand_id,
+        seller: row.seller,
+        buyer: row.buyer,
+        energyType: row.energy_type,
+        energyAmount: row.energy_amount,
+        tradePrice: row.trade_price,
+        completed: row.completed === 1,
+        sessionId: row.session_id,
+        blockNumber: row.block_number,
+        matchedTx: row.matched_tx,
+        completedTx: row.completed_tx
+    };
+}
+
+function countByStatus(rows) {
+    const counts = { active: 0, matched: 0, cancelled: 0 };
+    rows.forEach(row => {
+        if (row.status === ORDER_STATUS.ACTIVE) counts.active = row.count;
+        if (row.status === ORDER_STATUS.MATCHED) counts.matched = row.count;
+        if (row.status === ORDER_STATUS.CANCELLED) counts.cancelled = row.count;
+    });
+    return { total: counts.active + counts.matched + counts.cancelled, ...counts };
+}
+
+class SqliteStore {
+    /**
+     * @param {object} options
+     * @param {object} options.db - better-sqlite3 Database
+     * @param {{ chainId: number, address: string }} options.deployment - refuses a file indexed for another deployment
+     */
+    constructor({ db, deployment }) {
+        this.db = db;
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+
+        const key = `${deployment.chainId}:${deployment.address.toLowerCase()}`;
+        const stored = this.meta('deployment');
+        if (stored && stored !== key) {
+            throw new MarketErrors.MarketError('invalid-deployment',
+                `This index belongs to ${stored}, not ${key}`,
+                { suggestion: 'Use a separate --db file for each network and contract.' });
+        }
+        if (!stored) {
+            this.setMeta('deployment', key);
+            this.setMeta('schemaVersion', String(SCHEMA_VERSION));
+        }
+
+        this.statements = {
+            insertEvent: db.prepare(`INSERT OR REPLACE INTO events (id, name, block_number, block_hash, log_index, transaction_hash, args)
+                VALUES (@id, @name, @blockNumber, @blockHash, @logIndex, @transactionHash, @args)`),
+            deleteEventsAfter: db.prepare('DELETE FROM events WHERE block_number > ?'),
+            events: db.prepare('SELECT * FROM events ORDER BY block_number, log_index'),
+            lastEvent: db.prepare('SELECT block_number, log_index FROM events ORDER BY block_number DESC, log_index DESC LIMIT 1'),
+            hasEvent: db.prepare('SELECT 1 FROM events WHERE id = ?'),
+            insertSession: db.prepare('INSERT INTO sessions VALUES (@sessionId, @startTime, @blockNumber)'),
+            insertOffer: db.prepare(`INSERT INTO offers VALUES (@id, @account, @energyType, @status, @sessionId, @blockNumber, @transactionHash)`),
+            insertDemand: db.prepare(`INSERT INTO demands VALUES (@id, @account, @status, @sessionId, @blockNumber, @transactionHash)`),
+            insertTrade: db.prepare(`INSERT INTO trades VALUES (@id, @offerId, @demandId, @seller, @buyer, @energyType,
+                @energyAmount, @tradePrice, @completed, @sessionId, @blockNumber, @matchedTx, @completedTx)`),
+            replaceSession: db.prepare('INSERT OR REPLACE INTO sessions VALUES (@sessionId, @startTime, @blockNumber)'),
+            deleteOffer: db.prepare('DELETE FROM offers WHERE id = ?'),
+            deleteDemand: db.prepare('DELETE FROM demands WHERE id = ?'),
+            deleteTrade: db.prepare('DELETE FROM trades WHERE id = ?'),
+            currentSession: db.prepare('SELECT MAX(session_id) AS id FROM sessions'),
+            offer: db.prepare('SELECT seller, energy_type FROM offers WHERE id = ?'),
+            demand: db.prepare('SELECT buyer FROM demands WHERE id = ?'),
+            setOfferStatus: db.prepare('UPDATE offers SET status = ? WHERE id = ?'),
+            setDemandStatus: db.prepare('UPDATE demands SET status = ? WHERE id = ?'),
+            completeTrade: db.prepare(`UPDATE trades SET seller = @seller, buyer = @buyer, energy_amount = @amount,
+                trade_price = @price, completed = 1, completed_tx = @transactionHash WHERE id = @tradeId`)
+        };
+    }
+
+    meta(key) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, value);
+    }
+
+    // ---- EventIndexer store interface ----
+
+    async load() {
+        const state = this.meta('state');
+        return state ? JSON.parse(state) : null;
+    }
+
+    async append(events, state) {
+        this.db.transaction(() => {
+            const last = this.statements.lastEvent.get();
+            const added = events.filter(event => !this.statements.hasEvent.get(event.id));
+            events.forEach(event => this.statements.insertEvent.run({ ...event, args: JSON.stringify(event.args) }));
+            this.setMeta('state', JSON.stringify(state));
+
+            // The indexer appends in chain order, so the new events normally
+            // follow the stored ones and only they need applying
+            const inOrder = !last || added.every(event => event.blockNumber > last.block_number ||
+                (event.blockNumber === last.block_number && event.logIndex > last.log_index));
+            if (!inOrder) {
+                this.materialize();
+                return;
+            }
+            // Session 1 starts at deployment, without an event
+            if (!last && added.length > 0) this.statements.replaceSession.run({ sessionId: 1, startTime: null, blockNumber: null });
+            added.forEach(event => this.applyEvent(event));
+        })();
+    }
+
+    async rollback(blockNumber, state) {
+        this.db.transaction(() => {
+            this.statements.deleteEventsAfter.run(blockNumber);
+            this.setMeta('state', JSON.stringify(state));
+            this.materialize();
+        })();
+    }
+
+    async events() {
+        return this.readEvents();
+    }
+
+    async clear() {
+        this.db.transaction(() => {
+            ['events', 'sessions', 'offers', 'demands', 'trades'].forEach(table => this.db.exec(`DELETE FROM ${table}`));
+            this.db.prepare('DELETE FROM meta WHERE key = ?').run('state');
+        })();
+    }
+
+    readEvents() {
+        return this.statements.events.all().map(row => ({
+            id: row.id,
+            name: row.name,
+            blockNumber: row.block_number,
+            blockHash: row.block_hash,
+            logIndex: row.log_index,
+            transactionHash: row.transaction_hash,
+            args: JSON.parse(row.args)
+        }));
+    }
+
+    // Applies one event to the market tables as EventIndexer.project would;
+    // runs inside the caller's transaction
+    applyEvent(event) {
+        const { args } = event;
+        const sessionId = this.statements.currentSession.get().id;
+        const position = { sessionId, blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+        switch (event.name) {
+            case 'MarketSessionStarted':
+                this.statements.replaceSession.run({ sessionId: args.sessionId, startTime: args.startTime, blockNumber: event.blockNumber });
+                break;
+            case 'EnergyOfferCreated':
+                this.statements.deleteOffer.run(args.offerId);
+                this.statements.insertOffer.run({ ...position, id: args.offerId, account: args.seller, energyType: args.energyType, status: ORDER_STATUS.ACTIVE });
+                break;
+            case 'EnergyDemandCreated':
+                this.statements.deleteDemand.run(args.demandId);
+                this.statements.insertDemand.run({ ...position, id: args.demandId, account: args.buyer, status: ORDER_STATUS.ACTIVE });
+                break;
+            case 'TradeMatched': {
+                const offer = this.statements.offer.get(args.offerId);
+                const demand = this.statements.demand.get(args.demandId);
+                this.statements.setOfferStatus.run(ORDER_STATUS.MATCHED, args.offerId);
+                this.statements.setDemandStatus.run(ORDER_STATUS.MATCHED, args.demandId);
+                this.statements.deleteTrade.run(args.tradeId);
+                this.statements.insertTrade.run({
+                    id: args.tradeId,
+                    offerId: args.offerId,
+                    demandId: args.demandId,
+                    seller: offer ? offer.seller : null,
+                    buyer: demand ? demand.buyer : null,
+                    energyType: offer ? offer.energy_type : null,
+                    energyAmount: 0,
+                    tradePrice: 0,
+                    completed: 0,
+                    sessionId,
+                    blockNumber: event.blockNumber,
+                    matchedTx: event.transactionHash,
+                    completedTx: null
+                });
+                break;
+            }
+            case 'TradeCompleted':
+                this.statements.completeTrade.run({
+                    tradeId: args.tradeId, seller: args.seller, buyer: args.buyer,
+                    amount: args.amount, price: args.price, transactionHash: event.transactionHash
+                });
+                break;
+            case 'OfferCancelled':
+                this.statements.setOfferStatus.run(ORDER_STATUS.CANCELLED, args.offerId);
+                break;
+            case 'DemandCancelled':
+                this.statements.setDemandStatus.run(ORDER_STATUS.CANCELLED, args.demandId);
+                break;
+        }
+    }
+
+    // Replays the whole event log into the market tables; runs inside the caller's transaction
+    materialize() {
+        const view = EventIndexer.project(this.readEvents());
+        ['sessions', 'offers', 'demands', 'trades'].forEach(table => this.db.exec(`DELETE FROM ${table}`));
+        view.sessions.forEach(session => this.statements.insertSession.run(session));
+        view.offers.forEach(offer => this.statements.insertOffer.run(offer));
+        view.demands.forEach(demand => this.statements.insertDemand.run(demand));
+        view.trades.forEach(trade => this.statements.insertTrade.run({ ...trade, completed: trade.completed ? 1 : 0 }));
+    }
+
+    // ---- Queries ----
+
+    indexedBlock() {
+        const state = this.meta('state');
+        return state ? JSON.parse(state).cursor : null;
+    }
+
+    /** Sessions, oldest first, with their trade count and settled volume */
+    sessions() {
+        return this.db.prepare(`
+            SELECT s.*, COUNT(t.id) AS trades, COALESCE(SUM(t.completed), 0) AS completed,
+                COALESCE(SUM(t.energy_amount), 0) AS energy, COALESCE(SUM(t.energy_amount * t.trade_price), 0) AS value
+            FROM sessions s LEFT JOIN trades t ON t.session_id = s.session_id
+            GROUP BY s.session_id ORDER BY s.session_id
+        `).all().map(row => ({
+            ...sessionRow(row),
+            tradeCount: row.trades,
+            completedTrades: row.completed,
+            energyAmount: row.energy,
+            tradeValue: row.value
+        }));
+    }
+
+    /** Offers in ID order, optionally by `status` (ORDER_STATUS), `energyType` and `seller` */
+    offers({ status = null, energyType = null, seller = null } = {}) {
+        return this.db.prepare(`
+            SELECT * FROM offers
+            WHERE (@status IS NULL OR status = @status)
+              AND (@energyType IS NULL OR energy_type = @energyType)
+              AND (@seller IS NULL OR seller = @seller)
+            ORDER BY id
+        `).all({ status, energyType, seller }).map(offerRow);
+    }
+
+    /** Demands in ID order, optionally by `status` and `buyer` */
+    demands({ status = null, buyer = null } = {}) {
+        return this.db.prepare(`
+            SELECT * FROM demands
+            WHERE (@status IS NULL OR status = @status) AND (@buyer IS NULL OR buyer = @buyer)
+            ORDER BY id
+        `).all({ status, buyer }).map(demandRow);
+    }
+
+    /** Trades in ID order; with `account`, those where it is the seller or the buyer */
+    trades({ account = null, sessionId = null } = {}) {
+        return this.db.prepare(`
+            SELECT * FROM trades
+            WHERE (@account IS NULL OR seller = @account OR buyer = @account)
+              AND (@sessionId IS NULL OR session_id = @sessionId)
+            ORDER BY id
+        `).all({ account, sessionId }).map(tradeRow);
+    }
+
+    stats() {
+        const orderCounts = table => countByStatus(this.db.prepare(`SELECT status, COUNT(*) AS count FROM ${table} GROUP BY status`).all());
+        const trades = this.db.prepare(`
+            SELECT COUNT(*) AS total, COALESCE(SUM(completed), 0) AS completed,
+                COALESCE(SUM(energy_amount), 0) AS energy, COALESCE(SUM(energy_amount * trade_price), 0) AS value
+            FROM trades
+        `).get();
+        const byType = this.db.prepare(`
+            SELECT energy_type, COUNT(*) AS trades, COALESCE(SUM(energy_amount), 0) AS energy
+            FROM trades WHERE completed = 1 GROUP BY energy_type ORDER BY energy_type
+        `).all();
+        const session = this.db.prepare('SELECT MAX(session_id) AS id, COUNT(*) AS count FROM sessions').get();
+
+        return {
+            indexedBlock: this.indexedBlock(),
+            sessions: session.count,
+            currentSessionId: session.id,
+            offers: orderCounts('offers'),
+            demands: orderCounts('demands'),
+            trades: {
+                total: trades.total,
+                completed: trades.completed,
+                energyAmount: trades.energy,
+                tradeValue: trades.value
+            },
+            completedByEnergyType: byType.map(row => ({ energyType: row.energy_type, trades: row.trades, energyAmount: row.energy }))
+        };
+    }
+}
+
+/**
+ * Opens (or creates) the index file. better-sqlite3 is an optional
+ * dependency, so it is only required here.
+ */
+function openSqliteStore(filename, deployment) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new MarketErrors.MarketError('unknown', 'better-sqlite3 is not installed',
+            { suggestion: 'Run npm install (it is an optional dependency and needs a supported Node version).', cause: error });
+    }
+    return new SqliteStore({ db: new Database(filename), deployment });
+}
+
+module.exports = {
+    SqliteStore,
+    openSqliteStore
+};
\ No newline at end of file
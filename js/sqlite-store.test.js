@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SimulatedMarket = require('./simulated-market.js');
+const { EventIndexer } = require('./event-indexer.js');
+const { SqliteStore } = require('./sqlite-store.js');
+
+// better-sqlite3 is an optional dependency
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch (error) {
+    Database = null;
+}
+
+const OWNER = '0x1dec000000000000000000000000000000000001';
+const BUYER = '0xb000000000000000000000000000000000000002';
+const skip = !Database && 'better-sqlite3 is not installed';
+
+function tables(store) {
+    return { sessions: store.sessions(), offers: store.offers(), demands: store.demands(), trades: store.trades(), stats: store.stats() };
+}
+
+// Two sessions with matches, a cancellation and an order from each side
+async function busyMarket() {
+    let now = 1700000000;
+    const market = await SimulatedMarket.createDemoMarket({ account: OWNER, settlementDelay: 0, now: () => now });
+    const owner = market.connect(OWNER);
+    await owner.matchTrade(1, 1);
+    await owner.createEnergyOffer(10, 20, 1, false);
+    await owner.cancelOffer(4);
+    now += 2 * 24 * 3600;
+    await owner.startNewMarketSession();
+    await owner.createEnergyOffer(10, 20, 2, false);
+    await market.connect(BUYER).createEnergyDemand(10, 30, false);
+    await owner.matchTrade(5, 3);
+    return market;
+}
+
+function openStore() {
+    return new SqliteStore({ db: new Database(':memory:'), deployment: { chainId: 0, address: OWNER } });
+}
+
+test('appending chunk by chunk gives the same tables as a full rebuild', { skip }, async () => {
+    const store = openStore();
+    // One or two blocks per chunk, so every event goes through the incremental path
+    await new EventIndexer({ contract: await busyMarket(), store, chunkSize: 2, maxChunkSize: 2 }).sync();
+    const incremental = tables(store);
+
+    store.db.transaction(() => store.materialize())();
+    assert.deepStrictEqual(incremental, tables(store));
+    assert.strictEqual(incremental.trades.length, 2);
+    assert.strictEqual(incremental.sessions.length, 2);
+    assert.deepStrictEqual(incremental.offers.map(offer => offer.status), [1, 0, 0, 2, 1]);
+});
+
+test('appending events that are already stored changes nothing', { skip }, async () => {
+    const store = openStore();
+    await new EventIndexer({ contract: await busyMarket(), store }).sync();
+    const before = tables(store);
+
+    const events = await store.events();
+    await store.append(events.slice(-3), await store.load());
+    assert.deepStrictEqual(tables(store), before);
+});
+
+test('rollback rebuilds the tables from the remaining events', { skip }, async () => {
+    const store = openStore();
+    const market = await busyMarket();
+    await new EventIndexer({ contract: market, store }).sync();
+    const secondSession = (await store.events()).find(event => event.name === 'MarketSessionStarted');
+
+    await store.rollback(secondSession.blockNumber - 1, await store.load());
+    assert.strictEqual(store.sessions().length, 1);
+    assert.deepStrictEqual(store.trades().map(trade => trade.id), [1]);
+    assert.deepStrictEqual(store.offers().map(offer => offer.id), [1, 2, 3, 4]);
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+// SVG charts - line and bar charts as SVG markup, without a chart library
+//
+// Each function returns an <svg> string sized by its viewBox, so it scales
+// with its container and renders the same in the app and in exported HTML.
+// Data points carry <title> elements, which browsers show as tooltips.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SvgCharts = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MARGIN = { top: 36, right: 20, bottom: 44, left: 64 };
+    const AXIS_COLOR = '#A0AEC0';
+    const GRID_COLOR = '#E2E8F0';
+    const TEXT_COLOR = '#4A5568';
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * About `count` evenly spaced round numbers (1, 2 or 5 times a power of
+     * ten apart) covering [min, max].
+     */
+    function niceTicks(min, max, count = 5) {
+        if (min === max) {
+            const pad = Math.abs(min) > 0 ? Math.abs(min) * 0.1 : 1;
+            min -= pad;
+            max += pad;
+        }
+        const rough = (max - min) / count;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(factor => factor * power).find(candidate => candidate >= rough);
+        const ticks = [];
+        for (let tick = Math.floor(min / step) * step; tick <= max + step / 2; tick += step) {
+            // Avoids 0.30000000000000004 and friends
+            ticks.push(Number(tick.toPrecision(12)));
+        }
+        if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+        return ticks;
+    }
+
+    function scale(domainMin, domainMax, rangeMin, rangeMax) {
+        const span = domainMax - domainMin || 1;
+        return value => rangeMin + (value - domainMin) / span * (rangeMax - rangeMin);
+    }
+
+    function legend(series, width) {
+        let x = MARGIN.left;
+        return series.map(entry => {
+            const item = `
+                <rect x="${x}" y="10" width="12" height="12" rx="2" fill="${entry.color}"></rect>
+                <text x="${x + 18}" y="20" font-size="12" fill="${TEXT_COLOR}">${escapeXml(entry.name)}</text>`;
+            x += 30 + entry.name.length * 7;
+            return x > width ? '' : item;
+        }).join('');
+    }
+
+    function yAxis(ticks, y, width, formatY) {
+        return ticks.map(tick => `
+            <line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${round(y(tick))}" y2="${round(y(tick))}" stroke="${GRID_COLOR}"></line>
+            <text x="${MARGIN.left - 8}" y="${round(y(tick)) + 4}" font-size="11" text-anchor="end" fill="${TEXT_COLOR}">${escapeXml(formatY(tick))}</text>`).join('');
+    }
+
+    function frame(width, height, label, body) {
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeXml(label)}" xmlns="http://www.w3.org/2000/svg">
+            <title>${escapeXml(label)}</title>${body}
+            <line x1="${MARGIN.left}" x2="${MARGIN.left}" y1="${MARGIN.top}" y2="${height - MARGIN.bottom}" stroke="${AXIS_COLOR}"></line>
+            <line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${height - MARGIN.bottom}" y2="${height - MARGIN.bottom}" stroke="${AXIS_COLOR}"></line>
+        </svg>`;
+    }
+
+    /**
+     * Lines with markers, one per series. Returns null when no series has a point.
+     * @param {object} options
+     * @param {{ name: string, color: string, points: { x: number, y: number, label?: string }[] }[]} options.series
+     * @param {string} options.label - accessible name of the chart
+     * @param {(x: number) => string} [options.formatX]
+     * @param {(y: number) => string} [options.formatY]
+     */
+    function lineChart({ series, label, width = 640, height = 280, formatX = String, formatY = String }) {
+        const points = series.flatMap(entry => entry.points);
+        if (points.length === 0) return null;
+
+        const xs = points.map(point => point.x);
+        const xMin = Math.min(...xs);
+        // A single moment still gets some width
+        const xMax = Math.max(...xs) > xMin ? Math.max(...xs) : xMin + 1;
+        const yTicks = niceTicks(Math.min(0, ...points.map(point => point.y)), Math.max(...points.map(point => point.y)));
+        const x = scale(xMin, xMax, MARGIN.left + 10, width - MARGIN.right - 10);
+        const y = scale(yTicks[0], yTicks[yTicks.length - 1], height - MARGIN.bottom, MARGIN.top);
+
+        const xTicks = Math.max(...xs) > xMin ? Array.from({ length: 4 }, (_, i) => xMin + (xMax - xMin) * i / 3) : [xMin];
+        const xAxis = xTicks.map(tick => `
+            <text x="${round(x(tick))}" y="${height - MARGIN.bottom + 18}" font-size="11" text-anchor="middle" fill="${TEXT_COLOR}">${escapeXml(formatX(tick))}</text>`).join('');
+
+        const lines = series.filter(entry => entry.points.length > 0).map(entry => {
+            const path = entry.points.map(point => `${round(x(point.x))},${round(y(point.y))}`).join(' ');
+            const markers = entry.points.map(point => `
+                <circle cx="${round(x(point.x))}" cy="${round(y(point.y))}" r="3.5" fill="${entry.color}">
+                    <title>${escapeXml(point.label || `${entry.name}: ${formatY(point.y)}`)}</title>
+                </circle>`).join('');
+            return `<polyline points="${path}" fill="none" stroke="${entry.color}" stroke-width="2"></polyline>${markers}`;
+        }).join('');
+
+        return frame(width, height, label, legend(series, width) + yAxis(yTicks, y, width, formatY) + xAxis + lines);
+    }
+
+    /**
+     * Bars per category, stacked by series. Returns null without categories.
+     * @param {object} options
+     * @param {string[]} options.categories - x axis labels
+     * @param {{ name: string, color: string, values: number[] }[]} options.series - values per category
+     * @param {string} options.label
+     * @param {(y: number) => string} [options.formatY]
+     */
+    function barChart({ categories, series, label, width = 640, height = 280, formatY = String }) {
+        if (categories.length === 0) return null;
+
+        const totals = categories.map((_, index) => series.reduce((sum, entry) => sum + (entry.values[index] || 0), 0));
+        const yTicks = niceTicks(0, Math.max(...totals));
+        const y = scale(yTicks[0], yTicks[yTicks.length - 1], height - MARGIN.bottom, MARGIN.top);
+        const band = (width - MARGIN.left - MARGIN.right) / categories.length;
+        const barWidth = Math.max(2, Math.min(48, band * 0.6));
+
+        const bars = categories.map((category, index) => {
+            const left = MARGIN.left + band * index + (band - barWidth) / 2;
+            let base = 0;
+            const segments = series.map(entry => {
+                const value = entry.values[index] || 0;
+                if (value === 0) return '';
+                const top = y(base + value);
+                const rect = `
+                <rect x="${round(left)}" y="${round(top)}" width="${round(barWidth)}" height="${round(y(base) - top)}" fill="${entry.color}">
+                    <title>${escapeXml(`${category} · ${entry.name}: ${formatY(value)}`)}</title>
+                </rect>`;
+                base += value;
+                return rect;
+            }).join('');
+            // Labels thin out when there are many categories
+            const every = Math.ceil(categories.length / 12);
+            const text = index % every === 0 ? `
+                <text x="${round(left + barWidth / 2)}" y="${height - MARGIN.bottom + 18}" font-size="11" text-anchor="middle" fill="${TEXT_COLOR}">${escapeXml(category)}</text>` : '';
+            return segments + text;
+        }).join('');
+
+        return frame(width, height, label, legend(series, width) + yAxis(yTicks, y, width, formatY) + bars);
+    }
+
+    return {
+        niceTicks,
+        lineChart,
+        barChart
+    };
+});
\ No newline at end of file
@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TransactionTracker, explorerTxUrl } = require('./tx-tracker.js');
+
+const SENDER = '0x5e4d000000000000000000000000000000000001';
+const MARKET = '0x3a1e000000000000000000000000000000000001';
+
+function transaction(hash, fields = {}) {
+    return { hash, from: SENDER, nonce: 5, to: MARKET, data: '0xa9059cbb', ...fields };
+}
+
+/**
+ * A provider whose blocks are mined by hand: `mine` includes transactions
+ * in a new block, `advance` adds empty blocks.
+ */
+function fakeChain(head = 100) {
+    const chain = {
+        head,
+        blocks: new Map(),
+        receipts: new Map(),
+        nonce: 5,
+        provider: {
+            getBlockNumber: async () => chain.head,
+            getTransactionReceipt: async hash => chain.receipts.get(hash) || null,
+            getTransactionCount: async () => chain.nonce,
+            getBlockWithTransactions: async number => ({ number, transactions: chain.blocks.get(number) || [] })
+        },
+        mine(tx, status = 1) {
+            chain.head++;
+            chain.blocks.set(chain.head, [tx]);
+            chain.receipts.set(tx.hash, { blockNumber: chain.head, status });
+            chain.nonce = Math.max(chain.nonce, tx.nonce + 1);
+        },
+        advance(blocks) {
+            chain.head += blocks;
+        }
+    };
+    return chain;
+}
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value)
+    };
+}
+
+async function until(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(condition(), 'condition not reached');
+}
+
+test('a mined transaction resolves once and keeps counting confirmations', async () => {
+    const chain = fakeChain();
+    const tracker = new TransactionTracker({ provider: chain.provider, confirmations: 3, pollInterval: 5 });
+    const tx = transaction('0xa1');
+    const tracking = tracker.track(tx, 'Create offer');
+    chain.mine(tx);
+
+    const record = await tracking;
+    assert.strictEqual(record.status, 'confirmed');
+    assert.strictEqual(record.startBlock, 100);
+    assert.strictEqual(record.confirmations, 1);
+
+    chain.advance(2);
+    await until(() => tracker.watchers.size === 0);
+    assert.strictEqual(record.confirmations, 3);
+    tracker.stop();
+});
+
+test('a reverted receipt fails with a reason', async () => {
+    const chain = fakeChain();
+    const tracker = new TransactionTracker({ provider: chain.provider, pollInterval: 5 });
+    const tx = transaction('0xa2');
+    chain.mine(tx, 0);
+
+    const record = await tracker.track(tx, 'Match trade');
+    assert.strictEqual(record.status, 'failed');
+    assert.strictEqual(record.error, 'Reverted in block 101');
+    tracker.stop();
+});
+
+test('a speed-up keeps watching on the new hash', async () => {
+    const chain = fakeChain();
+    const tracker = new TransactionTracker({ provider: chain.provider, confirmations: 1, pollInterval: 5 });
+    const tracking = tracker.track(transaction('0xa3'), 'Create demand');
+    await until(() => tracker.records.length === 1);
+
+    chain.advance(3);
+    chain.mine(transaction('0xb3'));
+    const record = await tracking;
+    assert.deepStrictEqual([record.status, record.hash, record.originalHash, record.spedUp], ['confirmed', '0xb3', '0xa3', true]);
+    tracker.stop();
+});
+
+test('a different call with the same nonce replaces the transaction', async () => {
+    const chain = fakeChain();
+    const tracker = new TransactionTracker({ provider: chain.provider, pollInterval: 5 });
+    const tracking = tracker.track(transaction('0xa4'), 'Cancel offer');
+    await until(() => tracker.records.length === 1);
+
+    // A wallet "cancel": an empty transfer to itself
+    chain.mine(transaction('0xc4', { to: SENDER, data: '0x' }));
+    const record = await tracking;
+    assert.deepStrictEqual([record.status, record.replacedBy], ['replaced', '0xc4']);
+    tracker.stop();
+});
+
+test('a receipt that lags the nonce count is not mistaken for a replacement', async () => {
+    const chain = fakeChain();
+    const tx = transaction('0xa5');
+    chain.mine(tx);
+    // The first receipt lookup hits a node that has not seen the block yet
+    let lookups = 0;
+    const getTransactionReceipt = chain.provider.getTransactionReceipt;
+    chain.provider.getTransactionReceipt = async hash => (++lookups === 1 ? null : getTransactionReceipt(hash));
+
+    const tracker = new TransactionTracker({ provider: chain.provider, confirmations: 1, pollInterval: 5 });
+    const record = await tracker.track(tx, 'Add credits');
+    assert.strictEqual(record.status, 'confirmed');
+    assert.strictEqual(record.replacedBy, null);
+    tracker.stop();
+});
+
+test('after a reload the replacement is searched from the block the transaction was sent in', async () => {
+    const chain = fakeChain();
+    const storage = memoryStorage();
+
+    // The page closes before the first check
+    const before = new TransactionTracker({ provider: chain.provider, storage });
+    before.stop();
+    before.track(transaction('0xa6'), 'Create offer');
+    await until(() => before.records.length === 1 && before.records[0].startBlock === 100);
+
+    // Sped up in the wallet while the page was closed, many blocks ago
+    chain.advance(2);
+    chain.mine(transaction('0xb6'));
+    chain.advance(20);
+
+    const after = new TransactionTracker({ provider: chain.provider, storage, confirmations: 1, pollInterval: 5 });
+    const [record] = await after.resume();
+    assert.deepStrictEqual([record.status, record.hash, record.spedUp, record.confirmations], ['confirmed', '0xb6', true, 21]);
+    assert.strictEqual(JSON.parse(storage.getItem(after.storageKey))[0].hash, '0xb6');
+    after.stop();
+});
+
+test('without a provider tx.wait() decides the outcome', async () => {
+    const tracker = new TransactionTracker();
+    const mined = await tracker.track({ ...transaction('0xa7'), wait: async () => ({ status: 1 }) }, 'Create offer');
+    assert.strictEqual(mined.status, 'confirmed');
+
+    const reverted = await tracker.track({
+        ...transaction('0xa8'),
+        wait: async () => { throw Object.assign(new Error('transaction failed'), { reason: 'transaction failed' }); }
+    }, 'Match trade');
+    assert.deepStrictEqual([reverted.status, reverted.error], ['failed', 'transaction failed']);
+});
+
+test('explorer links exist only for known chains or a configured explorer', () => {
+    assert.strictEqual(explorerTxUrl(11155111, '0xab'), 'https://sepolia.etherscan.io/tx/0xab');
+    assert.strictEqual(explorerTxUrl(31337, '0xab'), null);
+    assert.strictEqual(explorerTxUrl(31337, '0xab', 'http://localhost:4000'), 'http://localhost:4000/tx/0xab');
+});
\ No newline at end of file
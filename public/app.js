@@ -1,67 +1,165 @@
 // Private Energy Market Application
+const { ENERGY_TYPES, STATUS_TYPES, ORDER_STATUS } = MarketClient;
+const ORDER_BOOK_PAGE_SIZE = 10;
+const WALLET_DISCONNECTED_KEY = 'energyMarket.walletDisconnected';
+const EMISSION_FACTORS_KEY = 'energyMarket.emissionFactors';
+// Chart colors, indexed like ENERGY_TYPES
+const ENERGY_COLORS = ['#F6AD55', '#4299E1', '#38B2AC', '#9F7AEA'];
+const ORDER_STATUS_COLORS = { open: '#48BB78', matched: '#667eea', cancelled: '#A0AEC0' };
+
+function shortAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function formatAge(timestamp) {
+    const seconds = Math.max(0, Math.floor(Date.now() / 1000) - Number(timestamp));
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m ${secs}s`;
+    if (minutes > 0) return `${minutes}m ${secs}s`;
+    return `${total}s`;
+}
+
+// VWAPs are rarely whole numbers; contract prices always are
+function formatPrice(value) {
+    if (value === null) return '-';
+    return `${Number.isInteger(value) ? value : value.toFixed(2)} wei/kWh`;
+}
+
 class PrivateEnergyMarket {
     constructor() {
-        this.contractAddress = '0x2F0f34ea9aaeF551ac550b42Da0617b929286fF1';
-        this.contractABI = [
-            // View functions
-            "function owner() view returns (address)",
-            "function marketSessionId() view returns (uint256)",
-            "function sessionStartTime() view returns (uint256)",
-            "function sessionDuration() view returns (uint256)",
-            "function isMarketActive() view returns (bool)",
-            "function userCredits(address) view returns (uint256)",
-            "function nextOfferId() view returns (uint256)",
-            "function nextDemandId() view returns (uint256)",
-            "function nextTradeId() view returns (uint256)",
-
-            // Mappings
-            "function energyOffers(uint256) view returns (address seller, uint8 energyType, uint8 status, uint256 timestamp, bool isPrivate)",
-            "function energyDemands(uint256) view returns (address buyer, uint8 status, uint256 timestamp, bool isPrivate)",
-            "function trades(uint256) view returns (uint256 offerId, uint256 demandId, address seller, address buyer, uint32 energyAmount, uint32 tradePrice, uint8 energyType, uint256 timestamp, bool completed)",
-
-            // User functions
-            "function getUserOffers(address _user) view returns (uint256[])",
-            "function getUserDemands(address _user) view returns (uint256[])",
-            "function getMarketSessionInfo() view returns (uint256 sessionId, uint256 startTime, bool isActive, uint256 totalOffers, uint256 totalDemands)",
-
-            // State changing functions
-            "function createEnergyOffer(uint32 _energyAmount, uint32 _pricePerKWh, uint8 _energyType, bool _isPrivate)",
-            "function createEnergyDemand(uint32 _energyNeeded, uint32 _maxPricePerKWh, bool _isPrivate)",
-            "function matchTrade(uint256 _offerId, uint256 _demandId)",
-            "function cancelOffer(uint256 _offerId)",
-            "function cancelDemand(uint256 _demandId)",
-            "function addCredits(uint256 _amount) payable",
-            "function startNewMarketSession()",
-            "function setSessionDuration(uint256 _duration)",
-
-            // Events
-            "event MarketSessionStarted(uint256 indexed sessionId, uint256 startTime)",
-            "event EnergyOfferCreated(uint256 indexed offerId, address indexed seller, uint8 energyType)",
-            "event EnergyDemandCreated(uint256 indexed demandId, address indexed buyer)",
-            "event TradeMatched(uint256 indexed tradeId, uint256 indexed offerId, uint256 indexed demandId)",
-            "event TradeCompleted(uint256 indexed tradeId, address indexed seller, address indexed buyer, uint32 amount, uint32 price)",
-            "event OfferCancelled(uint256 indexed offerId, address indexed seller)",
-            "event DemandCancelled(uint256 indexed demandId, address indexed buyer)"
-        ];
+        // Chain and contract from deployments.json and the URL, set in init()
+        this.deployment = null;
+        this.contractAddress = null;
+        // Why the connected wallet cannot trade (wrong chain, no contract), or null
+        this.networkProblem = null;
 
         this.provider = null;
         this.signer = null;
-        this.contract = null;
+        // Set while a wallet is connected, so wallet events are ignored otherwise
+        this.walletConnected = false;
+        // Wallet events can arrive in pairs (chainChanged + accountsChanged); handled one at a time
+        this.walletUpdate = Promise.resolve();
+        // MarketClient for the connected wallet or the simulated market
+        this.market = null;
+        // Account-less client over the deployment's RPC endpoint, for browsing without a wallet
+        this.readOnlyMarket = null;
         this.userAddress = null;
         this.demoMode = false;
+        this.demoAccount = '0xde30000000000000000000000000000000000001';
+        this.demoMarket = null;
+        this.liveSession = null;
+
+        this.orderBook = null;
+        this.orderBookPage = 1;
+        this.tradeHistory = null;
+        this.analytics = null;
+        this.portfolio = null;
+
+        // Live event subscriptions on the current market
+        this.subscribedMarket = null;
+        this.unsubscribeMarket = null;
+        this.pendingRefresh = new Set();
+        this.refreshTimer = null;
+
+        // Current session window, refreshed by loadMarketStatus and ticked locally
+        this.marketSession = null;
+        this.isOwner = false;
+        this.countdownTimer = null;
+        this.refreshedBoundary = null;
+        // Open/closed state the forms were last locked for
+        this.formsOpen = null;
+        // Per-session market stats, loaded when the owner opens the console
+        this.ownerConsole = null;
+
+        // In-memory until a wallet is connected; then persisted per chain and account
+        this.txTracker = new TxTracker.TransactionTracker({ onChange: () => this.renderTransactions() });
+
+        // FHE backend for private inputs: '?fhe=mock' or a dev chain profile selects the local mock
+        this.fheMode = 'relayer';
+        this.fheClient = null;
 
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
+        await this.loadDeployment();
+        await this.connectReadOnly();
         console.log('App initialized, demo mode:', this.demoMode);
         await this.checkWalletConnection();
     }
 
+    // Lets visitors without a wallet see the market through the deployment's
+    // RPC endpoint; a connected wallet replaces it until it disconnects
+    async connectReadOnly() {
+        if (!this.deployment || !this.deployment.rpcUrl) return;
+
+        try {
+            // Static: the chain ID is read once instead of before every call
+            const provider = new ethers.providers.StaticJsonRpcProvider(this.deployment.rpcUrl);
+            const contract = MarketClient.connectContract(ethers, provider, this.contractAddress);
+            const problem = await MarketDeployments.verifyDeployment({ provider, contract, deployment: this.deployment });
+            if (problem) throw problem;
+
+            this.readOnlyMarket = new MarketClient.MarketClient({
+                contract,
+                fhe: () => this.getFheClient(),
+                address: this.contractAddress,
+                multicall: MarketClient.connectMulticall(ethers, provider),
+                indexer: this.createIndexer(contract),
+                startBlock: this.deployment.startBlock
+            });
+            await this.setLiveSession({ market: this.readOnlyMarket, userAddress: null, txTracker: this.txTracker });
+        } catch (error) {
+            console.error('Read-only market unavailable:', error);
+            this.networkProblem = MarketErrors.decodeError(error);
+            this.updateNetworkNotice();
+        }
+    }
+
+    async loadDeployment() {
+        // deployments.json is optional; the built-in profiles apply without it
+        let config = null;
+        try {
+            const response = await fetch('./deployments.json', { cache: 'no-store' });
+            if (response.ok) config = await response.json();
+        } catch (error) {
+            console.log('No deployments.json, using the built-in networks');
+        }
+
+        try {
+            const params = MarketDeployments.paramsFromSearch(window.location.search);
+            this.deployment = MarketDeployments.resolveDeployment({ params, config, fromLink: true });
+            this.contractAddress = this.deployment.address;
+            const mockRequested = new URLSearchParams(window.location.search).get('fhe') === 'mock';
+            this.fheMode = mockRequested || this.deployment.fhe === 'mock' ? 'mock' : 'relayer';
+            // Whatever the link changed stays in sight next to the network name
+            const overrides = MarketDeployments.describeOverrides(this.deployment);
+            document.getElementById('networkName').textContent = overrides
+                ? `${this.deployment.name} (${overrides}, set by the link)`
+                : this.deployment.name;
+        } catch (error) {
+            this.deployment = null;
+            this.networkProblem = MarketErrors.decodeError(error);
+            this.updateNetworkNotice();
+        }
+    }
+
     setupEventListeners() {
         // Wallet connection
         document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
+        document.getElementById('disconnectWallet').addEventListener('click', () => this.disconnectWallet());
+        document.getElementById('switchNetwork').addEventListener('click', () => this.switchNetwork());
 
         // Market status
         document.getElementById('refreshMarket').addEventListener('click', () => this.loadMarketStatus());
@@ -81,20 +179,112 @@ class PrivateEnergyMarket {
         document.getElementById('matchTradeBtn').addEventListener('click', () => this.handleTradeMatch());
         document.getElementById('loadUserOffers').addEventListener('click', () => this.loadUserOffers());
         document.getElementById('loadUserDemands').addEventListener('click', () => this.loadUserDemands());
+        document.getElementById('decryptUserOffers').addEventListener('click', () => this.decryptMyValues());
+        document.getElementById('decryptUserDemands').addEventListener('click', () => this.decryptMyValues());
+        ['userOffersList', 'userDemandsList'].forEach(id => {
+            document.getElementById(id).addEventListener('click', (e) => {
+                const button = e.target.closest('[data-cancel]');
+                if (button) this.cancelOrder(button.dataset.cancel, Number(button.dataset.id));
+            });
+        });
+        document.getElementById('cancelAllOrders').addEventListener('click', () => this.cancelAllOrders());
+
+        // Matching assistant
+        document.getElementById('findMatches').addEventListener('click', () => this.findMatches());
+        ['userOffersList', 'userDemandsList'].forEach(id => {
+            document.getElementById(id).addEventListener('click', (e) => {
+                const button = e.target.closest('[data-suggest]');
+                if (!button) return;
+                document.getElementById('assistantSide').value = button.dataset.suggest;
+                document.getElementById('assistantOrderId').value = button.dataset.id;
+                this.findMatches();
+            });
+        });
+        document.getElementById('assistantResults').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-match-offer]');
+            if (button) this.matchSuggestion(button.dataset.matchOffer, button.dataset.matchDemand);
+        });
+
+        // Order book
+        document.getElementById('loadOrderBook').addEventListener('click', () => this.loadOrderBook());
+        ['orderBookSide', 'orderBookType', 'orderBookStatus', 'orderBookSession'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.orderBookPage = 1;
+                this.renderOrderBook();
+            });
+        });
+        document.getElementById('orderBookPrev').addEventListener('click', () => {
+            this.orderBookPage--;
+            this.renderOrderBook();
+        });
+        document.getElementById('orderBookNext').addEventListener('click', () => {
+            this.orderBookPage++;
+            this.renderOrderBook();
+        });
+        document.getElementById('orderBookList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-match-field]');
+            if (button) this.selectForMatch(button.dataset.matchField, button.dataset.id);
+        });
 
         // Trade history
-        document.getElementById('loadTradeBtn').addEventListener('click', () => this.loadTradeDetails());
+        document.getElementById('loadTradeHistory').addEventListener('click', () => this.loadTradeHistory());
+        ['tradeScope', 'tradeState', 'tradeType', 'tradeSession', 'tradeSort'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderTradeHistory());
+        });
+        document.getElementById('tradeCounterparty').addEventListener('input', () => this.renderTradeHistory());
+        document.getElementById('tradeHistoryList').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-trade-id]');
+            if (row) this.showTradeDetails(Number(row.dataset.tradeId));
+        });
+        document.getElementById('closeTradeDrawer').addEventListener('click', () => this.closeTradeDetails());
+
+        // Analytics
+        document.getElementById('loadAnalytics').addEventListener('click', () => this.loadAnalytics());
+        document.getElementById('analyticsType').addEventListener('change', () => this.renderAnalytics());
+
+        // Portfolio
+        document.getElementById('loadPortfolio').addEventListener('click', () => this.loadPortfolio());
+        document.getElementById('ledgerList').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-trade-id]');
+            if (row) this.showTradeDetails(Number(row.dataset.tradeId));
+        });
+
+        // Export
+        document.getElementById('exportCsv').addEventListener('click', () => this.exportData('csv'));
+        document.getElementById('exportJson').addEventListener('click', () => this.exportData('json'));
+
+        // Sourcing report
+        this.showEmissionFactors(this.loadEmissionFactors());
+        document.getElementById('resetFactors').addEventListener('click', () => {
+            window.localStorage.removeItem(EMISSION_FACTORS_KEY);
+            this.showEmissionFactors(SourcingReport.DEFAULT_EMISSION_FACTORS);
+        });
+        document.getElementById('previewReport').addEventListener('click', () => this.sourcingReport('preview'));
+        document.getElementById('reportHtml').addEventListener('click', () => this.sourcingReport('html'));
+        document.getElementById('reportJson').addEventListener('click', () => this.sourcingReport('json'));
+
+        // Owner console
+        document.getElementById('loadOwnerConsole').addEventListener('click', () => this.loadOwnerConsole());
+        document.getElementById('saveSessionDuration').addEventListener('click', () => this.updateSessionDuration());
 
         // Credits
         document.getElementById('addCreditsBtn').addEventListener('click', () => this.addCredits());
+
+        // Transactions
+        document.getElementById('clearTransactions').addEventListener('click', () => this.txTracker.clearFinished());
     }
 
     async checkWalletConnection() {
         if (typeof window.ethereum !== 'undefined') {
+            this.watchWallet();
+            // An explicit disconnect is remembered until the user connects again
+            if (window.localStorage.getItem(WALLET_DISCONNECTED_KEY)) return;
+
             try {
                 const accounts = await window.ethereum.request({ method: 'eth_accounts' });
                 if (accounts.length > 0) {
-                    await this.connectWallet();
+                    // No switch prompt on page load; the network notice offers it instead
+                    await this.connectWallet({ promptSwitch: false });
                 }
             } catch (error) {
                 console.error('Error checking wallet connection:', error);
@@ -102,50 +292,224 @@ class PrivateEnergyMarket {
         }
     }
 
-    async connectWallet() {
+    async connectWallet({ promptSwitch = true } = {}) {
         try {
             if (typeof window.ethereum === 'undefined') {
                 this.showNotification('Please install MetaMask!', 'error');
                 return;
             }
 
+            if (!this.deployment) {
+                this.showNotification(MarketErrors.describeError(this.networkProblem, 'Cannot connect'), 'error');
+                return;
+            }
+
             this.showLoading(true);
 
             await window.ethereum.request({ method: 'eth_requestAccounts' });
-            this.provider = new ethers.providers.Web3Provider(window.ethereum);
-            this.signer = this.provider.getSigner();
-            this.userAddress = await this.signer.getAddress();
+            if (promptSwitch) await this.ensureWalletChain();
+            window.localStorage.removeItem(WALLET_DISCONNECTED_KEY);
 
-            this.contract = new ethers.Contract(this.contractAddress, this.contractABI, this.signer);
+            await this.loadWallet();
+            if (this.networkProblem) {
+                this.showNotification(MarketErrors.describeError(this.networkProblem), 'error');
+            } else {
+                this.showNotification('Wallet connected successfully!', 'success');
+            }
+            this.showLoading(false);
 
-            // Update UI
-            document.getElementById('connectWallet').style.display = 'none';
-            document.getElementById('walletInfo').classList.remove('hidden');
-            document.getElementById('walletAddress').textContent = `${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`;
+        } catch (error) {
+            this.handleError(error, 'Failed to connect wallet');
+            this.showLoading(false);
+        }
+    }
 
-            await this.updateBalance();
-            await this.loadMarketStatus();
-            await this.loadUserCredits();
-            await this.checkOwnership();
-            await this.displayOwnerInfo();
+    // History views read the deployment's events from a local index that is
+    // kept in IndexedDB, so only blocks not seen before are fetched
+    createIndexer(contract) {
+        return new EventIndexer.EventIndexer({
+            contract,
+            store: EventIndexer.openStore(this.deployment),
+            startBlock: this.deployment.startBlock
+        });
+    }
 
-            // Show user action buttons
-            document.getElementById('loadUserOffers').classList.remove('hidden');
-            document.getElementById('loadUserDemands').classList.remove('hidden');
+    // (Re)builds everything bound to the wallet's current account and chain
+    async loadWallet() {
+        // Created fresh every time: a Web3Provider stays bound to the network it first saw
+        const provider = new ethers.providers.Web3Provider(window.ethereum);
+        const signer = provider.getSigner();
+        const userAddress = await signer.getAddress();
+
+        // Trading stays disabled until the chain and the contract check out; browsing
+        // falls back to the read-only market meanwhile
+        const contract = MarketClient.connectContract(ethers, signer, this.contractAddress);
+        const problem = await MarketDeployments.verifyDeployment({ provider, contract, deployment: this.deployment });
+        const market = problem ? this.readOnlyMarket : new MarketClient.MarketClient({
+            contract,
+            account: userAddress,
+            signer,
+            fhe: () => this.getFheClient(),
+            address: this.contractAddress,
+            multicall: MarketClient.connectMulticall(ethers, provider),
+            indexer: this.createIndexer(contract),
+            startBlock: this.deployment.startBlock
+        });
 
-            this.showNotification('Wallet connected successfully!', 'success');
-            this.showLoading(false);
+        const network = await provider.getNetwork();
+        const txTracker = new TxTracker.TransactionTracker({
+            provider,
+            storage: window.localStorage,
+            storageKey: `energyMarket.transactions.${network.chainId}.${userAddress.toLowerCase()}`,
+            chainId: network.chainId,
+            explorerUrl: network.chainId === this.deployment.chainId ? this.deployment.explorerUrl : null,
+            onChange: () => this.renderTransactions()
+        });
+
+        this.provider = provider;
+        this.signer = signer;
+        this.networkProblem = problem;
+        this.walletConnected = true;
+        await this.setLiveSession({ market, userAddress, txTracker });
+        txTracker.resume();
+
+        document.getElementById('connectWallet').style.display = 'none';
+        document.getElementById('walletInfo').classList.remove('hidden');
+        document.getElementById('walletAddress').textContent = shortAddress(userAddress);
+        await this.updateBalance(userAddress);
+        await this.displayOwnerInfo(problem ? null : market);
+    }
+
+    // Installs the wallet's market, account and transactions. In demo mode they
+    // are parked in liveSession until demo mode is turned off again.
+    async setLiveSession(session) {
+        const previous = this.demoMode ? this.liveSession : { txTracker: this.txTracker };
+        if (previous && previous.txTracker && previous.txTracker !== session.txTracker) previous.txTracker.stop();
+
+        this.updateNetworkNotice();
+        if (this.demoMode) {
+            this.liveSession = session;
+            return;
+        }
+
+        this.market = session.market;
+        this.userAddress = session.userAddress;
+        this.txTracker = session.txTracker;
+        this.renderTransactions();
+        await this.refreshSessionViews();
+    }
+
+    watchWallet() {
+        if (!window.ethereum.on) return;
+
+        const update = (action) => {
+            this.walletUpdate = this.walletUpdate.then(async () => {
+                if (!this.walletConnected) return;
+                try {
+                    await action();
+                } catch (error) {
+                    this.handleError(error, 'Failed to update the wallet connection');
+                }
+            });
+        };
+
+        window.ethereum.on('accountsChanged', (accounts) => update(async () => {
+            // An empty list means the wallet was locked or the site's access revoked
+            if (accounts.length === 0) {
+                await this.disconnectWallet({ remember: false });
+                return;
+            }
+            await this.loadWallet();
+            this.showNotification(`Switched to account ${shortAddress(accounts[0])}`, 'info');
+        }));
+        window.ethereum.on('chainChanged', () => update(async () => {
+            await this.loadWallet();
+            if (this.networkProblem) {
+                this.showNotification(MarketErrors.describeError(this.networkProblem), 'error');
+            } else {
+                this.showNotification(`Switched to ${this.deployment.name}`, 'info');
+            }
+        }));
+        window.ethereum.on('disconnect', () => update(() => this.disconnectWallet({ remember: false })));
+    }
+
+    // Wallets cannot be disconnected by a page; this forgets the connection
+    // until the user clicks "Connect Wallet" again. `remember` keeps a page
+    // reload from reconnecting; wallet-side disconnects leave that to the wallet.
+    async disconnectWallet({ remember = true } = {}) {
+        if (remember) window.localStorage.setItem(WALLET_DISCONNECTED_KEY, '1');
+        this.walletConnected = false;
+        this.provider = null;
+        this.signer = null;
+        this.networkProblem = null;
+        this.fheClient = null;
 
+        await this.setLiveSession({
+            market: this.readOnlyMarket,
+            userAddress: null,
+            txTracker: new TxTracker.TransactionTracker({ onChange: () => this.renderTransactions() })
+        });
+
+        document.getElementById('connectWallet').style.display = '';
+        document.getElementById('walletInfo').classList.add('hidden');
+        document.getElementById('walletAddress').textContent = '';
+        document.getElementById('balance').textContent = '';
+        await this.displayOwnerInfo(null);
+        this.showNotification('Wallet disconnected', 'info');
+    }
+
+    // Offers a switch when the wallet is on another chain; declining keeps the
+    // wallet connected with trading disabled and the notice explaining why
+    async ensureWalletChain() {
+        const chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+        if (chainId === this.deployment.chainId) return;
+
+        try {
+            await MarketDeployments.switchWalletChain(window.ethereum, this.deployment);
         } catch (error) {
-            console.error('Wallet connection error:', error);
-            this.showNotification('Failed to connect wallet', 'error');
-            this.showLoading(false);
+            console.error('Network switch declined:', error);
         }
     }
 
-    async updateBalance() {
+    async switchNetwork() {
         try {
-            const balance = await this.provider.getBalance(this.userAddress);
+            await MarketDeployments.switchWalletChain(window.ethereum, this.deployment);
+            // Wallets that emit chainChanged are reloaded by watchWallet
+            if (!window.ethereum.on) await this.connectWallet();
+        } catch (error) {
+            this.handleError(error, `Failed to switch to ${this.deployment.name}`);
+        }
+    }
+
+    updateNetworkNotice() {
+        const problem = this.demoMode ? null : this.networkProblem;
+        document.getElementById('networkNotice').classList.toggle('hidden', !problem);
+        if (!problem) return;
+
+        document.getElementById('networkNoticeText').textContent = MarketErrors.describeError(problem);
+        // A wrong chain on the read-only endpoint is a configuration error, not the wallet's
+        document.getElementById('switchNetwork').classList.toggle('hidden', problem.kind !== 'wrong-network' || !this.walletConnected);
+        if (this.deployment) {
+            document.getElementById('switchNetwork').textContent = `Switch to ${this.deployment.name}`;
+        }
+    }
+
+    // Write actions need a signing account. Visitors browsing read-only are
+    // asked to connect at this point; false when that did not work out.
+    async requireWallet() {
+        if (this.market && this.market.account) return true;
+
+        if (typeof window.ethereum === 'undefined') {
+            this.showNotification('Connect a wallet to trade: install MetaMask or enable demo mode', 'error');
+            return false;
+        }
+        await this.connectWallet();
+        return Boolean(this.market && this.market.account);
+    }
+
+    async updateBalance(address = this.userAddress) {
+        try {
+            const balance = await this.provider.getBalance(address);
             document.getElementById('balance').textContent = `${ethers.utils.formatEther(balance)} ETH`;
         } catch (error) {
             console.error('Error updating balance:', error);
@@ -154,26 +518,102 @@ class PrivateEnergyMarket {
 
     async loadMarketStatus() {
         try {
-            if (!this.contract) return;
+            if (!this.market) return;
+
+            this.marketSession = await this.market.getSession();
 
-            const marketInfo = await this.contract.getMarketSessionInfo();
+            document.getElementById('sessionId').textContent = this.marketSession.sessionId;
+            document.getElementById('totalOffers').textContent = this.marketSession.totalOffers;
+            document.getElementById('totalDemands').textContent = this.marketSession.totalDemands;
 
-            document.getElementById('sessionId').textContent = marketInfo.sessionId.toString();
-            document.getElementById('marketActive').textContent = marketInfo.isActive ? 'Active' : 'Closed';
-            document.getElementById('totalOffers').textContent = marketInfo.totalOffers.toString();
-            document.getElementById('totalDemands').textContent = marketInfo.totalDemands.toString();
+            this.updateMarketHours();
+            this.startSessionCountdown();
 
         } catch (error) {
-            console.error('Error loading market status:', error);
-            this.showNotification('Failed to load market status', 'error');
+            this.handleError(error, 'Failed to load market status');
+        }
+    }
+
+    // The contract keeps a session open while block.timestamp <= start + duration
+    sessionSecondsLeft() {
+        return this.marketSession.closesAt - Math.floor(Date.now() / 1000);
+    }
+
+    isMarketOpen() {
+        return !this.marketSession || (this.marketSession.isActive && this.sessionSecondsLeft() >= 0);
+    }
+
+    startSessionCountdown() {
+        if (this.countdownTimer) return;
+        this.countdownTimer = setInterval(() => this.tickSessionCountdown(), 1000);
+    }
+
+    stopSessionCountdown() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+    }
+
+    tickSessionCountdown() {
+        if (!this.marketSession) return;
+        this.updateMarketHours();
+
+        // Reload once when the session crosses its closing time
+        const closesAt = this.marketSession.closesAt;
+        if (this.marketSession.isActive && this.sessionSecondsLeft() < 0 && this.refreshedBoundary !== closesAt) {
+            this.refreshedBoundary = closesAt;
+            this.loadMarketStatus();
+        }
+    }
+
+    // Shows the countdown and locks the forms that would revert with "Market is closed"
+    updateMarketHours() {
+        const isOpen = this.isMarketOpen();
+        const session = this.marketSession;
+        const demoSuffix = this.demoMode ? ' (Demo)' : '';
+
+        document.getElementById('marketActive').textContent =
+            session ? (isOpen ? 'Active' : 'Closed') + demoSuffix : '-';
+        document.getElementById('sessionCountdown').textContent =
+            session ? (isOpen ? formatDuration(this.sessionSecondsLeft()) : 'Closed') : '-';
+
+        // Only when the market opens or closes: this runs every second and
+        // must not re-enable a button a pending submit has disabled
+        if (isOpen !== this.formsOpen) {
+            this.formsOpen = isOpen;
+            ['offerForm', 'demandForm'].forEach(id => {
+                document.getElementById(id).querySelectorAll('input, select, button').forEach(element => {
+                    element.disabled = !isOpen;
+                });
+            });
+            ['matchOfferId', 'matchDemandId', 'matchTradeBtn'].forEach(id => {
+                document.getElementById(id).disabled = !isOpen;
+            });
+            document.querySelectorAll('.market-closed-notice').forEach(notice => {
+                notice.classList.toggle('hidden', isOpen);
+            });
+            document.getElementById('startMarketSession').disabled = isOpen;
+        }
+
+        const sessionHint = document.getElementById('sessionHint');
+        if (!session || !this.isOwner) {
+            sessionHint.classList.add('hidden');
+            return;
+        }
+
+        sessionHint.classList.remove('hidden');
+        if (isOpen) {
+            const startableAt = new Date((session.closesAt + 1) * 1000);
+            sessionHint.textContent = `A new session can be started after ${startableAt.toLocaleTimeString()}.`;
+        } else {
+            sessionHint.textContent = 'The session has ended. You can start a new one now.';
         }
     }
 
     async loadUserCredits() {
         try {
-            if (!this.contract || !this.userAddress) return;
+            if (!this.market || !this.userAddress) return;
 
-            const credits = await this.contract.userCredits(this.userAddress);
+            const credits = await this.market.getCredits();
             document.getElementById('userCredits').textContent = credits.toString();
 
         } catch (error) {
@@ -181,7 +621,7 @@ class PrivateEnergyMarket {
         }
     }
 
-    toggleDemoMode() {
+    async toggleDemoMode() {
         this.demoMode = !this.demoMode;
         const toggleBtn = document.getElementById('toggleDemo');
 
@@ -191,41 +631,240 @@ class PrivateEnergyMarket {
             toggleBtn.textContent = 'Disable Demo Mode';
             toggleBtn.classList.remove('btn-secondary');
             toggleBtn.classList.add('btn-primary');
-            this.showNotification('Demo mode enabled - simulating market functions', 'info');
 
             // Show demo indicator
             document.getElementById('demoIndicator').classList.remove('hidden');
 
-            // Update market status for demo
-            document.getElementById('sessionId').textContent = '999';
-            document.getElementById('marketActive').textContent = 'Active (Demo)';
-            document.getElementById('totalOffers').textContent = '5';
-            document.getElementById('totalDemands').textContent = '3';
+            // Swap the on-chain contract for the simulated market, keeping the
+            // simulated state across toggles so a training session can resume.
+            // The simulated market can only resolve handles from its own mock client.
+            this.liveSession = { market: this.market, userAddress: this.userAddress, txTracker: this.txTracker };
+            if (!this.demoMarket) {
+                const fhe = FheClient.createFheClient({ mode: 'mock' });
+                const simulatedMarket = await SimulatedMarket.createDemoMarket({ account: this.demoAccount, fhe });
+                this.demoMarket = new MarketClient.MarketClient({
+                    contract: simulatedMarket.connect(this.demoAccount),
+                    account: this.demoAccount,
+                    fhe
+                });
+            }
+            this.market = this.demoMarket;
+            this.userAddress = this.demoAccount;
+            if (!this.demoTxTracker) {
+                this.demoTxTracker = new TxTracker.TransactionTracker({ onChange: () => this.renderTransactions() });
+            }
+            this.txTracker = this.demoTxTracker;
+
+            this.showNotification('Demo mode enabled - simulating market functions', 'info');
         } else {
             toggleBtn.textContent = 'Enable Demo Mode';
             toggleBtn.classList.remove('btn-primary');
             toggleBtn.classList.add('btn-secondary');
-            this.showNotification('Demo mode disabled - using real blockchain', 'info');
 
             // Hide demo indicator
             document.getElementById('demoIndicator').classList.add('hidden');
 
-            this.loadMarketStatus();
+            this.market = this.liveSession.market;
+            this.userAddress = this.liveSession.userAddress;
+            this.txTracker = this.liveSession.txTracker;
+            this.liveSession = null;
+
+            this.showNotification('Demo mode disabled - using real blockchain', 'info');
+        }
+
+        this.updateNetworkNotice();
+        this.renderTransactions();
+        await this.refreshSessionViews();
+    }
+
+    // Re-reads everything shown for the current market/account pair
+    async refreshSessionViews() {
+        // Read-only browsing has a market but no account to show or sign for
+        const hasAccount = Boolean(this.market && this.market.account);
+        document.getElementById('readOnlyHint').classList.toggle('hidden', !this.market || hasAccount);
+        document.getElementById('loadUserOffers').classList.toggle('hidden', !hasAccount);
+        document.getElementById('loadUserDemands').classList.toggle('hidden', !hasAccount);
+        document.getElementById('decryptUserOffers').classList.toggle('hidden', !hasAccount);
+        document.getElementById('decryptUserDemands').classList.toggle('hidden', !hasAccount);
+        document.getElementById('cancelAllOrders').classList.toggle('hidden', !hasAccount);
+        document.getElementById('cancelProgress').classList.add('hidden');
+        document.getElementById('userOffersList').innerHTML = '<p>Connect wallet to view your offers</p>';
+        document.getElementById('userDemandsList').innerHTML = '<p>Connect wallet to view your demands</p>';
+        document.getElementById('userCredits').textContent = '0';
+        this.orderBook = null;
+        document.getElementById('orderBookList').innerHTML = '<p>Connect wallet or enable demo mode to browse the order book</p>';
+        this.tradeHistory = null;
+        document.getElementById('tradeHistoryList').innerHTML = '<p>Connect wallet or enable demo mode to view trades</p>';
+        document.getElementById('sessionHistoryList').innerHTML = '<p>Open Trade History to load the sessions</p>';
+        document.getElementById('reportSummary').innerHTML = '';
+        this.closeTradeDetails();
+        this.analytics = null;
+        document.getElementById('analyticsSummary').innerHTML = '<p>Connect wallet or enable demo mode to view analytics</p>';
+        ['priceChart', 'volumeChart', 'sessionPriceList', 'orderStatusChart'].forEach(id => {
+            document.getElementById(id).innerHTML = '';
+        });
+        this.portfolio = null;
+        document.getElementById('portfolioSummary').innerHTML = '<p>Connect wallet or enable demo mode to view your portfolio</p>';
+        ['portfolioTypeList', 'portfolioSessionList', 'ledgerList'].forEach(id => {
+            document.getElementById(id).innerHTML = '';
+        });
+        this.ownerConsole = null;
+        document.getElementById('ownerSessionList').innerHTML = '<p>Loading session history...</p>';
+
+        this.unsubscribeFromMarketEvents();
+
+        if (!this.market) {
+            ['sessionId', 'totalOffers', 'totalDemands'].forEach(id => {
+                document.getElementById(id).textContent = '-';
+            });
+            this.marketSession = null;
+            this.stopSessionCountdown();
+            this.clearOwnership();
+            return;
         }
+
+        await this.loadMarketStatus();
+        if (hasAccount) {
+            // Started together so the market client batches their reads
+            await Promise.all([
+                this.loadUserCredits(),
+                this.checkOwnership(),
+                this.loadUserOffers(),
+                this.loadUserDemands()
+            ]);
+        } else {
+            document.getElementById('tradeScope').value = 'all';
+            this.clearOwnership();
+        }
+
+        // Panels that are already open show the new market right away
+        const activeTab = document.querySelector('.tab-content.active').id;
+        if (activeTab === 'orderbook') await this.loadOrderBook();
+        if (activeTab === 'history') await this.loadTradeHistory();
+        if (activeTab === 'analytics') await this.loadAnalytics();
+        if (activeTab === 'portfolio' && hasAccount) await this.loadPortfolio();
+
+        this.subscribeToMarketEvents();
     }
 
-    async displayOwnerInfo() {
+    clearOwnership() {
+        this.isOwner = false;
+        this.updateMarketHours();
+        document.getElementById('startMarketSession').style.display = 'none';
+        this.showOwnerTab(false);
+    }
+
+    subscribeToMarketEvents() {
+        const market = this.market;
+        if (!market || this.subscribedMarket === market) return;
+
+        this.unsubscribeMarket = market.subscribe({
+            MarketSessionStarted: (sessionId) => {
+                this.showNotification(`Market session #${sessionId.toString()} started`, 'info');
+                this.scheduleRefresh(['market', 'orderBook']);
+            },
+            EnergyOfferCreated: (offerId, seller) => {
+                this.scheduleRefresh(this.isCurrentUser(seller) ? ['market', 'offers', 'orderBook'] : ['market', 'orderBook']);
+            },
+            EnergyDemandCreated: (demandId, buyer) => {
+                this.scheduleRefresh(this.isCurrentUser(buyer) ? ['market', 'demands', 'orderBook'] : ['market', 'orderBook']);
+            },
+            TradeMatched: async (tradeId, offerId, demandId) => {
+                try {
+                    const trade = await market.getTrade(tradeId);
+                    if (this.isCurrentUser(trade.seller)) {
+                        this.showNotification(`Your offer #${offerId.toString()} was matched (trade #${tradeId.toString()})`, 'success');
+                    }
+                    if (this.isCurrentUser(trade.buyer)) {
+                        this.showNotification(`Your demand #${demandId.toString()} was matched (trade #${tradeId.toString()})`, 'success');
+                    }
+                } catch (error) {
+                    console.error('Error reading matched trade:', error);
+                }
+                this.scheduleRefresh(['offers', 'demands', 'orderBook', 'trades']);
+            },
+            TradeCompleted: (tradeId, seller, buyer, amount, price) => {
+                const involved = this.isCurrentUser(seller) || this.isCurrentUser(buyer);
+                if (involved) {
+                    const role = this.isCurrentUser(seller) ? 'sold' : 'bought';
+                    this.showNotification(
+                        `Trade #${tradeId.toString()} completed: ${role} ${amount.toString()} kWh at ${price.toString()} wei/kWh`,
+                        'success'
+                    );
+                    this.scheduleRefresh(['credits']);
+                }
+                this.scheduleRefresh(['trades']);
+            },
+            // Demo mode only: on chain a failed settlement leaves the trade pending without an event
+            TradeSettlementFailed: async (tradeId, reason) => {
+                try {
+                    const trade = await market.getTrade(tradeId);
+                    if (this.isCurrentUser(trade.seller) || this.isCurrentUser(trade.buyer)) {
+                        this.showNotification(`Trade #${tradeId.toString()} could not be settled: ${reason}`, 'error');
+                    }
+                } catch (error) {
+                    console.error('Error reading failed trade:', error);
+                }
+                this.scheduleRefresh(['trades']);
+            },
+            OfferCancelled: (offerId, seller) => {
+                this.scheduleRefresh(this.isCurrentUser(seller) ? ['offers', 'orderBook'] : ['orderBook']);
+            },
+            DemandCancelled: (demandId, buyer) => {
+                this.scheduleRefresh(this.isCurrentUser(buyer) ? ['demands', 'orderBook'] : ['orderBook']);
+            }
+        });
+        this.subscribedMarket = market;
+    }
+
+    unsubscribeFromMarketEvents() {
+        if (!this.subscribedMarket) return;
+
+        this.unsubscribeMarket();
+        this.subscribedMarket = null;
+        this.unsubscribeMarket = null;
+    }
+
+    isCurrentUser(address) {
+        return Boolean(this.userAddress) && address.toLowerCase() === this.userAddress.toLowerCase();
+    }
+
+    // Events tend to arrive in bursts (a match touches offers, demands and the
+    // order book at once), so panels are refreshed once per burst
+    scheduleRefresh(panels) {
+        panels.forEach(panel => this.pendingRefresh.add(panel));
+        if (this.refreshTimer) return;
+
+        this.refreshTimer = setTimeout(async () => {
+            const pending = new Set(this.pendingRefresh);
+            this.pendingRefresh.clear();
+            this.refreshTimer = null;
+
+            if (pending.has('market')) await this.loadMarketStatus();
+            if (pending.has('credits')) await this.loadUserCredits();
+            if (pending.has('offers') && this.userAddress) await this.loadUserOffers();
+            if (pending.has('demands') && this.userAddress) await this.loadUserDemands();
+            if (pending.has('orderBook') && this.orderBook) await this.loadOrderBook();
+            // Trade History also shows per-session order counts
+            if ((pending.has('trades') || pending.has('orderBook')) && this.tradeHistory) await this.loadTradeHistory();
+            if ((pending.has('trades') || pending.has('orderBook')) && this.analytics) await this.loadAnalytics();
+            if ((pending.has('trades') || pending.has('credits')) && this.portfolio) await this.loadPortfolio();
+            // Session stats cover orders and trades alike
+            if ((pending.has('orderBook') || pending.has('trades')) && this.ownerConsole) await this.loadOwnerConsole();
+        }, 500);
+    }
+
+    // Shows the owner of the wallet's market contract, or hides the line without one
+    async displayOwnerInfo(market) {
+        const ownerInfo = document.getElementById('ownerInfo');
+        ownerInfo.classList.add('hidden');
         try {
-            if (!this.contract) return;
+            if (!market) return;
 
-            const owner = await this.contract.owner();
+            const owner = await market.getOwner();
             console.log('Contract owner:', owner);
-
-            // Add owner info to the page
-            const ownerInfo = document.createElement('div');
-            ownerInfo.style.cssText = 'background: #f0f0f0; padding: 10px; margin: 10px 0; border-radius: 5px; font-size: 0.9rem;';
-            ownerInfo.innerHTML = `<strong>Contract Owner:</strong> ${owner}`;
-            document.querySelector('.market-status').appendChild(ownerInfo);
+            document.getElementById('contractOwner').textContent = owner;
+            ownerInfo.classList.remove('hidden');
 
         } catch (error) {
             console.error('Error getting owner info:', error);
@@ -234,10 +873,11 @@ class PrivateEnergyMarket {
 
     async checkOwnership() {
         try {
-            if (!this.contract || !this.userAddress) return;
+            if (!this.market || !this.userAddress) return;
 
-            const owner = await this.contract.owner();
-            const isOwner = owner.toLowerCase() === this.userAddress.toLowerCase();
+            const isOwner = await this.market.isOwner();
+            this.isOwner = isOwner;
+            this.updateMarketHours();
 
             const startButton = document.getElementById('startMarketSession');
             if (isOwner) {
@@ -246,6 +886,16 @@ class PrivateEnergyMarket {
             } else {
                 startButton.style.display = 'none';
             }
+            this.showOwnerTab(isOwner);
+
+            // index.html#owner (and the old owner-check.html) open the console directly
+            if (window.location.hash === '#owner') {
+                if (isOwner) {
+                    this.switchTab('owner');
+                } else {
+                    this.showNotification('The owner console is only available to the contract owner', 'info');
+                }
+            }
 
         } catch (error) {
             console.error('Error checking ownership:', error);
@@ -254,22 +904,16 @@ class PrivateEnergyMarket {
 
     async startNewMarketSession() {
         try {
-            if (!this.contract) {
-                this.showNotification('Please connect your wallet first', 'error');
-                return;
-            }
+            if (!await this.requireWallet()) return;
 
             this.showLoading(true);
 
-            const tx = await this.contract.startNewMarketSession();
-            await tx.wait();
-
-            this.showNotification('New market session started successfully!', 'success');
-            await this.loadMarketStatus();
+            const tx = await this.market.startSession();
+            this.submitTransaction(tx, 'Start market session', 'New market session started successfully!',
+                () => this.loadMarketStatus());
 
         } catch (error) {
-            console.error('Error starting market session:', error);
-            this.showNotification('Failed to start market session', 'error');
+            this.handleError(error, 'Failed to start market session');
         } finally {
             this.showLoading(false);
         }
@@ -283,48 +927,212 @@ class PrivateEnergyMarket {
         // Update tab content
         document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
         document.getElementById(tabName).classList.add('active');
+
+        if (tabName === 'orderbook' && this.market) {
+            this.loadOrderBook();
+        }
+        if (tabName === 'history' && this.market) {
+            this.loadTradeHistory();
+        }
+        if (tabName === 'analytics' && this.market) {
+            this.loadAnalytics();
+        }
+        if (tabName === 'portfolio' && this.market && this.userAddress) {
+            this.loadPortfolio();
+        }
+        if (tabName === 'owner' && this.market) {
+            this.loadOwnerConsole();
+        }
     }
 
-    async handleOfferSubmit(e) {
-        e.preventDefault();
+    showOwnerTab(visible) {
+        document.getElementById('ownerTabBtn').classList.toggle('hidden', !visible);
+        if (!visible && document.getElementById('owner').classList.contains('active')) {
+            this.switchTab('offer');
+        }
+    }
 
+    async loadOwnerConsole() {
         try {
-            console.log('Creating offer, demo mode:', this.demoMode);
+            if (!this.market || !this.isOwner) return;
 
-            const amount = parseInt(document.getElementById('offerAmount').value);
-            const price = parseInt(document.getElementById('offerPrice').value);
-            const energyType = parseInt(document.getElementById('energyType').value);
-            const isPrivate = document.getElementById('offerPrivate').checked;
-
-            if (this.demoMode) {
-                // Simulate demo transaction
-                console.log('Demo mode: simulating offer creation');
-                this.showLoading(true);
-                setTimeout(() => {
-                    this.showNotification('Energy offer created successfully! (Demo)', 'success');
-                    document.getElementById('offerForm').reset();
-                    this.showLoading(false);
-                }, 1000);
+            const [owner, session] = await Promise.all([
+                this.market.getOwner(),
+                this.market.getSession()
+            ]);
+            const sessions = await this.market.getSessionStarts();
+            const [orders, trades] = await Promise.all([
+                this.market.listOrders({ sessions }),
+                this.market.listTrades({ sessions })
+            ]);
+
+            document.getElementById('ownerAddress').textContent = owner;
+            document.getElementById('ownerContract').textContent = this.demoMode ? 'Simulated market (demo)' : this.contractAddress;
+            document.getElementById('ownerDuration').textContent = formatDuration(session.duration);
+
+            this.ownerConsole = { sessions, stats: this.buildSessionStats(sessions, orders, trades) };
+            this.renderOwnerConsole();
+
+        } catch (error) {
+            this.handleError(error, 'Failed to load owner console');
+        }
+    }
+
+    // Market-wide totals per session; amounts and prices are only public once a trade completes
+    buildSessionStats(sessions, orders, trades) {
+        const currentSessionId = this.marketSession ? this.marketSession.sessionId : 1;
+        const stats = new Map();
+        for (let id = 1; id <= currentSessionId; id++) {
+            const started = sessions && sessions.find(session => session.sessionId === id);
+            stats.set(id, {
+                sessionId: id,
+                startTime: started ? started.startTime : null,
+                offers: 0,
+                demands: 0,
+                trades: 0,
+                completed: 0,
+                volume: 0,
+                value: 0n,
+                traders: new Set()
+            });
+        }
+        if (this.marketSession) stats.get(currentSessionId).startTime = this.marketSession.startTime;
+
+        orders.forEach(order => {
+            const entry = stats.get(order.sessionId);
+            if (!entry) return;
+            entry[order.side === 'offer' ? 'offers' : 'demands']++;
+            entry.traders.add(order.account.toLowerCase());
+        });
+        trades.forEach(trade => {
+            const entry = stats.get(trade.sessionId);
+            if (!entry) return;
+            entry.trades++;
+            if (trade.completed) {
+                entry.completed++;
+                entry.volume += trade.energyAmount;
+                entry.value += BigInt(trade.energyAmount) * BigInt(trade.tradePrice);
+            }
+        });
+
+        return [...stats.values()].reverse();
+    }
+
+    renderOwnerConsole() {
+        document.getElementById('ownerSessionList').innerHTML = this.sessionTableHtml(this.ownerConsole.sessions, this.ownerConsole.stats);
+    }
+
+    // Session history table shared by the owner console and Trade History
+    sessionTableHtml(sessions, stats) {
+        if (!sessions) {
+            return '<p>Session history needs event logs, which the current provider cannot serve</p>';
+        }
+
+        const currentSessionId = this.marketSession ? this.marketSession.sessionId : null;
+        const rows = stats.map(entry => `
+            <tr>
+                <td>#${entry.sessionId}${entry.sessionId === currentSessionId ? ' (current)' : ''}</td>
+                <td>${entry.startTime ? new Date(entry.startTime * 1000).toLocaleString() : 'At deployment'}</td>
+                <td>${entry.offers}</td>
+                <td>${entry.demands}</td>
+                <td>${entry.trades}</td>
+                <td>${entry.completed}</td>
+                <td>${entry.volume} kWh</td>
+                <td>${entry.value.toString()} wei</td>
+                <td>${entry.traders.size}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Session</th>
+                        <th>Started</th>
+                        <th>Offers</th>
+                        <th>Demands</th>
+                        <th>Trades</th>
+                        <th>Completed</th>
+                        <th>Volume</th>
+                        <th>Value</th>
+                        <th>Traders</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    async updateSessionDuration() {
+        try {
+            if (!this.market || !this.isOwner) {
+                this.showNotification('Only the contract owner can change the session duration', 'error');
                 return;
             }
 
-            if (!this.contract) {
-                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
+            const amount = Number(document.getElementById('sessionDurationValue').value);
+            const unit = Number(document.getElementById('sessionDurationUnit').value);
+            if (!Number.isInteger(amount) || amount <= 0) {
+                this.showNotification('Enter a whole number greater than zero', 'error');
+                return;
+            }
+
+            const duration = MarketValidation.validateSessionDuration(amount * unit);
+
+            // isMarketActive() uses the new duration immediately, including for the running session
+            let effect = '';
+            if (this.marketSession && this.isMarketOpen()) {
+                const closesAt = this.marketSession.startTime + duration;
+                effect = closesAt < Math.floor(Date.now() / 1000)
+                    ? '\n\nThe current session has already run longer than this and will close immediately.'
+                    : `\n\nThe current session will then close at ${new Date(closesAt * 1000).toLocaleString()}.`;
+            }
+            const current = this.marketSession ? formatDuration(this.marketSession.duration) : 'the current value';
+            if (!window.confirm(`Change the session duration from ${current} to ${formatDuration(duration)}?${effect}`)) {
                 return;
             }
 
             this.showLoading(true);
+            const tx = await this.market.setSessionDuration(duration);
+            this.submitTransaction(tx, 'Set session duration', 'Session duration updated', async () => {
+                await this.loadMarketStatus();
+                await this.loadOwnerConsole();
+            });
+            document.getElementById('sessionDurationValue').value = '';
 
-            const tx = await this.contract.createEnergyOffer(amount, price, energyType, isPrivate);
-            await tx.wait();
+        } catch (error) {
+            this.handleError(error, 'Failed to update session duration');
+        } finally {
+            this.showLoading(false);
+        }
+    }
 
-            this.showNotification('Energy offer created successfully!', 'success');
+    async handleOfferSubmit(e) {
+        e.preventDefault();
+
+        try {
+            console.log('Creating offer, demo mode:', this.demoMode);
+
+            if (!await this.requireWallet()) return;
+
+            const offer = MarketValidation.validateOffer({
+                amount: document.getElementById('offerAmount').value,
+                price: document.getElementById('offerPrice').value,
+                energyType: document.getElementById('energyType').value,
+                isPrivate: document.getElementById('offerPrivate').checked
+            });
+
+            this.showLoading(true);
+
+            // Private values are encrypted in the browser before they reach calldata
+            const tx = await this.market.createOffer(offer);
+            this.submitTransaction(tx, 'Create offer',
+                `Energy offer created successfully!${this.demoMode ? ' (Demo)' : ''}`,
+                () => this.loadMarketStatus());
             document.getElementById('offerForm').reset();
-            await this.loadMarketStatus();
 
         } catch (error) {
-            console.error('Error creating offer:', error);
-            this.showNotification('Failed to create energy offer', 'error');
+            this.handleError(error, 'Failed to create energy offer');
         } finally {
             this.showLoading(false);
         }
@@ -334,70 +1142,223 @@ class PrivateEnergyMarket {
         e.preventDefault();
 
         try {
-            if (!this.contract && !this.demoMode) {
-                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
-                return;
-            }
+            if (!await this.requireWallet()) return;
+
+            const demand = MarketValidation.validateDemand({
+                amount: document.getElementById('demandAmount').value,
+                maxPrice: document.getElementById('demandMaxPrice').value,
+                isPrivate: document.getElementById('demandPrivate').checked
+            });
 
             this.showLoading(true);
 
-            const amount = parseInt(document.getElementById('demandAmount').value);
-            const maxPrice = parseInt(document.getElementById('demandMaxPrice').value);
-            const isPrivate = document.getElementById('demandPrivate').checked;
+            const tx = await this.market.createDemand(demand);
+            this.submitTransaction(tx, 'Create demand',
+                `Energy demand created successfully!${this.demoMode ? ' (Demo)' : ''}`,
+                () => this.loadMarketStatus());
+            document.getElementById('demandForm').reset();
+
+        } catch (error) {
+            this.handleError(error, 'Failed to create energy demand');
+        } finally {
+            this.showLoading(false);
+        }
+    }
 
-            if (this.demoMode) {
-                // Simulate demo transaction
-                console.log('Demo mode: simulating demand creation');
-                setTimeout(() => {
-                    this.showNotification('Energy demand created successfully! (Demo)', 'success');
-                    document.getElementById('demandForm').reset();
-                    this.showLoading(false);
-                }, 1000);
+    async getFheClient() {
+        if (!this.fheClient) {
+            this.fheClient = FheClient.createFheClient({
+                mode: this.fheMode,
+                sdk: window.relayerSDK,
+                // Visitors without a wallet can still read publicly decryptable values
+                network: window.ethereum || this.deployment.rpcUrl
+            });
+            await this.fheClient.init();
+            console.log('FHE client initialized:', this.fheMode);
+        }
+        return this.fheClient;
+    }
+
+    // Decrypts the amount and price handles of my private offers and demands;
+    // the wallet signs a decryption permit the first time
+    async decryptMyValues() {
+        try {
+            if (!await this.requireWallet()) return;
+
+            this.showLoading(true);
+
+            const decrypted = await this.market.decryptOwnValues();
+            if (decrypted === 0) {
+                this.showNotification('No new private values to decrypt', 'info');
                 return;
             }
 
-            const tx = await this.contract.createEnergyDemand(amount, maxPrice, isPrivate);
-            await tx.wait();
-
-            this.showNotification('Energy demand created successfully!', 'success');
-            document.getElementById('demandForm').reset();
-            await this.loadMarketStatus();
+            this.showNotification(`Decrypted ${decrypted} private values`, 'success');
+            await this.loadUserOffers();
+            await this.loadUserDemands();
 
         } catch (error) {
-            console.error('Error creating demand:', error);
-            this.showNotification('Failed to create energy demand', 'error');
+            this.handleError(error, 'Failed to decrypt your private values');
         } finally {
             this.showLoading(false);
         }
     }
 
-    async handleTradeMatch() {
+    formatPrivateValue(handle, isPrivate, unit) {
+        const value = this.market.valueOf(handle);
+        if (value !== null) return `${value} ${unit}`;
+        return isPrivate ? 'Encrypted' : 'Not decryptable (public entry)';
+    }
+
+    async findMatches() {
         try {
-            if (!this.contract) {
-                this.showNotification('Please connect your wallet first', 'error');
+            if (!this.market) {
+                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
+                return;
+            }
+
+            const side = document.getElementById('assistantSide').value;
+            const id = parseInt(document.getElementById('assistantOrderId').value);
+            const preferredType = document.getElementById('assistantType').value;
+            const label = `${side === 'offer' ? 'Offer' : 'Demand'} #${id}`;
+            if (!id) {
+                this.showNotification('Enter the ID of the offer or demand to match', 'error');
                 return;
             }
 
-            const offerId = parseInt(document.getElementById('matchOfferId').value);
-            const demandId = parseInt(document.getElementById('matchDemandId').value);
+            const assistantResults = document.getElementById('assistantResults');
+            assistantResults.innerHTML = '<p>Looking for compatible orders...</p>';
 
-            if (!offerId || !demandId) {
-                this.showNotification('Please enter both Offer ID and Demand ID', 'error');
+            const orders = await this.market.listOrders();
+            const target = orders.find(order => order.side === side && order.id === id);
+            if (!target) {
+                assistantResults.innerHTML = `<p>${label} does not exist</p>`;
+                return;
+            }
+            if (target.status !== ORDER_STATUS.ACTIVE) {
+                assistantResults.innerHTML = `<p>${label} is ${STATUS_TYPES[target.status].toLowerCase()} and cannot be matched</p>`;
                 return;
             }
 
-            this.showLoading(true);
+            const { error: valuesError } = await this.market.resolveValues(orders);
+
+            // Settlement fails if the buyer cannot pay, so check the buyers' credits up front
+            const buyers = [...new Set(orders
+                .filter(order => order.side === 'demand' && order.status === ORDER_STATUS.ACTIVE)
+                .map(order => order.account.toLowerCase()))];
+            const balances = await Promise.all(buyers.map(buyer => this.market.getCredits(buyer)));
+            const credits = {};
+            buyers.forEach((buyer, i) => { credits[buyer] = balances[i]; });
+
+            const ranking = OrderMatching.rankCandidates(target, orders, {
+                viewer: this.userAddress,
+                preferredType: preferredType === 'any' ? null : Number(preferredType),
+                credits
+            });
+            this.renderSuggestions(target, ranking, valuesError);
 
-            const tx = await this.contract.matchTrade(offerId, demandId);
-            await tx.wait();
+        } catch (error) {
+            this.handleError(error, 'Failed to find matching orders');
+        }
+    }
+
+    // `valuesError` is set when public amounts and prices could not be revealed
+    renderSuggestions(target, { suggestions, excluded }, valuesError = null) {
+        const assistantResults = document.getElementById('assistantResults');
+        const formatValue = (value, unit) => (value === null ? 'Encrypted' : `${value} ${unit}`);
+
+        // Inactive orders are not worth listing as exclusions
+        const reasons = {};
+        excluded.filter(entry => entry.reason !== 'Not active').forEach(entry => {
+            reasons[entry.reason] = (reasons[entry.reason] || 0) + 1;
+        });
+        const excludedSummary = Object.entries(reasons)
+            .map(([reason, count]) => `${count} × ${reason.toLowerCase()}`)
+            .join(', ');
+
+        let hint = target.amount === null && target.isPrivate && this.isCurrentUser(target.account)
+            ? '<p class="assistant-hint">Decrypt your private values to rank by price and size.</p>'
+            : '';
+        if (valuesError) {
+            hint += `<p class="assistant-hint assistant-warning">${MarketErrors.describeError(valuesError)} Suggestions are not ranked by price or size.</p>`;
+        }
+
+        if (suggestions.length === 0) {
+            assistantResults.innerHTML = `
+                ${hint}
+                <p>No compatible ${target.side === 'offer' ? 'demands' : 'offers'} found</p>
+                ${excludedSummary ? `<p class="assistant-hint">Left out: ${excludedSummary}</p>` : ''}
+            `;
+            return;
+        }
+
+        const rows = suggestions.map((suggestion, index) => {
+            const order = suggestion.order;
+            const offerId = target.side === 'offer' ? target.id : order.id;
+            const demandId = target.side === 'demand' ? target.id : order.id;
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${order.side === 'offer' ? 'Offer' : 'Demand'} #${order.id}</td>
+                    <td title="${order.account}">${shortAddress(order.account)}</td>
+                    <td>${order.energyType === null ? 'Any' : ENERGY_TYPES[order.energyType]}</td>
+                    <td>${formatValue(order.amount, 'kWh')}</td>
+                    <td>${formatValue(order.price, 'wei/kWh')}</td>
+                    <td class="fit-${suggestion.priceFit}">${suggestion.priceFit === 'compatible' ? 'Compatible' : 'Unknown'}</td>
+                    <td>${suggestion.sizeFit === null ? '-' : `${Math.round(suggestion.sizeFit * 100)}%`}</td>
+                    <td>${suggestion.notes.join('; ') || '-'}</td>
+                    <td><button class="btn btn-small" data-match-offer="${offerId}" data-match-demand="${demandId}">Match</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        assistantResults.innerHTML = `
+            ${hint}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Rank</th>
+                        <th>Order</th>
+                        <th>Owner</th>
+                        <th>Energy Type</th>
+                        <th>Amount</th>
+                        <th>${target.side === 'offer' ? 'Max Price' : 'Price'}</th>
+                        <th>Price Check</th>
+                        <th>Size Fit</th>
+                        <th>Notes</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${excludedSummary ? `<p class="assistant-hint">Left out: ${excludedSummary}</p>` : ''}
+        `;
+    }
+
+    matchSuggestion(offerId, demandId) {
+        document.getElementById('matchOfferId').value = offerId;
+        document.getElementById('matchDemandId').value = demandId;
+        this.handleTradeMatch();
+    }
+
+    async handleTradeMatch() {
+        try {
+            if (!await this.requireWallet()) return;
+
+            const { offerId, demandId } = MarketValidation.validateMatch({
+                offerId: document.getElementById('matchOfferId').value,
+                demandId: document.getElementById('matchDemandId').value
+            });
+
+            this.showLoading(true);
 
-            this.showNotification('Trade matched successfully!', 'success');
+            const tx = await this.market.match(offerId, demandId);
+            this.submitTransaction(tx, `Match offer #${offerId} with demand #${demandId}`, 'Trade matched successfully!');
             document.getElementById('matchOfferId').value = '';
             document.getElementById('matchDemandId').value = '';
 
         } catch (error) {
-            console.error('Error matching trade:', error);
-            this.showNotification('Failed to match trade', 'error');
+            this.handleError(error, 'Failed to match trade');
         } finally {
             this.showLoading(false);
         }
@@ -405,151 +1366,978 @@ class PrivateEnergyMarket {
 
     async loadUserOffers() {
         try {
-            if (!this.contract || !this.userAddress) return;
+            if (!this.market || !this.userAddress) return;
 
-            const offerIds = await this.contract.getUserOffers(this.userAddress);
+            const offers = await this.market.listOffers({ owner: this.userAddress });
             const offersList = document.getElementById('userOffersList');
 
-            if (offerIds.length === 0) {
+            if (offers.length === 0) {
                 offersList.innerHTML = '<p>No offers found</p>';
                 return;
             }
 
-            let offersHTML = '';
-            for (let i = 0; i < offerIds.length; i++) {
-                const offerId = offerIds[i];
-                const offer = await this.contract.energyOffers(offerId);
-
-                const energyTypes = ['Solar', 'Wind', 'Hydro', 'Nuclear'];
-                const statusTypes = ['Active', 'Matched', 'Cancelled'];
-
-                offersHTML += `
-                    <div class="offer-item">
-                        <h4>Offer #${offerId.toString()}</h4>
-                        <p><strong>Type:</strong> ${energyTypes[offer.energyType]}</p>
-                        <p><strong>Status:</strong> ${statusTypes[offer.status]}</p>
-                        <p><strong>Private:</strong> ${offer.isPrivate ? 'Yes' : 'No'}</p>
-                        <p><strong>Created:</strong> ${new Date(offer.timestamp * 1000).toLocaleString()}</p>
-                    </div>
-                `;
-            }
-
-            offersList.innerHTML = offersHTML;
+            offersList.innerHTML = offers.map(offer => `
+                <div class="offer-item">
+                    <h4>Offer #${offer.id}</h4>
+                    <p><strong>Type:</strong> ${ENERGY_TYPES[offer.energyType]}</p>
+                    <p><strong>Amount:</strong> ${this.formatPrivateValue(offer.amountHandle, offer.isPrivate, 'kWh')}</p>
+                    <p><strong>Price:</strong> ${this.formatPrivateValue(offer.priceHandle, offer.isPrivate, 'wei/kWh')}</p>
+                    <p><strong>Status:</strong> ${STATUS_TYPES[offer.status]}</p>
+                    <p><strong>Private:</strong> ${offer.isPrivate ? 'Yes' : 'No'}</p>
+                    <p><strong>Created:</strong> ${new Date(offer.timestamp * 1000).toLocaleString()}</p>
+                    ${offer.status === ORDER_STATUS.ACTIVE ? `
+                        <button class="btn btn-small" data-suggest="offer" data-id="${offer.id}">Find Matches</button>
+                        <button class="btn btn-small btn-danger" data-cancel="offer" data-id="${offer.id}">Cancel</button>
+                    ` : ''}
+                </div>
+            `).join('');
 
         } catch (error) {
-            console.error('Error loading user offers:', error);
-            this.showNotification('Failed to load your offers', 'error');
+            this.handleError(error, 'Failed to load your offers');
         }
     }
 
     async loadUserDemands() {
         try {
-            if (!this.contract || !this.userAddress) return;
+            if (!this.market || !this.userAddress) return;
 
-            const demandIds = await this.contract.getUserDemands(this.userAddress);
+            const demands = await this.market.listDemands({ owner: this.userAddress });
             const demandsList = document.getElementById('userDemandsList');
 
-            if (demandIds.length === 0) {
+            if (demands.length === 0) {
                 demandsList.innerHTML = '<p>No demands found</p>';
                 return;
             }
 
-            let demandsHTML = '';
-            for (let i = 0; i < demandIds.length; i++) {
-                const demandId = demandIds[i];
-                const demand = await this.contract.energyDemands(demandId);
+            demandsList.innerHTML = demands.map(demand => `
+                <div class="demand-item">
+                    <h4>Demand #${demand.id}</h4>
+                    <p><strong>Amount:</strong> ${this.formatPrivateValue(demand.amountHandle, demand.isPrivate, 'kWh')}</p>
+                    <p><strong>Max Price:</strong> ${this.formatPrivateValue(demand.priceHandle, demand.isPrivate, 'wei/kWh')}</p>
+                    <p><strong>Status:</strong> ${STATUS_TYPES[demand.status]}</p>
+                    <p><strong>Private:</strong> ${demand.isPrivate ? 'Yes' : 'No'}</p>
+                    <p><strong>Created:</strong> ${new Date(demand.timestamp * 1000).toLocaleString()}</p>
+                    ${demand.status === ORDER_STATUS.ACTIVE ? `
+                        <button class="btn btn-small" data-suggest="demand" data-id="${demand.id}">Find Matches</button>
+                        <button class="btn btn-small btn-danger" data-cancel="demand" data-id="${demand.id}">Cancel</button>
+                    ` : ''}
+                </div>
+            `).join('');
 
-                const statusTypes = ['Active', 'Matched', 'Cancelled'];
+        } catch (error) {
+            this.handleError(error, 'Failed to load your demands');
+        }
+    }
 
-                demandsHTML += `
-                    <div class="demand-item">
-                        <h4>Demand #${demandId.toString()}</h4>
-                        <p><strong>Status:</strong> ${statusTypes[demand.status]}</p>
-                        <p><strong>Private:</strong> ${demand.isPrivate ? 'Yes' : 'No'}</p>
-                        <p><strong>Created:</strong> ${new Date(demand.timestamp * 1000).toLocaleString()}</p>
-                    </div>
-                `;
+    async cancelOrder(side, id) {
+        const label = `${side === 'offer' ? 'Offer' : 'Demand'} #${id}`;
+        try {
+            if (!await this.requireWallet()) return;
+            if (!window.confirm(`Cancel ${label}? Cancelled orders cannot be reopened.`)) return;
+
+            this.showLoading(true);
+            const tx = await this.market.cancelOrder(side, id);
+            // The OfferCancelled/DemandCancelled event refreshes the lists
+            this.submitTransaction(tx, `Cancel ${label.toLowerCase()}`, `${label} cancelled`);
+
+        } catch (error) {
+            this.handleError(error, `Failed to cancel ${label.toLowerCase()}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Sends one cancel per active order, one wallet prompt after another, and
+    // reports each result; a rejected prompt stops the remaining cancels
+    async cancelAllOrders() {
+        try {
+            if (!await this.requireWallet()) return;
+
+            const filter = { owner: this.userAddress, status: ORDER_STATUS.ACTIVE };
+            const orders = (await this.market.listOffers(filter)).concat(await this.market.listDemands(filter));
+            const items = orders.map(order => ({
+                side: order.side,
+                id: order.id,
+                label: `${order.side === 'offer' ? 'Offer' : 'Demand'} #${order.id}`,
+                state: 'waiting',
+                message: ''
+            }));
+
+            if (items.length === 0) {
+                this.showNotification('You have no active orders to cancel', 'info');
+                return;
+            }
+            if (!window.confirm(`Cancel all ${items.length} of your active orders? Each one needs its own transaction.`)) {
+                return;
+            }
+
+            const tracking = [];
+            for (const item of items) {
+                item.state = 'sending';
+                this.renderCancelProgress(items);
+                try {
+                    this.showLoading(true);
+                    const tx = await this.market.cancelOrder(item.side, item.id);
+                    item.state = 'pending';
+                    tracking.push(this.txTracker.track(tx, `Cancel ${item.label.toLowerCase()}`).then(record => {
+                        item.state = record.status === 'confirmed' ? 'cancelled' : 'failed';
+                        item.message = record.status === 'confirmed' ? '' : (record.error || `transaction ${record.status}`);
+                        this.renderCancelProgress(items);
+                    }));
+                } catch (error) {
+                    const decoded = MarketErrors.decodeError(error);
+                    item.state = 'failed';
+                    item.message = decoded.message;
+                    if (decoded.kind === 'user-rejected') {
+                        items.filter(other => other.state === 'waiting').forEach(other => { other.state = 'skipped'; });
+                        this.renderCancelProgress(items);
+                        break;
+                    }
+                } finally {
+                    this.showLoading(false);
+                }
+                this.renderCancelProgress(items);
             }
 
-            demandsList.innerHTML = demandsHTML;
+            await Promise.all(tracking);
+            const cancelled = items.filter(item => item.state === 'cancelled').length;
+            this.showNotification(`Cancelled ${cancelled} of ${items.length} orders`, cancelled === items.length ? 'success' : 'error');
 
         } catch (error) {
-            console.error('Error loading user demands:', error);
-            this.showNotification('Failed to load your demands', 'error');
+            this.handleError(error, 'Failed to cancel your orders');
         }
     }
 
-    async loadTradeDetails() {
+    renderCancelProgress(items) {
+        const labels = {
+            waiting: 'Waiting',
+            sending: 'Confirm in wallet...',
+            pending: 'Pending',
+            cancelled: 'Cancelled',
+            failed: 'Failed',
+            skipped: 'Skipped'
+        };
+        const done = items.filter(item => ['cancelled', 'failed', 'skipped'].includes(item.state)).length;
+
+        const cancelProgress = document.getElementById('cancelProgress');
+        cancelProgress.classList.remove('hidden');
+        cancelProgress.innerHTML = `
+            <p><strong>Cancelling orders:</strong> ${done} of ${items.length} done</p>
+            <ul>
+                ${items.map(item => `
+                    <li class="cancel-${item.state}">
+                        ${item.label}: ${labels[item.state]}${item.message ? ` - ${item.message}` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    async loadOrderBook() {
         try {
-            if (!this.contract) {
-                this.showNotification('Please connect your wallet first', 'error');
+            if (!this.market) {
+                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
                 return;
             }
 
-            const tradeId = parseInt(document.getElementById('tradeId').value);
-            if (!tradeId) {
-                this.showNotification('Please enter a trade ID', 'error');
+            const orderBookList = document.getElementById('orderBookList');
+            orderBookList.innerHTML = '<p>Loading order book...</p>';
+
+            const sessions = await this.market.getSessionStarts();
+            const entries = await this.market.listOrders({ sessions });
+
+            this.orderBook = { entries, sessions };
+            this.populateSessionFilter();
+            this.renderOrderBook();
+
+        } catch (error) {
+            this.handleError(error, 'Failed to load order book');
+        }
+    }
+
+    populateSessionFilter() {
+        const select = document.getElementById('orderBookSession');
+        const selected = select.value;
+        const sessionIds = [...new Set(this.orderBook.entries.map(entry => entry.sessionId))]
+            .filter(id => id !== null)
+            .sort((a, b) => b - a);
+
+        select.innerHTML = '<option value="all">All Sessions</option>' +
+            sessionIds.map(id => `<option value="${id}">Session ${id}</option>`).join('');
+        select.disabled = !this.orderBook.sessions;
+        if (sessionIds.includes(Number(selected))) select.value = selected;
+    }
+
+    renderOrderBook() {
+        if (!this.orderBook) return;
+
+        const side = document.getElementById('orderBookSide').value;
+        const type = document.getElementById('orderBookType').value;
+        const status = document.getElementById('orderBookStatus').value;
+        const session = document.getElementById('orderBookSession').value;
+
+        // Demands carry no energy type, so a type filter only keeps offers
+        const entries = this.orderBook.entries.filter(entry =>
+            (side === 'all' || entry.side === side) &&
+            (type === 'all' || entry.energyType === Number(type)) &&
+            (status === 'all' || entry.status === Number(status)) &&
+            (session === 'all' || entry.sessionId === Number(session))
+        );
+
+        const pageCount = Math.max(1, Math.ceil(entries.length / ORDER_BOOK_PAGE_SIZE));
+        this.orderBookPage = Math.min(Math.max(1, this.orderBookPage), pageCount);
+        const start = (this.orderBookPage - 1) * ORDER_BOOK_PAGE_SIZE;
+        const page = entries.slice(start, start + ORDER_BOOK_PAGE_SIZE);
+
+        document.getElementById('orderBookPageInfo').textContent =
+            `Page ${this.orderBookPage} of ${pageCount} (${entries.length} entries)`;
+        document.getElementById('orderBookPrev').disabled = this.orderBookPage <= 1;
+        document.getElementById('orderBookNext').disabled = this.orderBookPage >= pageCount;
+
+        const orderBookList = document.getElementById('orderBookList');
+        if (page.length === 0) {
+            orderBookList.innerHTML = '<p>No orders match the selected filters</p>';
+            return;
+        }
+
+        const rows = page.map(entry => {
+            const isMine = this.userAddress && entry.account.toLowerCase() === this.userAddress.toLowerCase();
+            const matchField = entry.side === 'offer' ? 'matchOfferId' : 'matchDemandId';
+            const canSelect = entry.status === ORDER_STATUS.ACTIVE && !isMine;
+            return `
+                <tr>
+                    <td>${entry.side === 'offer' ? 'Offer' : 'Demand'} #${entry.id}</td>
+                    <td title="${entry.account}">${shortAddress(entry.account)}${isMine ? ' (you)' : ''}</td>
+                    <td>${entry.energyType === null ? 'Any' : ENERGY_TYPES[entry.energyType]}</td>
+                    <td>${STATUS_TYPES[entry.status]}</td>
+                    <td>${entry.isPrivate ? 'Yes' : 'No'}</td>
+                    <td>${entry.sessionId === null ? '-' : entry.sessionId}</td>
+                    <td title="${new Date(entry.timestamp * 1000).toLocaleString()}">${formatAge(entry.timestamp)}</td>
+                    <td>${canSelect ? `<button class="btn btn-small" data-match-field="${matchField}" data-id="${entry.id}">Select</button>` : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        orderBookList.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Order</th>
+                        <th>Seller / Buyer</th>
+                        <th>Energy Type</th>
+                        <th>Status</th>
+                        <th>Private</th>
+                        <th>Session</th>
+                        <th>Age</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Copies an order ID into the match form so counterparties no longer have to be guessed
+    selectForMatch(fieldId, id) {
+        document.getElementById(fieldId).value = id;
+        this.switchTab('matching');
+        this.showNotification(`${fieldId === 'matchOfferId' ? 'Offer' : 'Demand'} #${id} selected for matching`, 'info');
+    }
+
+    async loadTradeHistory() {
+        try {
+            if (!this.market) {
+                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
                 return;
             }
 
-            const tradeDetails = await this.contract.trades(tradeId);
-            const tradeDetailsDiv = document.getElementById('tradeDetails');
+            const sessions = await this.market.getSessionStarts();
+            const [trades, orders] = await Promise.all([
+                this.market.listTrades({ sessions }),
+                this.market.listOrders({ sessions })
+            ]);
+
+            this.tradeHistory = { trades, sessions, stats: this.buildSessionStats(sessions, orders, trades) };
+            this.populateTradeSessionFilter();
+            this.renderTradeHistory();
+            document.getElementById('sessionHistoryList').innerHTML = this.sessionTableHtml(sessions, this.tradeHistory.stats);
 
-            const energyTypes = ['Solar', 'Wind', 'Hydro', 'Nuclear'];
+        } catch (error) {
+            this.handleError(error, 'Failed to load trade history');
+        }
+    }
+
+    populateTradeSessionFilter() {
+        const select = document.getElementById('tradeSession');
+        const selected = select.value;
+        const sessionIds = [...new Set(this.tradeHistory.trades.map(trade => trade.sessionId))]
+            .filter(id => id !== null)
+            .sort((a, b) => b - a);
+
+        select.innerHTML = '<option value="all">All Sessions</option>' +
+            sessionIds.map(id => `<option value="${id}">Session ${id}</option>`).join('');
+        select.disabled = !this.tradeHistory.sessions;
+        if (sessionIds.includes(Number(selected))) select.value = selected;
+    }
+
+    renderTradeHistory() {
+        if (!this.tradeHistory) return;
+
+        const scope = document.getElementById('tradeScope').value;
+        const state = document.getElementById('tradeState').value;
+        const type = document.getElementById('tradeType').value;
+        const session = document.getElementById('tradeSession').value;
+        const counterparty = document.getElementById('tradeCounterparty').value.trim().toLowerCase();
+        const [sortKey, sortDirection] = document.getElementById('tradeSort').value.split('-');
+
+        const trades = this.tradeHistory.trades.filter(trade => {
+            const isMine = this.isCurrentUser(trade.seller) || this.isCurrentUser(trade.buyer);
+            if (scope === 'mine' && !isMine) return false;
+            if (state === 'pending' && trade.completed) return false;
+            if (state === 'completed' && !trade.completed) return false;
+            if (type !== 'all' && trade.energyType !== Number(type)) return false;
+            if (session !== 'all' && trade.sessionId !== Number(session)) return false;
+            if (counterparty) {
+                // For my trades only the other side counts as the counterparty
+                const parties = isMine && scope === 'mine'
+                    ? [this.isCurrentUser(trade.seller) ? trade.buyer : trade.seller]
+                    : [trade.seller, trade.buyer];
+                if (!parties.some(address => address.toLowerCase().includes(counterparty))) return false;
+            }
+            return true;
+        });
+
+        const sortFields = { time: 'timestamp', price: 'tradePrice', amount: 'energyAmount' };
+        const field = sortFields[sortKey];
+        trades.sort((a, b) => (sortDirection === 'asc' ? 1 : -1) * (a[field] - b[field] || a.id - b.id));
+
+        const tradeHistoryList = document.getElementById('tradeHistoryList');
+        if (trades.length === 0) {
+            tradeHistoryList.innerHTML = '<p>No trades match the selected filters</p>';
+            return;
+        }
 
-            tradeDetailsDiv.innerHTML = `
+        const rows = trades.map(trade => {
+            let role = '-';
+            if (this.isCurrentUser(trade.seller)) role = 'Seller';
+            if (this.isCurrentUser(trade.buyer)) role = 'Buyer';
+            return `
+                <tr class="clickable" data-trade-id="${trade.id}">
+                    <td>#${trade.id}</td>
+                    <td>${role}</td>
+                    <td title="${trade.seller}">${shortAddress(trade.seller)}</td>
+                    <td title="${trade.buyer}">${shortAddress(trade.buyer)}</td>
+                    <td>${ENERGY_TYPES[trade.energyType]}</td>
+                    <td>${trade.completed ? `${trade.energyAmount} kWh` : '-'}</td>
+                    <td>${trade.completed ? `${trade.tradePrice} wei/kWh` : '-'}</td>
+                    <td>${trade.sessionId === null ? '-' : trade.sessionId}</td>
+                    <td>${new Date(trade.timestamp * 1000).toLocaleString()}</td>
+                    <td>${trade.completed ? 'Completed' : 'Pending'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        tradeHistoryList.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Trade</th>
+                        <th>My Role</th>
+                        <th>Seller</th>
+                        <th>Buyer</th>
+                        <th>Energy Type</th>
+                        <th>Amount</th>
+                        <th>Price</th>
+                        <th>Session</th>
+                        <th>Matched</th>
+                        <th>State</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    async showTradeDetails(tradeId) {
+        try {
+            const tradeDetails = await this.market.getTrade(tradeId);
+            const entry = this.tradeHistory && this.tradeHistory.trades.find(trade => trade.id === tradeId);
+
+            document.getElementById('tradeDrawerContent').innerHTML = `
                 <div class="trade-item">
                     <h3>Trade #${tradeId}</h3>
                     <div class="trade-info">
-                        <p><strong>Offer ID:</strong> ${tradeDetails.offerId.toString()}</p>
-                        <p><strong>Demand ID:</strong> ${tradeDetails.demandId.toString()}</p>
+                        <p><strong>Offer ID:</strong> ${tradeDetails.offerId}</p>
+                        <p><strong>Demand ID:</strong> ${tradeDetails.demandId}</p>
                         <p><strong>Seller:</strong> ${tradeDetails.seller}</p>
                         <p><strong>Buyer:</strong> ${tradeDetails.buyer}</p>
                         <p><strong>Energy Amount:</strong> ${tradeDetails.energyAmount} kWh</p>
                         <p><strong>Trade Price:</strong> ${tradeDetails.tradePrice} wei/kWh</p>
-                        <p><strong>Energy Type:</strong> ${energyTypes[tradeDetails.energyType]}</p>
+                        <p><strong>Energy Type:</strong> ${ENERGY_TYPES[tradeDetails.energyType]}</p>
                         <p><strong>Timestamp:</strong> ${new Date(tradeDetails.timestamp * 1000).toLocaleString()}</p>
-                        <p><strong>Completed:</strong> ${tradeDetails.completed ? 'Yes' : 'No'}</p>
+                        <p><strong>Completed:</strong> ${tradeDetails.completed ? 'Yes' : 'No (awaiting decryption)'}</p>
+                        <p><strong>Session:</strong> ${entry && entry.sessionId !== null ? entry.sessionId : '-'}</p>
+                        <p><strong>Match Tx:</strong> <code>${entry && entry.matchedTx ? entry.matchedTx : '-'}</code></p>
+                        <p><strong>Settlement Tx:</strong> <code>${entry && entry.completedTx ? entry.completedTx : '-'}</code></p>
                     </div>
                 </div>
             `;
+            document.getElementById('tradeDrawer').classList.remove('hidden');
 
         } catch (error) {
-            console.error('Error loading trade details:', error);
-            this.showNotification('Failed to load trade details', 'error');
+            this.handleError(error, 'Failed to load trade details');
         }
     }
 
-    async addCredits() {
+    closeTradeDetails() {
+        document.getElementById('tradeDrawer').classList.add('hidden');
+    }
+
+    async loadAnalytics() {
         try {
-            if (!this.contract) {
-                this.showNotification('Please connect your wallet first', 'error');
+            if (!this.market) {
+                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
                 return;
             }
 
-            const amount = parseInt(document.getElementById('creditsAmount').value);
-            if (!amount || amount <= 0) {
-                this.showNotification('Please enter a valid amount', 'error');
+            const sessions = await this.market.getSessionStarts();
+            const [trades, orders] = await Promise.all([
+                this.market.listTrades({ sessions }),
+                this.market.listOrders({ sessions })
+            ]);
+
+            this.analytics = { trades, orders, sessions };
+            this.renderAnalytics();
+
+        } catch (error) {
+            this.handleError(error, 'Failed to load analytics');
+        }
+    }
+
+    renderAnalytics() {
+        if (!this.analytics) return;
+
+        const type = document.getElementById('analyticsType').value;
+        const summary = MarketAnalytics.summarize({
+            trades: this.analytics.trades,
+            orders: this.analytics.orders,
+            energyType: type === 'all' ? null : Number(type)
+        });
+        const { overall } = summary;
+
+        document.getElementById('analyticsSummary').innerHTML = `
+            <div class="status-grid">
+                <div class="status-item">
+                    <label>Completed Trades:</label>
+                    <span>${overall.trades}</span>
+                </div>
+                <div class="status-item">
+                    <label>Energy Traded:</label>
+                    <span>${overall.energy} kWh</span>
+                </div>
+                <div class="status-item">
+                    <label>VWAP:</label>
+                    <span>${formatPrice(overall.vwap)}</span>
+                </div>
+                <div class="status-item">
+                    <label>Price Range:</label>
+                    <span>${overall.min === null ? '-' : `${overall.min} - ${overall.max} wei/kWh`}</span>
+                </div>
+            </div>
+        `;
+
+        // Times of day while all trades fit in two days, dates beyond that
+        const times = summary.prices.flatMap(series => series.points.map(point => point.time));
+        const shortSpan = times.length > 0 && Math.max(...times) - Math.min(...times) < 2 * 86400;
+        const priceChart = SvgCharts.lineChart({
+            label: 'Clearing price over time',
+            series: summary.prices.map(series => ({
+                name: series.name,
+                color: ENERGY_COLORS[series.type],
+                points: series.points.map(point => ({
+                    x: point.time,
+                    y: point.price,
+                    label: `Trade #${point.tradeId} (${series.name}): ${point.amount} kWh at ${point.price} wei/kWh`
+                }))
+            })),
+            formatX: time => shortSpan
+                ? new Date(time * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : new Date(time * 1000).toLocaleDateString(),
+            formatY: value => `${value}`
+        });
+        document.getElementById('priceChart').innerHTML = priceChart || '<p>No completed trades yet</p>';
+
+        const logsMissing = '<p>Per-session figures need event logs, which the current provider cannot serve</p>';
+        const volumeChart = SvgCharts.barChart({
+            label: 'Traded kWh per session',
+            categories: summary.sessions.map(session => `#${session.sessionId}`),
+            series: summary.prices.map(series => ({
+                name: series.name,
+                color: ENERGY_COLORS[series.type],
+                values: summary.sessions.map(session => session.byType[series.type].energy)
+            })),
+            formatY: value => `${value} kWh`
+        });
+        document.getElementById('volumeChart').innerHTML = !this.analytics.sessions
+            ? logsMissing
+            : volumeChart || '<p>No trades yet</p>';
+        document.getElementById('sessionPriceList').innerHTML = !this.analytics.sessions
+            ? logsMissing
+            : this.sessionPriceTableHtml(summary.sessions, type === 'all' ? null : Number(type));
+
+        const statusChart = SvgCharts.barChart({
+            label: 'Orders by status',
+            height: 220,
+            categories: ['Offers', 'Demands'],
+            series: ['open', 'matched', 'cancelled'].map(status => ({
+                name: status.charAt(0).toUpperCase() + status.slice(1),
+                color: ORDER_STATUS_COLORS[status],
+                values: [summary.orders.offers[status], summary.orders.demands[status]]
+            }))
+        });
+        const counts = side => `${side.open} open, ${side.matched} matched, ${side.cancelled} cancelled`;
+        document.getElementById('orderStatusChart').innerHTML = `
+            ${statusChart}
+            <p class="chart-note">Offers: ${counts(summary.orders.offers)}. Demands: ${counts(summary.orders.demands)}.</p>
+        `;
+    }
+
+    // One row per energy type traded in a session, led by the session's total
+    sessionPriceTableHtml(sessions, energyType) {
+        if (sessions.length === 0) return '<p>No trades yet</p>';
+
+        const row = (sessionId, label, stats, pending) => `
+            <tr>
+                <td>${sessionId === null ? '' : `#${sessionId}`}</td>
+                <td>${label}</td>
+                <td>${stats.trades}</td>
+                <td>${stats.energy} kWh</td>
+                <td>${formatPrice(stats.vwap)}</td>
+                <td>${formatPrice(stats.min)}</td>
+                <td>${formatPrice(stats.max)}</td>
+                <td>${pending === null ? '' : pending}</td>
+            </tr>
+        `;
+        const rows = sessions.map(session => {
+            const types = session.byType
+                .map((stats, type) => ({ stats, type }))
+                .filter(({ stats }) => stats.trades > 0);
+            let label = energyType === null ? 'All types' : ENERGY_TYPES[energyType];
+            if (types.length === 1) label = ENERGY_TYPES[types[0].type];
+            return `<tbody class="session-group">
+                ${row(session.sessionId, label, session.total, session.pending)}
+                ${types.length > 1 ? types.map(({ stats, type }) => row(null, ENERGY_TYPES[type], stats, null)).join('') : ''}
+            </tbody>`;
+        }).join('');
+
+        return `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Session</th>
+                        <th>Energy Type</th>
+                        <th>Trades</th>
+                        <th>Energy</th>
+                        <th>VWAP</th>
+                        <th>Min Price</th>
+                        <th>Max Price</th>
+                        <th>Pending</th>
+                    </tr>
+                </thead>
+                ${rows}
+            </table>
+        `;
+    }
+
+    async loadPortfolio() {
+        try {
+            if (!this.market || !this.userAddress) {
+                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
                 return;
             }
 
-            this.showLoading(true);
+            const sessions = await this.market.getSessionStarts();
+            const [trades, credits] = await Promise.all([
+                this.market.listTrades({ sessions }),
+                this.market.getCredits()
+            ]);
+            // addCredits leaves no event; past balances place the top-ups between trades
+            const blocks = Portfolio.balanceBlocks(trades, this.userAddress);
+            const balances = blocks && blocks.length > 0 ? await this.market.getCreditsAt(blocks) : null;
+
+            this.portfolio = Portfolio.buildPortfolio({
+                account: this.userAddress,
+                trades,
+                credits: Number(credits),
+                balances
+            });
+            this.renderPortfolio();
+
+        } catch (error) {
+            this.handleError(error, 'Failed to load portfolio');
+        }
+    }
+
+    renderPortfolio() {
+        const portfolio = this.portfolio;
+        if (!portfolio) return;
+
+        document.getElementById('portfolioSummary').innerHTML = `
+            <div class="status-grid">
+                <div class="status-item">
+                    <label>Credits:</label>
+                    <span>${portfolio.credits} wei</span>
+                </div>
+                <div class="status-item">
+                    <label>Received:</label>
+                    <span>${portfolio.total.received} wei</span>
+                </div>
+                <div class="status-item">
+                    <label>Paid:</label>
+                    <span>${portfolio.total.paid} wei</span>
+                </div>
+                <div class="status-item">
+                    <label>Top-ups:</label>
+                    <span>${portfolio.topUps} wei</span>
+                </div>
+            </div>
+            <p class="chart-note">
+                Top-ups + received - paid = ${portfolio.topUps + portfolio.total.received - portfolio.total.paid} wei, your current credits.
+                ${portfolio.exact ? '' : 'Past balances are unavailable from this provider, so top-ups are shown as one entry before your trades.'}
+            </p>
+        `;
+
+        const positionCells = position => `
+            <td>${position.trades}</td>
+            <td>${position.boughtKWh} kWh</td>
+            <td>${formatPrice(position.averagePaid)}</td>
+            <td>${position.soldKWh} kWh</td>
+            <td>${formatPrice(position.averageReceived)}</td>
+            <td class="${position.net < 0 ? 'amount-negative' : 'amount-positive'}">${position.net} wei</td>
+        `;
+        const positionHead = `
+            <th>Trades</th>
+            <th>Bought</th>
+            <th>Avg Paid</th>
+            <th>Sold</th>
+            <th>Avg Received</th>
+            <th>Net</th>
+        `;
+
+        const types = portfolio.byType
+            .map((position, type) => ({ position, type }))
+            .filter(({ position }) => position.trades > 0);
+        document.getElementById('portfolioTypeList').innerHTML = types.length === 0 ? '<p>No settled trades yet</p>' : `
+            <table class="data-table">
+                <thead><tr><th>Energy Type</th>${positionHead}</tr></thead>
+                <tbody>
+                    ${types.map(({ position, type }) => `<tr><td>${ENERGY_TYPES[type]}</td>${positionCells(position)}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+
+        document.getElementById('portfolioSessionList').innerHTML = portfolio.bySession.length === 0
+            ? (portfolio.total.trades > 0
+                ? '<p>Per-session figures need event logs, which the current provider cannot serve</p>'
+                : '<p>No settled trades yet</p>')
+            : `
+            <table class="data-table">
+                <thead><tr><th>Session</th>${positionHead}</tr></thead>
+                <tbody>
+                    ${portfolio.bySession.map(session => `<tr><td>#${session.sessionId}</td>${positionCells(session)}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const kinds = { 'top-up': 'Top-up', purchase: 'Purchase', sale: 'Sale', unexplained: 'Unexplained' };
+        // Newest first, like the other lists
+        const rows = [...portfolio.ledger].reverse().map(entry => `
+            <tr${entry.tradeId === null ? '' : ` class="clickable" data-trade-id="${entry.tradeId}"`}>
+                <td>${entry.blockNumber === null ? '-' : entry.blockNumber}</td>
+                <td>${kinds[entry.kind]}${entry.inferred ? ' <span class="ledger-inferred">(inferred)</span>' : ''}</td>
+                <td>${entry.tradeId === null ? '' : `#${entry.tradeId}`}</td>
+                <td>${entry.energyType === null ? '' : ENERGY_TYPES[entry.energyType]}</td>
+                <td>${entry.tradeId === null ? '' : `${entry.energyAmount} kWh @ ${entry.tradePrice} wei/kWh`}</td>
+                <td class="${entry.change < 0 ? 'amount-negative' : 'amount-positive'}">${entry.change > 0 ? '+' : ''}${entry.change}</td>
+                <td>${entry.balance}</td>
+            </tr>
+        `).join('');
+        document.getElementById('ledgerList').innerHTML = portfolio.ledger.length === 0 ? '<p>No credits yet</p>' : `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Block</th>
+                        <th>Entry</th>
+                        <th>Trade</th>
+                        <th>Energy Type</th>
+                        <th>Energy</th>
+                        <th>Change</th>
+                        <th>Balance</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    async fetchUserOrders() {
+        const sessions = await this.market.getSessionStarts();
+        const [offers, demands] = await Promise.all([
+            this.market.listOffers({ owner: this.userAddress, sessions }),
+            this.market.listDemands({ owner: this.userAddress, sessions })
+        ]);
+        return { offers, demands };
+    }
+
+    async exportData(format) {
+        try {
+            if (!this.market || !this.userAddress) {
+                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
+                return;
+            }
+
+            const dataset = document.getElementById('exportDataset').value;
+            const fromValue = document.getElementById('exportFrom').value;
+            const toValue = document.getElementById('exportTo').value;
+            const sessionValue = document.getElementById('exportSession').value;
+
+            // Date inputs are local calendar days; the end date is inclusive
+            const filters = {
+                from: fromValue ? new Date(`${fromValue}T00:00:00`) : null,
+                to: toValue ? new Date(`${toValue}T23:59:59.999`) : null,
+                sessionId: sessionValue ? parseInt(sessionValue) : null
+            };
+
+            let rows;
+            let columns;
+            if (dataset === 'trades') {
+                if (!this.tradeHistory) await this.loadTradeHistory();
+                if (!this.tradeHistory) return;
+                rows = MarketExport.tradeRows(this.tradeHistory.trades, this.userAddress);
+                columns = MarketExport.TRADE_COLUMNS;
+            } else {
+                const orders = await this.fetchUserOrders();
+                if (dataset === 'offers') {
+                    rows = MarketExport.offerRows(orders.offers);
+                    columns = MarketExport.OFFER_COLUMNS;
+                } else {
+                    rows = MarketExport.demandRows(orders.demands);
+                    columns = MarketExport.DEMAND_COLUMNS;
+                }
+            }
+            rows = MarketExport.filterRows(rows, filters);
+
+            const date = new Date().toISOString().slice(0, 10);
+            const filename = `energy-${dataset}-${this.userAddress.slice(2, 8)}-${date}.${format}`;
+            if (format === 'csv') {
+                this.downloadFile(filename, MarketExport.toCsv(columns, rows), 'text/csv');
+            } else {
+                const meta = {
+                    account: this.userAddress,
+                    exportedAt: new Date().toISOString(),
+                    filters: {
+                        from: filters.from ? filters.from.toISOString() : null,
+                        to: filters.to ? filters.to.toISOString() : null,
+                        sessionId: filters.sessionId
+                    }
+                };
+                this.downloadFile(filename, MarketExport.toJson(dataset, rows, meta), 'application/json');
+            }
+
+            this.showNotification(`Exported ${rows.length} ${dataset} to ${format.toUpperCase()}`, 'success');
+
+        } catch (error) {
+            this.handleError(error, 'Failed to export data');
+        }
+    }
+
+    // Saved factors, or the defaults when there are none or they cannot be read
+    loadEmissionFactors() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(EMISSION_FACTORS_KEY));
+            // Factors saved before they were keyed by type name fail this and fall back to the defaults
+            if (saved) return MarketValidation.validateEmissionFactors(saved);
+        } catch (error) {
+            console.error('Error reading emission factors:', error);
+        }
+        return SourcingReport.DEFAULT_EMISSION_FACTORS;
+    }
+
+    showEmissionFactors(factors) {
+        document.getElementById('factorBaseline').value = factors.baseline;
+        ENERGY_TYPES.forEach(name => {
+            document.getElementById(`factor${name}`).value = factors.byType[name];
+        });
+    }
+
+    async sourcingReport(format) {
+        try {
+            if (!this.market || !this.userAddress) {
+                this.showNotification('Please connect your wallet first or enable demo mode', 'error');
+                return;
+            }
+
+            const fromValue = document.getElementById('reportFrom').value;
+            const toValue = document.getElementById('reportTo').value;
+            const sessionIds = MarketValidation.validateSessionSet(document.getElementById('reportSessions').value);
+            const emissionFactors = MarketValidation.validateEmissionFactors({
+                baseline: document.getElementById('factorBaseline').value,
+                byType: Object.fromEntries(ENERGY_TYPES.map(name => [name, document.getElementById(`factor${name}`).value]))
+            });
+            window.localStorage.setItem(EMISSION_FACTORS_KEY, JSON.stringify(emissionFactors));
+
+            if (!this.tradeHistory) await this.loadTradeHistory();
+            if (!this.tradeHistory) return;
+
+            // Date inputs are local calendar days; the end date is inclusive
+            const report = SourcingReport.buildReport({
+                account: this.userAddress,
+                trades: this.tradeHistory.trades,
+                from: fromValue ? new Date(`${fromValue}T00:00:00`) : null,
+                to: toValue ? new Date(`${toValue}T23:59:59.999`) : null,
+                sessionIds,
+                emissionFactors,
+                market: this.demoMode
+                    ? { network: 'Demo mode (simulated market)', chainId: null, contract: null }
+                    : { network: this.deployment.name, chainId: this.deployment.chainId, contract: this.contractAddress }
+            });
+
+            const percent = report.renewableShare === null ? '-' : `${(report.renewableShare * 100).toFixed(1)}%`;
+            document.getElementById('reportSummary').innerHTML = `
+                <div class="status-grid">
+                    <div class="status-item">
+                        <label>Purchased:</label>
+                        <span>${report.totalKWh} kWh in ${report.evidence.length} trades</span>
+                    </div>
+                    <div class="status-item">
+                        <label>Renewable:</label>
+                        <span>${report.renewableKWh} kWh (${percent})</span>
+                    </div>
+                    <div class="status-item">
+                        <label>CO2 Avoided:</label>
+                        <span>${report.co2AvoidedKg} kg (est.)</span>
+                    </div>
+                </div>
+                <p class="chart-note">${report.byType.filter(entry => entry.kWh > 0)
+                    .map(entry => `${entry.name}: ${entry.kWh} kWh (${entry.tradeIds.map(id => `#${id}`).join(', ')})`)
+                    .join(' · ') || 'No completed purchases match these filters.'}</p>
+            `;
+            if (format === 'preview') return;
 
-            const tx = await this.contract.addCredits(amount, { value: 0 });
-            await tx.wait();
+            const date = new Date().toISOString().slice(0, 10);
+            const filename = `energy-sourcing-${this.userAddress.slice(2, 8)}-${date}.${format}`;
+            if (format === 'html') {
+                this.downloadFile(filename, SourcingReport.toHtml(report), 'text/html');
+            } else {
+                this.downloadFile(filename, SourcingReport.toJson(report), 'application/json');
+            }
+            this.showNotification(`Sourcing report downloaded as ${format.toUpperCase()}`, 'success');
 
-            this.showNotification('Credits added successfully!', 'success');
+        } catch (error) {
+            this.handleError(error, 'Failed to build the sourcing report');
+        }
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async addCredits() {
+        try {
+            if (!await this.requireWallet()) return;
+
+            const amount = MarketValidation.validateCredits(document.getElementById('creditsAmount').value);
+
+            this.showLoading(true);
+
+            const tx = await this.market.addCredits(amount);
+            this.submitTransaction(tx, `Add ${amount} credits`, 'Credits added successfully!',
+                () => this.loadUserCredits());
             document.getElementById('creditsAmount').value = '';
-            await this.loadUserCredits();
 
         } catch (error) {
-            console.error('Error adding credits:', error);
-            this.showNotification('Failed to add credits', 'error');
+            this.handleError(error, 'Failed to add credits');
         } finally {
             this.showLoading(false);
         }
     }
 
+    // Hands a sent transaction to the tracker so the UI stays usable while it
+    // confirms; the loading overlay only covers the wallet prompt
+    submitTransaction(tx, action, successMessage, onConfirmed = null) {
+        this.showNotification(`${action}: transaction submitted`, 'info');
+        const market = this.market;
+
+        this.txTracker.track(tx, action).then(async record => {
+            if (record.status === 'confirmed') {
+                // Reads cached for an earlier block must not hide the new state
+                market.clearCache();
+                this.showNotification(successMessage, 'success');
+                if (onConfirmed) await onConfirmed();
+            } else if (record.status === 'failed') {
+                this.handleError({ code: 'CALL_EXCEPTION', reason: record.error || null }, action);
+            } else {
+                this.showNotification(`${action}: transaction was replaced or cancelled in the wallet`, 'info');
+            }
+        }).catch(error => this.handleError(error, action));
+    }
+
+    renderTransactions() {
+        const txList = document.getElementById('txList');
+        const records = this.txTracker.records;
+        if (records.length === 0) {
+            txList.innerHTML = '<p>No transactions yet</p>';
+            return;
+        }
+
+        const statusLabels = {
+            pending: 'Pending',
+            confirmed: 'Confirmed',
+            failed: 'Failed',
+            replaced: 'Replaced'
+        };
+
+        txList.innerHTML = records.map(record => {
+            const link = this.txTracker.explorerLink(record);
+            const hash = `${record.hash.slice(0, 10)}...${record.hash.slice(-6)}`;
+            const notes = [];
+            if (record.spedUp) notes.push('sped up');
+            if (record.status === 'replaced' && record.replacedBy) notes.push(`by ${record.replacedBy.slice(0, 10)}...`);
+            if (record.status === 'failed' && record.error) notes.push(record.error);
+            return `
+                <div class="tx-item">
+                    <div class="tx-main">
+                        <strong>${record.action}</strong>
+                        <span class="tx-status ${record.status}">${statusLabels[record.status]}${notes.length ? ` (${notes.join(', ')})` : ''}</span>
+                    </div>
+                    <div class="tx-meta">
+                        ${link ? `<a href="${link}" target="_blank" rel="noopener">${hash}</a>` : `<code>${hash}</code>`}
+                        <span>${record.confirmations} confirmation${record.confirmations === 1 ? '' : 's'}</span>
+                        <span>${new Date(record.submittedAt).toLocaleTimeString()}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Central error reporting for every action: decodes reverts, wallet
+    // rejections, gas estimation and RPC failures into a specific message
+    handleError(error, action) {
+        const decoded = MarketErrors.decodeError(error);
+        console.error(`${action}:`, decoded.reason || decoded.kind, error);
+
+        const type = decoded.kind === 'user-rejected' ? 'info' : 'error';
+        this.showNotification(MarketErrors.describeError(decoded, action), type);
+        return decoded;
+    }
+
     showNotification(message, type = 'info') {
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
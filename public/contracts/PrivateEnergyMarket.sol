@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint32, euint64, ebool, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
 
 contract PrivateEnergyMarket is SepoliaConfig {
@@ -91,19 +91,67 @@ contract PrivateEnergyMarket is SepoliaConfig {
         emit MarketSessionStarted(marketSessionId, sessionStartTime);
     }
 
-    // Create private energy offer
+    // Create energy offer from plaintext values. These sit in calldata, so the
+    // offer is always public; private offers go through createEncryptedEnergyOffer
     function createEnergyOffer(
         uint32 _energyAmount,
         uint32 _pricePerKWh,
         EnergyType _energyType,
         bool _isPrivate
     ) external onlyDuringMarketHours {
+        require(!_isPrivate, "Private orders must be encrypted");
         require(_energyAmount > 0, "Energy amount must be positive");
         require(_pricePerKWh > 0, "Price must be positive");
 
-        euint32 encryptedAmount = FHE.asEuint32(_energyAmount);
-        euint32 encryptedPrice = FHE.asEuint32(_pricePerKWh);
+        _storeOffer(FHE.asEuint32(_energyAmount), FHE.asEuint32(_pricePerKWh), _energyType, false);
+    }
+
+    // Create private energy offer from values encrypted client-side; always
+    // stored as private, since the client encrypted them to keep them secret
+    function createEncryptedEnergyOffer(
+        externalEuint32 _encryptedAmount,
+        externalEuint32 _encryptedPrice,
+        EnergyType _energyType,
+        bytes calldata _inputProof
+    ) external onlyDuringMarketHours {
+        // Positivity cannot be checked on ciphertexts; a zero amount simply yields an empty trade
+        euint32 encryptedAmount = FHE.fromExternal(_encryptedAmount, _inputProof);
+        euint32 encryptedPrice = FHE.fromExternal(_encryptedPrice, _inputProof);
+
+        _storeOffer(encryptedAmount, encryptedPrice, _energyType, true);
+    }
+
+    // Create energy demand from plaintext values; always public, like createEnergyOffer
+    function createEnergyDemand(
+        uint32 _energyNeeded,
+        uint32 _maxPricePerKWh,
+        bool _isPrivate
+    ) external onlyDuringMarketHours {
+        require(!_isPrivate, "Private orders must be encrypted");
+        require(_energyNeeded > 0, "Energy needed must be positive");
+        require(_maxPricePerKWh > 0, "Max price must be positive");
+
+        _storeDemand(FHE.asEuint32(_energyNeeded), FHE.asEuint32(_maxPricePerKWh), false);
+    }
+
+    // Create private energy demand from values encrypted client-side; always private
+    function createEncryptedEnergyDemand(
+        externalEuint32 _encryptedNeeded,
+        externalEuint32 _encryptedMaxPrice,
+        bytes calldata _inputProof
+    ) external onlyDuringMarketHours {
+        euint32 encryptedNeeded = FHE.fromExternal(_encryptedNeeded, _inputProof);
+        euint32 encryptedMaxPrice = FHE.fromExternal(_encryptedMaxPrice, _inputProof);
+
+        _storeDemand(encryptedNeeded, encryptedMaxPrice, true);
+    }
 
+    function _storeOffer(
+        euint32 encryptedAmount,
+        euint32 encryptedPrice,
+        EnergyType _energyType,
+        bool _isPrivate
+    ) internal {
         energyOffers[nextOfferId] = EnergyOffer({
             seller: msg.sender,
             energyAmount: encryptedAmount,
@@ -119,30 +167,23 @@ contract PrivateEnergyMarket is SepoliaConfig {
         // Set access permissions
         FHE.allowThis(encryptedAmount);
         FHE.allowThis(encryptedPrice);
+        FHE.allow(encryptedAmount, msg.sender);
+        FHE.allow(encryptedPrice, msg.sender);
         if (!_isPrivate) {
-            FHE.allow(encryptedAmount, address(0)); // Public visibility
-            FHE.allow(encryptedPrice, address(0));
-        } else {
-            FHE.allow(encryptedAmount, msg.sender);
-            FHE.allow(encryptedPrice, msg.sender);
+            // Anyone may read public values through the relayer's public decryption
+            FHE.makePubliclyDecryptable(encryptedAmount);
+            FHE.makePubliclyDecryptable(encryptedPrice);
         }
 
         emit EnergyOfferCreated(nextOfferId, msg.sender, _energyType);
         nextOfferId++;
     }
 
-    // Create private energy demand
-    function createEnergyDemand(
-        uint32 _energyNeeded,
-        uint32 _maxPricePerKWh,
+    function _storeDemand(
+        euint32 encryptedNeeded,
+        euint32 encryptedMaxPrice,
         bool _isPrivate
-    ) external onlyDuringMarketHours {
-        require(_energyNeeded > 0, "Energy needed must be positive");
-        require(_maxPricePerKWh > 0, "Max price must be positive");
-
-        euint32 encryptedNeeded = FHE.asEuint32(_energyNeeded);
-        euint32 encryptedMaxPrice = FHE.asEuint32(_maxPricePerKWh);
-
+    ) internal {
         energyDemands[nextDemandId] = EnergyDemand({
             buyer: msg.sender,
             energyNeeded: encryptedNeeded,
@@ -157,12 +198,12 @@ contract PrivateEnergyMarket is SepoliaConfig {
         // Set access permissions
         FHE.allowThis(encryptedNeeded);
         FHE.allowThis(encryptedMaxPrice);
+        FHE.allow(encryptedNeeded, msg.sender);
+        FHE.allow(encryptedMaxPrice, msg.sender);
         if (!_isPrivate) {
-            FHE.allow(encryptedNeeded, address(0)); // Public visibility
-            FHE.allow(encryptedMaxPrice, address(0));
-        } else {
-            FHE.allow(encryptedNeeded, msg.sender);
-            FHE.allow(encryptedMaxPrice, msg.sender);
+            // Anyone may read public values through the relayer's public decryption
+            FHE.makePubliclyDecryptable(encryptedNeeded);
+            FHE.makePubliclyDecryptable(encryptedMaxPrice);
         }
 
         emit EnergyDemandCreated(nextDemandId, msg.sender);
@@ -0,0 +1,209 @@
+// Deployments - which chain and contract the app and tools talk to
+//
+// Built-in profiles cover the Sepolia deployment and a local dev chain. An
+// optional deployments.json next to index.html changes them or adds more,
+// and the URL picks one: ?network=local, or
+// ?network=custom&chainId=31337&rpc=http://127.0.0.1:8545&contract=0x...
+// Links may only change the chain, RPC or contract of the dev profiles.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'), require('./market-errors.js'));
+    } else {
+        root.MarketDeployments = factory(root.MarketAbi, root.MarketErrors);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi, MarketErrors) {
+    const ETHER = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+    const DEFAULT_PROFILE = 'sepolia';
+    // Profiles a link may point at another chain, RPC or contract
+    const LINK_OVERRIDABLE = ['local', 'custom'];
+
+    /**
+     * @typedef {object} Deployment
+     * @property {string} id
+     * @property {string} name - shown in the UI and offered to the wallet as chainName
+     * @property {number} chainId
+     * @property {string} address - market contract address
+     * @property {string|null} rpcUrl - offered to the wallet when it does not know the chain
+     * @property {string|null} explorerUrl
+     * @property {{ name: string, symbol: string, decimals: number }} nativeCurrency
+     * @property {'relayer'|'mock'} fhe - FHE backend; dev chains have no relayer
+     * @property {number|null} startBlock - block the contract was deployed in; event scans start there.
+     *   null when it was not recorded: the scans look it up from the contract code
+     * @property {string[]} overrides - which of chainId, rpc and contract the params replaced
+     */
+    const PROFILES = {
+        sepolia: {
+            id: 'sepolia',
+            name: 'Sepolia',
+            chainId: 11155111,
+            address: MarketAbi.MARKET_ADDRESS,
+            rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+            explorerUrl: 'https://sepolia.etherscan.io',
+            nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+            fhe: 'relayer',
+            // Not recorded for this deployment: looked up once per event index
+            // (findDeploymentBlock). Set it in deployments.json to skip the lookup
+            startBlock: null
+        },
+        local: {
+            id: 'local',
+            name: 'Local dev chain',
+            chainId: 31337,
+            // Set by deployments.json or ?contract= after deploying locally
+            address: null,
+            rpcUrl: 'http://127.0.0.1:8545',
+            explorerUrl: null,
+            nativeCurrency: ETHER,
+            fhe: 'mock',
+            startBlock: 0
+        }
+    };
+
+    function invalid(message, suggestion) {
+        return new MarketErrors.MarketError('invalid-deployment', message, { suggestion });
+    }
+
+    function paramsFromSearch(search) {
+        const params = new URLSearchParams(search);
+        const result = {};
+        ['network', 'chainId', 'rpc', 'contract'].forEach(key => {
+            if (params.get(key)) result[key] = params.get(key);
+        });
+        return result;
+    }
+
+    /**
+     * Picks the profile named by `params.network`, else the config's
+     * `default`, else Sepolia. Config profiles are merged over the built-in
+     * profile of the same id; `params.chainId`, `rpc` and `contract` override
+     * the chosen profile last. Throws a MarketError when the result is unusable.
+     * `fromLink` marks params read from the page URL, which anyone can craft:
+     * those overrides are refused except for the local and custom profiles.
+     * @returns {Deployment}
+     */
+    function resolveDeployment({ params = {}, config = null, fromLink = false } = {}) {
+        const profiles = { ...PROFILES };
+        Object.entries((config && config.profiles) || {}).forEach(([id, profile]) => {
+            const base = profiles[id] || { name: id, rpcUrl: null, explorerUrl: null, nativeCurrency: ETHER, fhe: 'relayer', startBlock: null };
+            profiles[id] = { ...base, ...profile, id };
+        });
+
+        const id = params.network || (config && config.default) || DEFAULT_PROFILE;
+        let profile = profiles[id];
+        if (!profile && id === 'custom') {
+            profile = { id, name: 'Custom network', chainId: null, address: null, rpcUrl: null, explorerUrl: null, nativeCurrency: ETHER, fhe: 'relayer', startBlock: null };
+        }
+        if (!profile) {
+            throw invalid(`Unknown network "${id}"`, `Use one of: ${Object.keys(profiles).concat('custom').join(', ')}.`);
+        }
+
+        const overrides = ['chainId', 'rpc', 'contract'].filter(key => params[key]);
+        if (fromLink && overrides.length > 0 && !LINK_OVERRIDABLE.includes(id)) {
+            throw invalid(`This link changes the ${overrides.join(', ')} of ${profile.name}`,
+                'Open the app without the chainId, rpc and contract parameters, or use network=custom to try another deployment.');
+        }
+
+        profile = { ...profile, overrides };
+        if (params.chainId) profile.chainId = Number(params.chainId);
+        if (params.rpc) profile.rpcUrl = params.rpc;
+        if (params.contract) profile.address = params.contract;
+
+        if (!Number.isSafeInteger(profile.chainId) || profile.chainId <= 0) {
+            throw invalid(`No valid chain ID is set for ${profile.name}`, 'Pass chainId (--chain-id for the command-line tools) or set it in deployments.json.');
+        }
+        if (!/^0x[0-9a-fA-F]{40}$/.test(profile.address || '')) {
+            throw invalid(`No valid contract address is set for ${profile.name}`, 'Pass contract (--contract for the command-line tools) or set address in deployments.json.');
+        }
+        return profile;
+    }
+
+    // What the params changed, e.g. "contract 0x..., RPC https://...", or null
+    function describeOverrides(deployment) {
+        const labels = {
+            chainId: `chain ${deployment.chainId}`,
+            rpc: `RPC ${deployment.rpcUrl}`,
+            contract: `contract ${deployment.address}`
+        };
+        const overrides = deployment.overrides || [];
+        return overrides.length > 0 ? overrides.map(key => labels[key]).join(', ') : null;
+    }
+
+    function hexChainId(chainId) {
+        return `0x${Number(chainId).toString(16)}`;
+    }
+
+    // Parameters for wallet_addEthereumChain (EIP-3085)
+    function addChainParams(deployment) {
+        const params = {
+            chainId: hexChainId(deployment.chainId),
+            chainName: deployment.name,
+            rpcUrls: [deployment.rpcUrl],
+            nativeCurrency: deployment.nativeCurrency
+        };
+        if (deployment.explorerUrl) params.blockExplorerUrls = [deployment.explorerUrl];
+        return params;
+    }
+
+    /**
+     * Asks an EIP-1193 wallet to switch to the deployment's chain and, when
+     * the wallet does not know the chain (error 4902), to add it. Wallet
+     * rejections are thrown as they are.
+     */
+    async function switchWalletChain(ethereum, deployment) {
+        try {
+            await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId(deployment.chainId) }] });
+        } catch (error) {
+            // MetaMask mobile nests the code in data.originalError
+            const code = error && (error.code !== undefined && error.code !== -32603
+                ? error.code
+                : error.data && error.data.originalError && error.data.originalError.code);
+            if (code !== 4902) throw error;
+            if (!deployment.rpcUrl) {
+                throw invalid(`Your wallet does not know ${deployment.name}`, 'Add the network to your wallet manually.');
+            }
+            await ethereum.request({ method: 'wallet_addEthereumChain', params: [addChainParams(deployment)] });
+        }
+    }
+
+    /**
+     * Checks that `provider` is on the deployment's chain and that the market
+     * contract answers there: code exists at the address and marketSessionId()
+     * returns. Resolves to null when everything checks out, otherwise to a
+     * MarketError of kind 'wrong-network' or 'no-contract'.
+     */
+    async function verifyDeployment({ provider, contract, deployment }) {
+        const network = await provider.getNetwork();
+        if (Number(network.chainId) !== deployment.chainId) {
+            return new MarketErrors.MarketError('wrong-network',
+                `Connected to chain ${network.chainId}, but this market runs on ${deployment.name} (chain ${deployment.chainId})`,
+                { suggestion: `Switch to ${deployment.name}.` });
+        }
+
+        const code = await provider.getCode(deployment.address);
+        if (!code || code === '0x') {
+            return new MarketErrors.MarketError('no-contract',
+                `No contract is deployed at ${deployment.address} on ${deployment.name}`,
+                { suggestion: 'Check the contract address of the selected network.' });
+        }
+
+        try {
+            await contract.marketSessionId();
+        } catch (error) {
+            return new MarketErrors.MarketError('no-contract',
+                `The contract at ${deployment.address} does not answer like a Private Energy Market`,
+                { suggestion: 'Check the contract address of the selected network.', cause: error });
+        }
+        return null;
+    }
+
+    return {
+        PROFILES,
+        DEFAULT_PROFILE,
+        paramsFromSearch,
+        resolveDeployment,
+        describeOverrides,
+        addChainParams,
+        switchWalletChain,
+        verifyDeployment
+    };
+});
\ No newline at end of file
@@ -0,0 +1,507 @@
+// Event indexer - keeps a local copy of the market's event log
+//
+// Backfills the contract's events in block-range chunks from the deployment
+// block, stores them decoded (IndexedDB in the browser, memory elsewhere)
+// and resumes from the last indexed block on the next sync. Block hashes of
+// recently indexed blocks are remembered; when the chain no longer has one
+// of them, the events after the last block that still matches are rolled
+// back and indexed again. Query helpers rebuild offers, demands, trades and
+// sessions from the stored events.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'));
+    } else {
+        root.EventIndexer = factory(root.MarketAbi);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi) {
+    const { ORDER_STATUS } = MarketAbi;
+
+    // Argument names of every indexed event, in contract order
+    const EVENT_FIELDS = {
+        MarketSessionStarted: ['sessionId', 'startTime'],
+        EnergyOfferCreated: ['offerId', 'seller', 'energyType'],
+        EnergyDemandCreated: ['demandId', 'buyer'],
+        TradeMatched: ['tradeId', 'offerId', 'demandId'],
+        TradeCompleted: ['tradeId', 'seller', 'buyer', 'amount', 'price'],
+        OfferCancelled: ['offerId', 'seller'],
+        DemandCancelled: ['demandId', 'buyer']
+    };
+    const STATE_KEY = 'state';
+
+    /**
+     * @typedef {object} IndexedEvent
+     * @property {string} id - "<blockNumber>:<logIndex>", unique per log
+     * @property {string} name - one of the EVENT_FIELDS names
+     * @property {number} blockNumber
+     * @property {string|null} blockHash
+     * @property {number} logIndex
+     * @property {string|null} transactionHash
+     * @property {object} args - named arguments; numbers as Number, addresses as strings
+     */
+
+    /**
+     * @typedef {object} IndexState
+     * @property {number|null} cursor - last block whose events are stored
+     * @property {{ number: number, hash: string }[]} checkpoints - recent indexed blocks, oldest first
+     */
+
+    function plain(value) {
+        if (value && (value._isBigNumber || typeof value === 'bigint')) return Number(value.toString());
+        return value;
+    }
+
+    function toIndexedEvent(log) {
+        const fields = EVENT_FIELDS[log.event];
+        if (!fields) return null;
+        const args = {};
+        fields.forEach((field, index) => {
+            args[field] = plain(log.args[field] !== undefined ? log.args[field] : log.args[index]);
+        });
+        return {
+            id: `${log.blockNumber}:${log.logIndex}`,
+            name: log.event,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash || null,
+            logIndex: log.logIndex,
+            transactionHash: log.transactionHash || null,
+            args
+        };
+    }
+
+    function byPosition(a, b) {
+        return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+    }
+
+    function sameAddress(a, b) {
+        return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+    }
+
+    /**
+     * Replays events in chain order into the market's current picture.
+     * Orders, trades and session membership follow the contract: a session
+     * lasts until the next MarketSessionStarted, and session 1 starts at
+     * deployment without an event.
+     */
+    function project(events) {
+        const offers = new Map();
+        const demands = new Map();
+        const trades = new Map();
+        const sessions = new Map([[1, { sessionId: 1, startTime: null, blockNumber: null, trades: [] }]]);
+        let sessionId = 1;
+
+        events.forEach(event => {
+            const { args } = event;
+            switch (event.name) {
+                case 'MarketSessionStarted':
+                    sessionId = args.sessionId;
+                    sessions.set(sessionId, { sessionId, startTime: args.startTime, blockNumber: event.blockNumber, trades: [] });
+                    break;
+                case 'EnergyOfferCreated':
+                    offers.set(args.offerId, {
+                        side: 'offer', id: args.offerId, account: args.seller, energyType: args.energyType,
+                        status: ORDER_STATUS.ACTIVE, sessionId, blockNumber: event.blockNumber, transactionHash: event.transactionHash
+                    });
+                    break;
+                case 'EnergyDemandCreated':
+                    demands.set(args.demandId, {
+                        side: 'demand', id: args.demandId, account: args.buyer, energyType: null,
+                        status: ORDER_STATUS.ACTIVE, sessionId, blockNumber: event.blockNumber, transactionHash: event.transactionHash
+                    });
+                    break;
+                case 'TradeMatched': {
+                    const offer = offers.get(args.offerId);
+                    const demand = demands.get(args.demandId);
+                    if (offer) offer.status = ORDER_STATUS.MATCHED;
+                    if (demand) demand.status = ORDER_STATUS.MATCHED;
+                    const trade = {
+                        id: args.tradeId,
+                        offerId: args.offerId,
+                        demandId: args.demandId,
+                        seller: offer ? offer.account : null,
+                        buyer: demand ? demand.account : null,
+                        energyType: offer ? offer.energyType : null,
+                        energyAmount: 0,
+                        tradePrice: 0,
+                        completed: false,
+                        sessionId,
+                        blockNumber: event.blockNumber,
+                        matchedTx: event.transactionHash,
+                        completedTx: null
+                    };
+                    trades.set(trade.id, trade);
+                    sessions.get(sessionId).trades.push(trade);
+                    break;
+                }
+                case 'TradeCompleted': {
+                    const trade = trades.get(args.tradeId);
+                    if (!trade) break;
+                    trade.seller = args.seller;
+                    trade.buyer = args.buyer;
+                    trade.energyAmount = args.amount;
+                    trade.tradePrice = args.price;
+                    trade.completed = true;
+                    trade.completedTx = event.transactionHash;
+                    break;
+                }
+                case 'OfferCancelled':
+                    if (offers.has(args.offerId)) offers.get(args.offerId).status = ORDER_STATUS.CANCELLED;
+                    break;
+                case 'DemandCancelled':
+                    if (demands.has(args.demandId)) demands.get(args.demandId).status = ORDER_STATUS.CANCELLED;
+                    break;
+            }
+        });
+
+        return { offers, demands, trades, sessions };
+    }
+
+    // ---- Stores ----
+
+    // Keeps everything in memory: for Node, the simulated market and browsers without IndexedDB
+    class MemoryStore {
+        constructor() {
+            this.state = null;
+            this.byId = new Map();
+        }
+
+        async load() {
+            return this.state;
+        }
+
+        async append(events, state) {
+            events.forEach(event => this.byId.set(event.id, event));
+            this.state = state;
+        }
+
+        async rollback(blockNumber, state) {
+            [...this.byId.values()]
+                .filter(event => event.blockNumber > blockNumber)
+                .forEach(event => this.byId.delete(event.id));
+            this.state = state;
+        }
+
+        async events() {
+            return [...this.byId.values()].sort(byPosition);
+        }
+
+        async clear() {
+            this.byId.clear();
+            this.state = null;
+        }
+    }
+
+    function request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    function transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // One database per deployment; events and the sync state change in the same transaction
+    class IndexedDbStore {
+        constructor(name, factory = null) {
+            this.name = name;
+            this.indexedDB = factory || indexedDB;
+            this.db = null;
+        }
+
+        async open() {
+            if (!this.db) {
+                const opening = this.indexedDB.open(this.name, 1);
+                opening.onupgradeneeded = () => {
+                    const events = opening.result.createObjectStore('events', { keyPath: 'id' });
+                    events.createIndex('blockNumber', 'blockNumber');
+                    opening.result.createObjectStore('meta');
+                };
+                this.db = await request(opening);
+            }
+            return this.db;
+        }
+
+        async load() {
+            const db = await this.open();
+            const state = await request(db.transaction('meta').objectStore('meta').get(STATE_KEY));
+            return state || null;
+        }
+
+        async append(events, state) {
+            const db = await this.open();
+            const transaction = db.transaction(['events', 'meta'], 'readwrite');
+            const store = transaction.objectStore('events');
+            events.forEach(event => store.put(event));
+            transaction.objectStore('meta').put(state, STATE_KEY);
+            await transactionDone(transaction);
+        }
+
+        async rollback(blockNumber, state) {
+            const db = await this.open();
+            const transaction = db.transaction(['events', 'meta'], 'readwrite');
+            const range = IDBKeyRange.lowerBound(blockNumber, true);
+            const keys = await request(transaction.objectStore('events').index('blockNumber').getAllKeys(range));
+            keys.forEach(key => transaction.objectStore('events').delete(key));
+            transaction.objectStore('meta').put(state, STATE_KEY);
+            await transactionDone(transaction);
+        }
+
+        async events() {
+            const db = await this.open();
+            const events = await request(db.transaction('events').objectStore('events').getAll());
+            return events.sort(byPosition);
+        }
+
+        async clear() {
+            const db = await this.open();
+            const transaction = db.transaction(['events', 'meta'], 'readwrite');
+            transaction.objectStore('events').clear();
+            transaction.objectStore('meta').clear();
+            await transactionDone(transaction);
+        }
+    }
+
+    /**
+     * IndexedDB store for a deployment when the environment has IndexedDB,
+     * otherwise a memory store.
+     */
+    /**
+     * First block with code at `address`, found by bisecting eth_getCode over
+     * the chain: about 25 calls on Sepolia. For deployments whose block was
+     * not recorded; resolves to 0 when the RPC does not serve past state.
+     */
+    async function findDeploymentBlock(provider, address) {
+        const hasCode = async blockTag => {
+            const code = await provider.getCode(address, blockTag);
+            return Boolean(code) && code !== '0x';
+        };
+        try {
+            let low = 0;
+            let high = Number(await provider.getBlockNumber());
+            if (!(await hasCode(high))) return 0;
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if (await hasCode(middle)) {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            return low;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    function openStore(deployment) {
+        if (typeof indexedDB === 'undefined' || typeof IDBKeyRange === 'undefined') return new MemoryStore();
+        return new IndexedDbStore(`energyMarket.events.${deployment.chainId}.${deployment.address.toLowerCase()}`);
+    }
+
+    // ---- Indexer ----
+
+    class EventIndexer {
+        /**
+         * @param {object} options
+         * @param {object} options.contract - ethers Contract or simulated market; must support queryFilter('*', from, to)
+         * @param {object} [options.store] - MemoryStore, IndexedDbStore or anything with the same methods
+         * @param {number|null} [options.startBlock=0] - deployment block; nothing earlier is scanned.
+         *   null looks it up (findDeploymentBlock) when the first sync starts
+         * @param {number} [options.chunkSize=10000] - blocks in the first log query; doubles after each
+         *   successful query and halves while the RPC rejects a range
+         * @param {number} [options.maxChunkSize=1000000] - lowered to the largest range the RPC accepted
+         * @param {number} [options.reorgDepth=12] - indexed blocks whose hashes are re-checked on every sync
+         * @param {object} [options.logger=console]
+         */
+        constructor({ contract, store = new MemoryStore(), startBlock = 0, chunkSize = 10000, maxChunkSize = 1000000, reorgDepth = 12, logger = console }) {
+            this.contract = contract;
+            // The simulated market is its own provider and has no block hashes
+            this.provider = contract.provider || null;
+            this.store = store;
+            this.startBlock = startBlock;
+            this.chunkSize = chunkSize;
+            this.maxChunkSize = maxChunkSize;
+            this.reorgDepth = reorgDepth;
+            this.logger = logger;
+            this.syncing = null;
+            this.projection = null;
+        }
+
+        async headBlock() {
+            return Number(this.provider ? await this.provider.getBlockNumber() : await this.contract.getBlockNumber());
+        }
+
+        async blockHash(number) {
+            if (!this.provider) return null;
+            const block = await this.provider.getBlock(number);
+            return block ? block.hash : null;
+        }
+
+        /**
+         * Indexes everything up to the current head. Concurrent calls share
+         * one run. Resolves to { from, to, added } of what this run covered.
+         * @param {{ onProgress?: (progress: { from: number, to: number, head: number }) => void }} [options]
+         */
+        sync(options = {}) {
+            if (!this.syncing) {
+                this.syncing = this.runSync(options).finally(() => {
+                    this.syncing = null;
+                });
+            }
+            return this.syncing;
+        }
+
+        async resolveStartBlock() {
+            if (this.startBlock === null) {
+                // The simulated market starts at block 0
+                this.startBlock = this.provider ? await findDeploymentBlock(this.provider, this.contract.address) : 0;
+            }
+            return this.startBlock;
+        }
+
+        async runSync({ onProgress = null }) {
+            // Another tab may have written to the same database since the last run
+            this.projection = null;
+            let state = (await this.store.load()) || { cursor: null, checkpoints: [] };
+            state = await this.checkReorg(state);
+
+            const head = await this.headBlock();
+            const from = state.cursor === null ? await this.resolveStartBlock() : state.cursor + 1;
+            let added = 0;
+            let next = from;
+            const initialChunkSize = this.chunkSize;
+            let shrunk = false;
+
+            while (next <= head) {
+                const to = Math.min(head, next + this.chunkSize - 1);
+                let logs;
+                try {
+                    logs = await this.contract.queryFilter('*', next, to);
+                } catch (error) {
+                    // Providers cap the block range or the result size; retry with smaller chunks.
+                    // Even one block failing means the RPC itself is the problem.
+                    if (this.chunkSize <= 1) {
+                        this.chunkSize = initialChunkSize;
+                        throw error;
+                    }
+                    this.chunkSize = Math.max(1, Math.floor(this.chunkSize / 2));
+                    shrunk = true;
+                    continue;
+                }
+                if (shrunk) {
+                    // The largest range this RPC accepts
+                    this.maxChunkSize = this.chunkSize;
+                    shrunk = false;
+                } else {
+                    this.chunkSize = Math.min(this.maxChunkSize, this.chunkSize * 2);
+                }
+
+                const events = logs.map(toIndexedEvent).filter(Boolean);
+                state = {
+                    cursor: to,
+                    checkpoints: await this.checkpointsAfter(state.checkpoints, to, head)
+                };
+                await this.store.append(events, state);
+                added += events.length;
+                if (events.length > 0) this.projection = null;
+                if (onProgress) onProgress({ from: next, to, head });
+                next = to + 1;
+            }
+
+            return { from, to: head, added };
+        }
+
+        // Chunks far below the head cannot be reorged; only the recent ones get a checkpoint
+        async checkpointsAfter(checkpoints, to, head) {
+            if (!this.provider || head - to >= this.reorgDepth) return checkpoints;
+            const hash = await this.blockHash(to);
+            if (!hash) return checkpoints;
+            return checkpoints.concat({ number: to, hash }).slice(-this.reorgDepth);
+        }
+
+        // Rolls back to the newest checkpoint the chain still agrees with
+        async checkReorg(state) {
+            if (!this.provider || state.checkpoints.length === 0) return state;
+
+            const checkpoints = state.checkpoints.slice();
+            while (checkpoints.length > 0) {
+                const latest = checkpoints[checkpoints.length - 1];
+                if (await this.blockHash(latest.number) === latest.hash) break;
+                checkpoints.pop();
+            }
+            if (checkpoints.length === state.checkpoints.length) return state;
+
+            // No checkpoint survived: go back the full reorg depth from the oldest one
+            const startBlock = this.startBlock || 0;
+            const cursor = checkpoints.length > 0
+                ? checkpoints[checkpoints.length - 1].number
+                : Math.max(startBlock, state.checkpoints[0].number - this.reorgDepth) - 1;
+            const rolledBack = { cursor: cursor < startBlock ? null : cursor, checkpoints };
+            this.logger.error('Chain reorganisation detected, re-indexing from block', cursor + 1);
+            await this.store.rollback(cursor, rolledBack);
+            this.projection = null;
+            return rolledBack;
+        }
+
+        async reset() {
+            await this.store.clear();
+            this.projection = null;
+        }
+
+        // ---- Queries (over what is indexed; call sync() first for the latest state) ----
+
+        async view() {
+            if (!this.projection) this.projection = project(await this.store.events());
+            return this.projection;
+        }
+
+        async events({ name = null } = {}) {
+            const events = await this.store.events();
+            return name ? events.filter(event => event.name === name) : events;
+        }
+
+        /** Offers by `status` (ORDER_STATUS), `seller` and `energyType`, oldest first */
+        async offers({ status = null, seller = null, energyType = null } = {}) {
+            return [...(await this.view()).offers.values()].filter(offer =>
+                (status === null || offer.status === Number(status)) &&
+                (!seller || sameAddress(offer.account, seller)) &&
+                (energyType === null || offer.energyType === Number(energyType))
+            );
+        }
+
+        /** Demands by `status` and `buyer`, oldest first */
+        async demands({ status = null, buyer = null } = {}) {
+            return [...(await this.view()).demands.values()].filter(demand =>
+                (status === null || demand.status === Number(status)) &&
+                (!buyer || sameAddress(demand.account, buyer))
+            );
+        }
+
+        /** Trades where `account` is the seller or the buyer (all trades without it), in ID order */
+        async trades({ account = null } = {}) {
+            return [...(await this.view()).trades.values()].filter(trade =>
+                !account || sameAddress(trade.seller, account) || sameAddress(trade.buyer, account)
+            );
+        }
+
+        /** Every session with the trades matched during it, oldest first */
+        async sessions() {
+            return [...(await this.view()).sessions.values()];
+        }
+    }
+
+    return {
+        EVENT_FIELDS,
+        EventIndexer,
+        MemoryStore,
+        findDeploymentBlock,
+        IndexedDbStore,
+        openStore,
+        project
+    };
+});
\ No newline at end of file
@@ -0,0 +1,601 @@
+// Market client - contract access shared by the web app and Node tools
+//
+// Wraps a PrivateEnergyMarket contract (an ethers Contract or the simulated
+// market) without touching the DOM: reads come back as plain objects, writes
+// validate their input and encrypt private values first, and events can be
+// subscribed to as a group. Writes return the sent transaction so the caller
+// decides whether to track it or wait for the receipt. Reads go through a
+// BatchReader, which batches them and caches them for the current block.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./market-abi.js'), require('./market-errors.js'), require('./market-validation.js'),
+            require('./batch-reader.js'), require('./event-indexer.js'));
+    } else {
+        root.MarketClient = factory(root.MarketAbi, root.MarketErrors, root.MarketValidation, root.BatchReader, root.EventIndexer);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MarketAbi, MarketErrors, MarketValidation, BatchReader, EventIndexer) {
+    const { ENERGY_TYPES, STATUS_TYPES, ORDER_STATUS } = MarketAbi;
+    const { MarketError } = MarketErrors;
+    const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+    const EVENTS = [
+        'MarketSessionStarted',
+        'EnergyOfferCreated',
+        'EnergyDemandCreated',
+        'TradeMatched',
+        'TradeCompleted',
+        'OfferCancelled',
+        'DemandCancelled'
+    ];
+    // Only the simulated market reports these; on chain a reverted callback has no event
+    const SIMULATED_EVENTS = ['TradeSettlementFailed'];
+
+    /**
+     * @typedef {object} Session
+     * @property {number} sessionId
+     * @property {number} startTime - unix seconds
+     * @property {number} duration - seconds
+     * @property {number} closesAt - unix seconds; the session is open up to and including this second
+     * @property {boolean} isActive
+     * @property {number} totalOffers
+     * @property {number} totalDemands
+     */
+
+    /**
+     * @typedef {object} Order
+     * @property {'offer'|'demand'} side
+     * @property {number} id
+     * @property {string} account - seller of an offer, buyer of a demand
+     * @property {number|null} energyType - index into ENERGY_TYPES; demands accept any type
+     * @property {number} status - ORDER_STATUS value
+     * @property {number} timestamp - unix seconds
+     * @property {boolean} isPrivate
+     * @property {string} amountHandle - ciphertext handle of the amount
+     * @property {string} priceHandle - ciphertext handle of the price (offers) or max price (demands)
+     * @property {number|null} [sessionId] - set when session starts are known
+     * @property {number|null} [amount] - plaintext, set by resolveValues
+     * @property {number|null} [price] - plaintext, set by resolveValues
+     */
+
+    /**
+     * @typedef {object} Trade
+     * @property {number} id
+     * @property {number} offerId
+     * @property {number} demandId
+     * @property {string} seller
+     * @property {string} buyer
+     * @property {number} energyAmount - kWh, 0 until the trade completes
+     * @property {number} tradePrice - wei/kWh, 0 until the trade completes
+     * @property {number} energyType
+     * @property {number} timestamp - unix seconds of the match
+     * @property {boolean} completed
+     * @property {number|null} [sessionId]
+     * @property {string|null} [matchedTx]
+     * @property {string|null} [completedTx]
+     * @property {number|null} [completedBlock] - block of the TradeCompleted event
+     */
+
+    // Session 1 starts in the constructor without an event, so anything older
+    // than the first MarketSessionStarted belongs to it
+    function sessionForTimestamp(sessions, timestamp) {
+        let sessionId = 1;
+        for (const session of sessions) {
+            if (Number(session.startTime) <= Number(timestamp)) {
+                sessionId = Number(session.sessionId);
+            }
+        }
+        return sessionId;
+    }
+
+    function idsBelow(next) {
+        return Array.from({ length: Number(next) - 1 }, (_, i) => i + 1);
+    }
+
+    function finishOrders(orders, status, sessions) {
+        orders.forEach(order => {
+            order.sessionId = sessions ? sessionForTimestamp(sessions, order.timestamp) : null;
+        });
+        return status === null ? orders : orders.filter(order => order.status === Number(status));
+    }
+
+    function sameAddress(a, b) {
+        return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+    }
+
+    function notFound(reason) {
+        const known = MarketErrors.REVERT_REASONS[reason];
+        return new MarketError('revert', known.message, { reason, suggestion: known.suggestion });
+    }
+
+    /**
+     * ID announced by the first `eventName` log of a receipt (offerId for
+     * EnergyOfferCreated, tradeId for TradeMatched, ...), or null.
+     */
+    function createdId(receipt, eventName) {
+        const event = (receipt.events || []).find(log => log.event === eventName);
+        return event ? Number(event.args[0]) : null;
+    }
+
+    /**
+     * The deployed market as an ethers Contract; `runner` is a signer or a provider.
+     */
+    function connectContract(ethers, runner, address = MarketAbi.MARKET_ADDRESS) {
+        return new ethers.Contract(address, MarketAbi.MARKET_ABI, runner);
+    }
+
+    class MarketClient {
+        /**
+         * @param {object} options
+         * @param {object} options.contract - the market contract, connected to the signer for writes
+         * @param {string} [options.account] - address that sends writes and owns "my" orders
+         * @param {object} [options.signer] - signer used for user decryption; defaults to the contract's signer
+         * @param {object|Function} [options.fhe] - FHE client, or an async function that creates one on first use
+         * @param {string} [options.address] - contract address that encrypted inputs are bound to
+         * @param {object} [options.multicall] - Multicall3 contract (BatchReader.connectMulticall) to batch reads with
+         * @param {object} [options.indexer] - EventIndexer to read logs from instead of scanning the chain each time
+         * @param {number|null} [options.startBlock=0] - deployment block, where chain scans start; null looks it up on first use
+         * @param {object} [options.logger=console] - receives error(message, error) for failures that are worked around
+         */
+        constructor({ contract, account = null, signer = null, fhe = null, address = MarketAbi.MARKET_ADDRESS, multicall = null, indexer = null, startBlock = 0, logger = console }) {
+            this.contract = contract;
+            this.reader = new BatchReader.BatchReader({ contract, multicall });
+            this.indexer = indexer;
+            this.startBlock = startBlock;
+            this.account = account;
+            this.signer = signer || contract.signer || null;
+            this.address = address;
+            this.fheSource = fhe;
+            this.fhe = null;
+            this.logger = logger;
+            // Plaintexts of the handles read so far, keyed by lowercase handle
+            this.values = new Map();
+        }
+
+        isAccount(address) {
+            return sameAddress(address, this.account);
+        }
+
+        requireAccount() {
+            if (!this.account) {
+                throw new MarketError('no-account', 'No account is connected',
+                    { suggestion: 'Connect a wallet or provide a signing key to send transactions.' });
+            }
+        }
+
+        async getFhe() {
+            if (!this.fhe) {
+                if (!this.fheSource) {
+                    throw new MarketError('unknown', 'No FHE client is configured',
+                        { suggestion: 'Private values need the relayer SDK or the mock FHE client.' });
+                }
+                this.fhe = typeof this.fheSource === 'function' ? await this.fheSource() : this.fheSource;
+            }
+            return this.fhe;
+        }
+
+        // ---- Reads ----
+
+        read(method, ...args) {
+            return this.reader.call(method, ...args);
+        }
+
+        // Drops cached reads; event listeners and callers that just saw a
+        // transaction confirm use it so the next read sees the new state
+        clearCache() {
+            this.reader.clear();
+        }
+
+        /** @returns {Promise<Session>} */
+        async getSession() {
+            const [info, duration] = await Promise.all([
+                this.read('getMarketSessionInfo'),
+                this.read('sessionDuration')
+            ]);
+            return {
+                sessionId: Number(info.sessionId),
+                startTime: Number(info.startTime),
+                duration: Number(duration),
+                closesAt: Number(info.startTime) + Number(duration),
+                isActive: info.isActive,
+                totalOffers: Number(info.totalOffers),
+                totalDemands: Number(info.totalDemands)
+            };
+        }
+
+        async getOwner() {
+            return this.read('owner');
+        }
+
+        async isOwner() {
+            return this.isAccount(await this.read('owner'));
+        }
+
+        async getCredits(address = this.account) {
+            return Number(await this.read('userCredits', address));
+        }
+
+        /**
+         * Credits of `address` at the end of each of `blocks`, as a Map, or
+         * null when the provider cannot serve past state (pruned nodes, the
+         * simulated market). Not cached: the reads name their own block.
+         */
+        async getCreditsAt(blocks, address = this.account) {
+            if (!this.contract.provider) return null;
+            try {
+                const credits = new Map();
+                // A few at a time; a long trading history means many reads
+                for (let i = 0; i < blocks.length; i += 8) {
+                    const batch = blocks.slice(i, i + 8);
+                    const values = await Promise.all(batch.map(block => this.contract.userCredits(address, { blockTag: block })));
+                    batch.forEach((block, index) => credits.set(block, Number(values[index])));
+                }
+                return credits;
+            } catch (error) {
+                this.logger.error('Error loading past credits:', error);
+                return null;
+            }
+        }
+
+        // Events of one kind, from the indexer when there is one; a failing
+        // indexer (quota, blocked storage) falls back to scanning the chain
+        async queryEvents(name) {
+            if (this.indexer) {
+                try {
+                    await this.indexer.sync();
+                    return await this.indexer.events({ name });
+                } catch (error) {
+                    this.logger.error('Error syncing the event index:', error);
+                }
+            }
+            return this.contract.queryFilter(name, await this.eventStartBlock());
+        }
+
+        async eventStartBlock() {
+            if (this.startBlock === null) {
+                this.startBlock = this.contract.provider
+                    ? await EventIndexer.findDeploymentBlock(this.contract.provider, this.contract.address)
+                    : 0;
+            }
+            return this.startBlock;
+        }
+
+        // MarketSessionStarted events, or null when the provider cannot serve logs
+        async getSessionStarts() {
+            try {
+                const events = await this.queryEvents('MarketSessionStarted');
+                return events.map(event => ({
+                    sessionId: Number(event.args.sessionId),
+                    startTime: Number(event.args.startTime)
+                }));
+            } catch (error) {
+                this.logger.error('Error loading session history:', error);
+                return null;
+            }
+        }
+
+        /** @returns {Promise<Order>} */
+        async getOffer(id) {
+            const offer = await this.read('energyOffers', id);
+            if (offer.seller === ZERO_ADDRESS) throw notFound('Invalid offer ID');
+            return {
+                side: 'offer',
+                id: Number(id),
+                account: offer.seller,
+                energyType: Number(offer.energyType),
+                status: Number(offer.status),
+                timestamp: Number(offer.timestamp),
+                isPrivate: offer.isPrivate,
+                amountHandle: offer.energyAmount,
+                priceHandle: offer.pricePerKWh
+            };
+        }
+
+        /** @returns {Promise<Order>} */
+        async getDemand(id) {
+            const demand = await this.read('energyDemands', id);
+            if (demand.buyer === ZERO_ADDRESS) throw notFound('Invalid demand ID');
+            return {
+                side: 'demand',
+                id: Number(id),
+                account: demand.buyer,
+                energyType: null,
+                status: Number(demand.status),
+                timestamp: Number(demand.timestamp),
+                isPrivate: demand.isPrivate,
+                amountHandle: demand.energyNeeded,
+                priceHandle: demand.maxPricePerKWh
+            };
+        }
+
+        getOrder(side, id) {
+            return side === 'offer' ? this.getOffer(id) : this.getDemand(id);
+        }
+
+        /**
+         * Offers oldest first. `owner` limits them to one account's offers,
+         * `status` to one ORDER_STATUS and `sessions` (from getSessionStarts)
+         * fills in sessionId.
+         * @returns {Promise<Order[]>}
+         */
+        async listOffers({ owner = null, status = null, sessions = null } = {}) {
+            const ids = owner
+                ? (await this.read('getUserOffers', owner)).map(Number)
+                : idsBelow(await this.read('nextOfferId'));
+            const offers = await Promise.all(ids.map(id => this.getOffer(id)));
+            return finishOrders(offers, status, sessions);
+        }
+
+        /** Same options as listOffers. @returns {Promise<Order[]>} */
+        async listDemands({ owner = null, status = null, sessions = null } = {}) {
+            const ids = owner
+                ? (await this.read('getUserDemands', owner)).map(Number)
+                : idsBelow(await this.read('nextDemandId'));
+            const demands = await Promise.all(ids.map(id => this.getDemand(id)));
+            return finishOrders(demands, status, sessions);
+        }
+
+        /** Every offer and demand, newest first. @returns {Promise<Order[]>} */
+        async listOrders(options = {}) {
+            const [offers, demands] = await Promise.all([this.listOffers(options), this.listDemands(options)]);
+            return offers.concat(demands).sort((a, b) => b.timestamp - a.timestamp);
+        }
+
+        /** @returns {Promise<Trade>} */
+        async getTrade(id) {
+            const trade = await this.read('trades', id);
+            if (Number(trade.offerId) === 0) throw notFound('Invalid trade ID');
+            return {
+                id: Number(id),
+                offerId: Number(trade.offerId),
+                demandId: Number(trade.demandId),
+                seller: trade.seller,
+                buyer: trade.buyer,
+                energyAmount: Number(trade.energyAmount),
+                tradePrice: Number(trade.tradePrice),
+                energyType: Number(trade.energyType),
+                timestamp: Number(trade.timestamp),
+                completed: trade.completed
+            };
+        }
+
+        /**
+         * Why the trade's settlement failed ("Price mismatch", "Insufficient
+         * credits"), or null. Only the simulated market can tell; on chain
+         * this is always null and a failed trade simply stays pending.
+         */
+        async getSettlementFailure(id) {
+            if (typeof this.contract.settlementFailure !== 'function') return null;
+            return this.contract.settlementFailure(id);
+        }
+
+        /**
+         * Every trade in ID order, enriched with the TradeMatched/TradeCompleted
+         * transaction hashes when the provider can serve logs.
+         * @returns {Promise<Trade[]>}
+         */
+        async listTrades({ sessions = null } = {}) {
+            const ids = idsBelow(await this.read('nextTradeId'));
+            const [trades, logs] = await Promise.all([
+                Promise.all(ids.map(id => this.getTrade(id))),
+                this.getTradeLogs()
+            ]);
+            trades.forEach(trade => {
+                trade.sessionId = sessions ? sessionForTimestamp(sessions, trade.timestamp) : null;
+                trade.matchedTx = logs.matched.get(trade.id) || null;
+                trade.completedTx = logs.completed.get(trade.id) || null;
+                trade.completedBlock = logs.completedBlocks.get(trade.id) || null;
+            });
+            return trades;
+        }
+
+        /**
+         * The account that sent a transaction, or null when neither the
+         * provider nor the contract can look it up.
+         */
+        async transactionSender(hash) {
+            const source = this.contract.provider || this.contract;
+            if (!hash || typeof source.getTransaction !== 'function') return null;
+            const tx = await source.getTransaction(hash);
+            return tx ? tx.from : null;
+        }
+
+        async getTradeLogs() {
+            const logs = { matched: new Map(), completed: new Map(), completedBlocks: new Map() };
+            try {
+                const [matched, completed] = await Promise.all([
+                    this.queryEvents('TradeMatched'),
+                    this.queryEvents('TradeCompleted')
+                ]);
+                matched.forEach(event => logs.matched.set(Number(event.args.tradeId), event.transactionHash));
+                completed.forEach(event => {
+                    logs.completed.set(Number(event.args.tradeId), event.transactionHash);
+                    logs.completedBlocks.set(Number(event.args.tradeId), event.blockNumber);
+                });
+            } catch (error) {
+                this.logger.error('Error loading trade logs:', error);
+            }
+            return logs;
+        }
+
+        // ---- Private values ----
+
+        valueOf(handle) {
+            const value = this.values.get(handle.toLowerCase());
+            return value === undefined ? null : value;
+        }
+
+        /**
+         * Fills amount/price on active orders, publicly decrypting public
+         * entries first; values nobody decrypted for this client stay null.
+         * `error` says why public values could not be revealed, so callers
+         * can tell "encrypted" from "the relayer refused".
+         * @returns {Promise<{ orders: Order[], error: MarketError|null }>}
+         */
+        async resolveValues(orders) {
+            const handles = orders
+                .filter(order => order.status === ORDER_STATUS.ACTIVE && !order.isPrivate)
+                .flatMap(order => [order.amountHandle, order.priceHandle])
+                .map(handle => handle.toLowerCase())
+                .filter(handle => !this.values.has(handle));
+
+            let error = null;
+            if (handles.length > 0) {
+                try {
+                    const fhe = await this.getFhe();
+                    const values = await fhe.publicDecrypt(handles);
+                    Object.entries(values).forEach(([handle, value]) => this.values.set(handle, value));
+                } catch (cause) {
+                    this.logger.error('Error decrypting public order values:', cause);
+                    // A missing FHE client already explains itself
+                    error = cause instanceof MarketError ? cause : new MarketError('decryption-failed', 'Public order values could not be revealed', {
+                        suggestion: 'Orders created before public decryption was enabled on the contract stay encrypted; retry later if the relayer is down.',
+                        cause
+                    });
+                }
+            }
+
+            orders.forEach(order => {
+                order.amount = this.valueOf(order.amountHandle);
+                order.price = this.valueOf(order.priceHandle);
+            });
+            return { orders, error };
+        }
+
+        /**
+         * Decrypts the amount and price handles of the account's private
+         * orders; only those are FHE.allow-ed to their creator. Returns how
+         * many new values were read.
+         */
+        async decryptOwnValues() {
+            this.requireAccount();
+            const [offers, demands] = await Promise.all([
+                this.listOffers({ owner: this.account }),
+                this.listDemands({ owner: this.account })
+            ]);
+            const handles = offers.concat(demands)
+                .filter(order => order.isPrivate)
+                .flatMap(order => [order.amountHandle, order.priceHandle])
+                .map(handle => handle.toLowerCase())
+                .filter(handle => !this.values.has(handle));
+            if (handles.length === 0) return 0;
+
+            const fhe = await this.getFhe();
+            const values = await fhe.userDecrypt(handles, this.address, this.signer);
+            Object.entries(values).forEach(([handle, value]) => this.values.set(handle, value));
+            return Object.keys(values).length;
+        }
+
+        async encrypt(values) {
+            const fhe = await this.getFhe();
+            return fhe.encryptUint32(this.address, this.account, values);
+        }
+
+        // ---- Writes ----
+
+        /**
+         * @param {{ amount: number, price: number, energyType: number|string, isPrivate?: boolean }} offer
+         */
+        async createOffer(offer) {
+            this.requireAccount();
+            const { amount, price, energyType, isPrivate } = MarketValidation.validateOffer(offer);
+            if (!isPrivate) {
+                return this.contract.createEnergyOffer(amount, price, energyType, false);
+            }
+            // Encrypted before sending so plaintext values never reach calldata
+            const encrypted = await this.encrypt([amount, price]);
+            return this.contract.createEncryptedEnergyOffer(
+                encrypted.handles[0], encrypted.handles[1], energyType, encrypted.inputProof
+            );
+        }
+
+        /**
+         * @param {{ amount: number, maxPrice: number, isPrivate?: boolean }} demand
+         */
+        async createDemand(demand) {
+            this.requireAccount();
+            const { amount, maxPrice, isPrivate } = MarketValidation.validateDemand(demand);
+            if (!isPrivate) {
+                return this.contract.createEnergyDemand(amount, maxPrice, false);
+            }
+            const encrypted = await this.encrypt([amount, maxPrice]);
+            return this.contract.createEncryptedEnergyDemand(
+                encrypted.handles[0], encrypted.handles[1], encrypted.inputProof
+            );
+        }
+
+        async match(offerId, demandId) {
+            this.requireAccount();
+            const pair = MarketValidation.validateMatch({ offerId, demandId });
+            return this.contract.matchTrade(pair.offerId, pair.demandId);
+        }
+
+        async cancelOffer(id) {
+            this.requireAccount();
+            return this.contract.cancelOffer(MarketValidation.validateId(id, 'Offer ID'));
+        }
+
+        async cancelDemand(id) {
+            this.requireAccount();
+            return this.contract.cancelDemand(MarketValidation.validateId(id, 'Demand ID'));
+        }
+
+        cancelOrder(side, id) {
+            return side === 'offer' ? this.cancelOffer(id) : this.cancelDemand(id);
+        }
+
+        async addCredits(amount) {
+            this.requireAccount();
+            return this.contract.addCredits(MarketValidation.validateCredits(amount), { value: 0 });
+        }
+
+        async startSession() {
+            this.requireAccount();
+            return this.contract.startNewMarketSession();
+        }
+
+        async setSessionDuration(seconds) {
+            this.requireAccount();
+            return this.contract.setSessionDuration(MarketValidation.validateSessionDuration(seconds));
+        }
+
+        // ---- Events ----
+
+        /**
+         * Subscribes `handlers` ({ EventName: listener }) with the contract's
+         * listener arguments. Returns a function that removes all of them.
+         * Every event also clears the read cache, as it means state changed.
+         * Handlers for simulator-only events are ignored on a real contract.
+         */
+        subscribe(handlers) {
+            const simulated = typeof this.contract.settlementFailure === 'function';
+            const entries = Object.entries(handlers).filter(([eventName]) => {
+                if (SIMULATED_EVENTS.includes(eventName)) return simulated;
+                if (!EVENTS.includes(eventName)) throw new Error(`Unknown market event: ${eventName}`);
+                return true;
+            }).map(([eventName, handler]) => {
+                const listener = (...args) => {
+                    this.clearCache();
+                    return handler(...args);
+                };
+                this.contract.on(eventName, listener);
+                return [eventName, listener];
+            });
+            return () => entries.forEach(([eventName, listener]) => this.contract.off(eventName, listener));
+        }
+    }
+
+    return {
+        MarketClient,
+        MarketError,
+        ENERGY_TYPES,
+        STATUS_TYPES,
+        ORDER_STATUS,
+        EVENTS,
+        sessionForTimestamp,
+        createdId,
+        connectContract,
+        connectMulticall: BatchReader.connectMulticall,
+        decodeError: MarketErrors.decodeError,
+        describeError: MarketErrors.describeError
+    };
+});
\ No newline at end of file
@@ -0,0 +1,261 @@
+// Match bot - matches compatible offers and demands without anyone clicking
+//
+// Runs on a MarketClient, so the same loop works against a chain, a local
+// node and the simulated market. Each scan reads the active orders, resolves
+// the publicly readable amounts and prices, lets a strategy pick pairs and
+// sends matchTrade for each, logging every step as a record.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./order-matching.js'), require('./market-client.js'));
+    } else {
+        root.MatchBot = factory(root.OrderMatching, root.MarketClient);
+    }
+})(typeof self !== 'undefined' ? self : this, function (OrderMatching, MarketClient) {
+    const { ORDER_STATUS } = MarketClient;
+
+    function known(value) {
+        return value !== null && value !== undefined;
+    }
+
+    /**
+     * Default strategy: the highest bid (demand max price) is served first,
+     * earliest demand on ties, by the cheapest compatible offer, earliest
+     * offer on ties. Pairs whose prices are still encrypted are skipped
+     * because they could fail with "Price mismatch" after the match.
+     */
+    function priceTimePriority(orders, { account, credits = {} }) {
+        const byTime = (a, b) => a.timestamp - b.timestamp || a.id - b.id;
+        const offers = orders.filter(order => order.side === 'offer' && known(order.price))
+            .sort((a, b) => a.price - b.price || byTime(a, b));
+        const demands = orders.filter(order => order.side === 'demand' && known(order.price))
+            .sort((a, b) => b.price - a.price || byTime(a, b));
+
+        const usedOffers = new Set();
+        const pairs = [];
+        demands.forEach(demand => {
+            const offer = offers.find(candidate => {
+                if (usedOffers.has(candidate.id)) return false;
+                if (OrderMatching.exclusionReason(demand, candidate, account)) return false;
+                const score = OrderMatching.scoreCandidate(demand, candidate, { credits });
+                return score.creditsOk !== false;
+            });
+            if (offer) {
+                usedOffers.add(offer.id);
+                pairs.push({ offer, demand });
+            }
+        });
+        return pairs;
+    }
+
+    const STRATEGIES = {
+        'price-time': priceTimePriority
+    };
+
+    // One JSON object per line, easy to ship to any log collector
+    function jsonLogger(write = line => console.log(line)) {
+        return (event, fields = {}) => write(JSON.stringify({ time: new Date().toISOString(), event, ...fields }));
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    class MatchBot {
+        /**
+         * @param {object} options
+         * @param {object} options.market - MarketClient for the bot's account (matchTrade's msg.sender);
+         *     its FHE client publicly decrypts the order values
+         * @param {Function} [options.strategy=priceTimePriority] - (orders, { account, credits }) => [{ offer, demand }]
+         * @param {boolean} [options.dryRun=false] - log planned matches without sending them
+         * @param {number} [options.maxMatchesPerSession=Infinity] - matches this account may send per
+         *     session; on the first scan of a session the count is rebuilt from its TradeMatched
+         *     events, so a restart does not reset it
+         * @param {number} [options.interval=30000] - ms between scans
+         * @param {number} [options.settleTimeout=120000] - ms to wait for a match to settle
+         * @param {number} [options.settlePollInterval=3000]
+         * @param {Function} [options.log] - (event, fields) structured logger
+         */
+        constructor(options) {
+            this.market = options.market;
+            this.account = options.market.account;
+            this.strategy = options.strategy || priceTimePriority;
+            this.dryRun = Boolean(options.dryRun);
+            // 0 is a real limit (match nothing), so only a missing value means "no limit"
+            this.maxMatchesPerSession = options.maxMatchesPerSession ?? Infinity;
+            this.interval = options.interval || 30000;
+            this.settleTimeout = options.settleTimeout || 120000;
+            this.settlePollInterval = options.settlePollInterval || 3000;
+            this.log = options.log || jsonLogger();
+
+            this.matchesBySession = new Map();
+            this.timer = null;
+            this.running = false;
+        }
+
+        /**
+         * Active orders with the values the bot can read, and the error that
+         * kept public values encrypted, if any.
+         */
+        async readActiveOrders() {
+            const orders = await this.market.listOrders({ status: ORDER_STATUS.ACTIVE });
+            // Private values stay null: the bot is not a party to other accounts' orders
+            return this.market.resolveValues(orders);
+        }
+
+        async readCredits(orders) {
+            const buyers = [...new Set(orders.filter(order => order.side === 'demand')
+                .map(order => order.account.toLowerCase()))];
+            const balances = await Promise.all(buyers.map(buyer => this.market.getCredits(buyer)));
+            const credits = {};
+            buyers.forEach((buyer, i) => { credits[buyer] = balances[i]; });
+            return credits;
+        }
+
+        /**
+         * One scan: returns the pairs that were matched (or planned, in dry-run).
+         */
+        async runOnce() {
+            const session = await this.market.getSession();
+            const { sessionId, isActive } = session;
+            if (!isActive) {
+                this.log('market-closed', { sessionId });
+                return [];
+            }
+
+            if (Number.isFinite(this.maxMatchesPerSession) && !this.matchesBySession.has(sessionId)) {
+                this.matchesBySession.set(sessionId, await this.countSessionMatches(session));
+            }
+            const matched = this.matchesBySession.get(sessionId) || 0;
+            const remaining = this.maxMatchesPerSession - matched;
+            if (remaining <= 0) {
+                this.log('session-limit-reached', { sessionId, matches: matched });
+                return [];
+            }
+
+            const { orders, error } = await this.readActiveOrders();
+            const counts = {
+                offers: orders.filter(order => order.side === 'offer').length,
+                demands: orders.filter(order => order.side === 'demand').length
+            };
+            // Without a single known price no strategy can pair anything
+            if (orders.length > 0 && !orders.some(order => known(order.price))) {
+                this.log('no-decryptable-orders', {
+                    sessionId,
+                    ...counts,
+                    private: orders.filter(order => order.isPrivate).length,
+                    error: error ? MarketClient.describeError(error) : null
+                });
+                return [];
+            }
+
+            const credits = await this.readCredits(orders);
+            const pairs = this.strategy(orders, { account: this.account, credits }).slice(0, remaining);
+
+            this.log('scan', {
+                sessionId,
+                ...counts,
+                unreadable: orders.filter(order => !known(order.price)).length,
+                decryptionError: error ? MarketClient.describeError(error) : null,
+                pairs: pairs.length,
+                dryRun: this.dryRun
+            });
+
+            const results = [];
+            for (const { offer, demand } of pairs) {
+                const pair = { offerId: offer.id, demandId: demand.id, price: offer.price, maxPrice: demand.price };
+                if (this.dryRun) {
+                    this.log('match-planned', { sessionId, ...pair });
+                    results.push(pair);
+                    continue;
+                }
+
+                try {
+                    const tx = await this.market.match(offer.id, demand.id);
+                    this.log('match-sent', { sessionId, ...pair, hash: tx.hash });
+                    const receipt = await tx.wait();
+                    const tradeId = MarketClient.createdId(receipt, 'TradeMatched');
+                    this.matchesBySession.set(sessionId, (this.matchesBySession.get(sessionId) || 0) + 1);
+                    this.log('matched', { sessionId, ...pair, tradeId, hash: tx.hash });
+                    results.push({ ...pair, tradeId });
+
+                    // processTradeMatch settles "the last trade", so a second match
+                    // before this one settles could be booked against the wrong trade
+                    await this.waitForSettlement(tradeId);
+                } catch (error) {
+                    const decoded = MarketClient.decodeError(error);
+                    this.log('match-failed', { sessionId, ...pair, kind: decoded.kind, reason: decoded.reason, error: decoded.message });
+                }
+            }
+            return results;
+        }
+
+        /**
+         * Matches this account already sent in the session, from the
+         * TradeMatched events of trades made since the session started.
+         * A match whose sender cannot be looked up is counted too: the
+         * cap is a safety limit, so it errs on the low side.
+         */
+        async countSessionMatches({ sessionId, startTime }) {
+            const events = await this.market.queryEvents('TradeMatched');
+            let matches = 0;
+            // Trade IDs grow with time, so walk back until the session's start
+            for (const event of events.slice().reverse()) {
+                const trade = await this.market.getTrade(Number(event.args.tradeId));
+                if (trade.timestamp < startTime) break;
+                const sender = await this.market.transactionSender(event.transactionHash);
+                if (!sender || sender.toLowerCase() === this.account.toLowerCase()) matches++;
+            }
+            if (matches > 0) this.log('session-matches-restored', { sessionId, matches });
+            return matches;
+        }
+
+        async waitForSettlement(tradeId) {
+            const deadline = Date.now() + this.settleTimeout;
+            while (Date.now() < deadline) {
+                const trade = await this.market.getTrade(tradeId);
+                if (trade.completed) {
+                    this.log('settled', { tradeId, amount: trade.energyAmount, price: trade.tradePrice });
+                    return true;
+                }
+                const reason = await this.market.getSettlementFailure(tradeId);
+                if (reason) {
+                    this.log('settle-failed', { tradeId, reason });
+                    return false;
+                }
+                await sleep(this.settlePollInterval);
+            }
+            this.log('settle-timeout', { tradeId, waitedMs: this.settleTimeout });
+            return false;
+        }
+
+        start() {
+            if (this.running) return;
+            this.running = true;
+            this.log('started', { account: this.account, dryRun: this.dryRun, interval: this.interval });
+
+            const loop = async () => {
+                try {
+                    await this.runOnce();
+                } catch (error) {
+                    this.log('scan-failed', { error: MarketClient.describeError(error) });
+                }
+                if (this.running) this.timer = setTimeout(loop, this.interval);
+            };
+            loop();
+        }
+
+        stop() {
+            this.running = false;
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.log('stopped', {});
+        }
+    }
+
+    return {
+        MatchBot,
+        STRATEGIES,
+        priceTimePriority,
+        jsonLogger
+    };
+});
\ No newline at end of file
@@ -0,0 +1,247 @@
+// Transaction tracker - watches submitted transactions without blocking the UI
+//
+// Each record keeps the action, hash, sender and nonce so watching can resume
+// after a page reload (records are persisted in localStorage). A transaction
+// whose nonce gets used by another one is reported as sped up (same call,
+// higher fee, watching continues on the new hash) or replaced.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TxTracker = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const EXPLORERS = {
+        1: 'https://etherscan.io',
+        11155111: 'https://sepolia.etherscan.io'
+    };
+    const MAX_RECORDS = 50;
+    const REPLACEMENT_SCAN_BLOCKS = 50;
+    const FINAL_STATUSES = ['confirmed', 'failed', 'replaced'];
+
+    function explorerTxUrl(chainId, hash, explorerUrl = null) {
+        const base = explorerUrl || EXPLORERS[chainId];
+        return base ? `${base}/tx/${hash}` : null;
+    }
+
+    class TransactionTracker {
+        /**
+         * @param {object} options
+         * @param {object} [options.provider] - ethers provider; without one, tx.wait() is used and nothing persists
+         * @param {Storage} [options.storage] - localStorage-like store for resuming after reload
+         * @param {string} [options.storageKey]
+         * @param {number} [options.chainId]
+         * @param {number} [options.confirmations=3] - confirmations shown before a record stops updating
+         * @param {number} [options.pollInterval=4000] - ms between receipt checks
+         * @param {Function} [options.onChange] - called with the records whenever one changes
+         */
+        constructor(options = {}) {
+            this.provider = options.provider || null;
+            this.storage = options.storage || null;
+            this.storageKey = options.storageKey || 'energyMarket.transactions';
+            this.chainId = options.chainId || null;
+            this.explorerUrl = options.explorerUrl || null;
+            this.confirmations = options.confirmations ?? 3;
+            this.pollInterval = options.pollInterval ?? 4000;
+            this.onChange = options.onChange || (() => {});
+            this.records = this.load();
+            this.watchers = new Map();
+            this.stopped = false;
+        }
+
+        load() {
+            if (!this.storage) return [];
+            try {
+                return JSON.parse(this.storage.getItem(this.storageKey)) || [];
+            } catch (error) {
+                console.error('Error reading stored transactions:', error);
+                return [];
+            }
+        }
+
+        save() {
+            if (this.storage) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.records.slice(0, MAX_RECORDS)));
+            }
+            this.onChange(this.records);
+        }
+
+        explorerLink(record) {
+            return explorerTxUrl(record.chainId, record.hash, this.explorerUrl);
+        }
+
+        /**
+         * Starts tracking a submitted transaction. Resolves with the final
+         * record once it is mined (confirmed or failed) or replaced.
+         */
+        async track(tx, action) {
+            // A replacement can only be mined after this block; known before the
+            // first poll, which may come after the replacement or a reload
+            let startBlock = null;
+            if (this.provider) {
+                try {
+                    startBlock = await this.provider.getBlockNumber();
+                } catch (error) {
+                    console.error('Error reading the block number:', error);
+                }
+            }
+
+            const record = {
+                id: `${tx.hash}-${Date.now()}`,
+                action,
+                hash: tx.hash,
+                from: tx.from,
+                nonce: tx.nonce !== undefined ? tx.nonce : null,
+                to: tx.to || null,
+                data: tx.data || null,
+                chainId: this.chainId,
+                submittedAt: Date.now(),
+                startBlock,
+                confirmations: 0,
+                status: 'pending',
+                replacedBy: null
+            };
+            this.records.unshift(record);
+            this.records = this.records.slice(0, MAX_RECORDS);
+            this.save();
+
+            return this.watch(record, tx);
+        }
+
+        // Restarts watchers for records left pending by a previous page load
+        resume() {
+            return Promise.all(this.records
+                .filter(record => record.status === 'pending' ||
+                    (record.status === 'confirmed' && record.confirmations < this.confirmations))
+                .map(record => this.watch(record)));
+        }
+
+        clearFinished() {
+            this.records = this.records.filter(record => !FINAL_STATUSES.includes(record.status));
+            this.save();
+        }
+
+        stop() {
+            this.stopped = true;
+            this.watchers.forEach(timer => clearTimeout(timer));
+            this.watchers.clear();
+        }
+
+        watch(record, tx = null) {
+            if (!this.provider) {
+                return this.waitWithoutProvider(record, tx);
+            }
+
+            return new Promise(resolve => {
+                let settled = false;
+                const settle = () => {
+                    if (!settled) {
+                        settled = true;
+                        resolve(record);
+                    }
+                };
+
+                const poll = async () => {
+                    this.watchers.delete(record.id);
+                    if (this.stopped) return;
+
+                    try {
+                        await this.check(record);
+                    } catch (error) {
+                        console.error(`Error checking transaction ${record.hash}:`, error);
+                    }
+
+                    if (record.status === 'failed' || record.status === 'replaced') {
+                        settle();
+                        return;
+                    }
+                    if (record.status === 'confirmed') settle();
+                    if (record.status === 'confirmed' && record.confirmations >= this.confirmations) return;
+
+                    this.watchers.set(record.id, setTimeout(poll, this.pollInterval));
+                };
+                poll();
+            });
+        }
+
+        async waitWithoutProvider(record, tx) {
+            if (!tx) return record;
+            try {
+                const receipt = await tx.wait();
+                record.status = receipt.status === 0 ? 'failed' : 'confirmed';
+                record.confirmations = 1;
+            } catch (error) {
+                record.status = 'failed';
+                record.error = error.reason || error.message;
+            }
+            this.save();
+            return record;
+        }
+
+        async check(record) {
+            const latestBlock = await this.provider.getBlockNumber();
+            // Only when track() could not read it
+            if (record.startBlock === null) record.startBlock = latestBlock;
+
+            const receipt = await this.provider.getTransactionReceipt(record.hash);
+            if (receipt && receipt.blockNumber) {
+                this.applyReceipt(record, receipt, latestBlock);
+                return;
+            }
+
+            if (record.nonce === null || !record.from) return;
+
+            const minedNonce = await this.provider.getTransactionCount(record.from, 'latest');
+            if (minedNonce <= record.nonce) return;
+
+            // The receipt lookup can lag the nonce count (load-balanced RPC
+            // nodes), so ask again before calling the transaction replaced
+            const lateReceipt = await this.provider.getTransactionReceipt(record.hash);
+            if (lateReceipt && lateReceipt.blockNumber) {
+                this.applyReceipt(record, lateReceipt, latestBlock);
+                return;
+            }
+
+            // Our nonce was used, but not by our hash: find what replaced it
+            const replacement = await this.findReplacement(record, latestBlock);
+            // Our own hash is mined after all; its receipt shows up on a later poll
+            if (replacement && replacement.hash === record.hash) return;
+            if (replacement && replacement.to === record.to && replacement.data === record.data) {
+                record.originalHash = record.hash;
+                record.hash = replacement.hash;
+                record.status = 'pending';
+                record.spedUp = true;
+            } else {
+                record.status = 'replaced';
+                record.replacedBy = replacement ? replacement.hash : null;
+            }
+            this.save();
+        }
+
+        applyReceipt(record, receipt, latestBlock) {
+            record.confirmations = latestBlock - receipt.blockNumber + 1;
+            record.status = receipt.status === 0 ? 'failed' : 'confirmed';
+            // Receipts carry no revert reason
+            if (receipt.status === 0) record.error = `Reverted in block ${receipt.blockNumber}`;
+            this.save();
+        }
+
+        async findReplacement(record, latestBlock) {
+            const fromBlock = Math.max(record.startBlock || 0, latestBlock - REPLACEMENT_SCAN_BLOCKS);
+            for (let blockNumber = latestBlock; blockNumber >= fromBlock; blockNumber--) {
+                const block = await this.provider.getBlockWithTransactions(blockNumber);
+                const match = block && block.transactions.find(tx =>
+                    tx.from.toLowerCase() === record.from.toLowerCase() && tx.nonce === record.nonce
+                );
+                if (match) return match;
+            }
+            return null;
+        }
+    }
+
+    return {
+        TransactionTracker,
+        explorerTxUrl,
+        EXPLORERS
+    };
+});
\ No newline at end of file